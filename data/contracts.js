@@ -0,0 +1,106 @@
+// Futures contract specifications read by RiskCalculator in script.js: the
+// assets covered by the Indicador Gamma. Check them against the exchange
+// when a contract changes; `npm test` fails (and RiskCalculator warns in the
+// console) when tickValue and pointValue disagree.
+//
+//   symbol      root symbol as typed in NinjaTrader/Bookmap
+//   name        contract name
+//   exchange    listing exchange
+//   group       full-size and micro versions of the same market share a group
+//   tickSize    minimum price move, in price points
+//   tickValue   USD per tick per contract
+//   pointValue  USD per 1.00 price move per contract (tickValue / tickSize)
+//   decimals    decimals used to show prices
+window.FUTURES_CONTRACTS = [
+  {
+    symbol: 'ES',
+    name: 'E-mini S&P 500',
+    exchange: 'CME',
+    group: 'sp500',
+    tickSize: 0.25,
+    tickValue: 12.5,
+    pointValue: 50,
+    decimals: 2
+  },
+  {
+    symbol: 'MES',
+    name: 'Micro E-mini S&P 500',
+    exchange: 'CME',
+    group: 'sp500',
+    tickSize: 0.25,
+    tickValue: 1.25,
+    pointValue: 5,
+    decimals: 2
+  },
+  {
+    symbol: 'NQ',
+    name: 'E-mini Nasdaq-100',
+    exchange: 'CME',
+    group: 'nasdaq',
+    tickSize: 0.25,
+    tickValue: 5,
+    pointValue: 20,
+    decimals: 2
+  },
+  {
+    symbol: 'MNQ',
+    name: 'Micro E-mini Nasdaq-100',
+    exchange: 'CME',
+    group: 'nasdaq',
+    tickSize: 0.25,
+    tickValue: 0.5,
+    pointValue: 2,
+    decimals: 2
+  },
+  {
+    symbol: 'GC',
+    name: 'Gold (100 oz)',
+    exchange: 'COMEX',
+    group: 'gold',
+    tickSize: 0.1,
+    tickValue: 10,
+    pointValue: 100,
+    decimals: 1
+  },
+  {
+    symbol: 'MGC',
+    name: 'Micro Gold (10 oz)',
+    exchange: 'COMEX',
+    group: 'gold',
+    tickSize: 0.1,
+    tickValue: 1,
+    pointValue: 10,
+    decimals: 1
+  },
+  {
+    // Prices in 32nds of a point: 1/32 = 0.03125
+    symbol: 'MTB',
+    name: 'Micro Treasury Bond',
+    exchange: 'CBOT',
+    group: 'tbond',
+    tickSize: 0.03125,
+    tickValue: 3.125,
+    pointValue: 100,
+    decimals: 5
+  },
+  {
+    symbol: 'CL',
+    name: 'Crude Oil (1,000 bbl)',
+    exchange: 'NYMEX',
+    group: 'crude',
+    tickSize: 0.01,
+    tickValue: 10,
+    pointValue: 1000,
+    decimals: 2
+  },
+  {
+    symbol: 'MCL',
+    name: 'Micro Crude Oil (100 bbl)',
+    exchange: 'NYMEX',
+    group: 'crude',
+    tickSize: 0.01,
+    tickValue: 1,
+    pointValue: 100,
+    decimals: 2
+  }
+];
@@ -0,0 +1,32 @@
+// Coupon rules read by CouponEngine in script.js. Codes are case-insensitive.
+//
+//   code       the code buyers type
+//   type       'percent' (value = % off) or 'fixed' (value = R$ off)
+//   products   product ids the code applies to; omit for every product
+//   startsAt   optional ISO date-time the code becomes valid (use the -03:00 offset)
+//   endsAt     optional ISO date-time after which the code is expired
+//   hint       optional pt-BR usage note shown once the code is applied
+//   links      checkout overrides per product id for the discounted price:
+//              an InfinitePay link issued for that amount or the Hotmart
+//              offer created for the promotion, e.g.
+//              links: { 'gamma-indices': { code: 'VC1D-...', amount: 240 }, imersao: { offer: 'abc123xy' } }
+//              Without one the coupon is turned down for that product (the
+//              buyer is pointed to WhatsApp) and the full-price link stays.
+window.COUPON_RULES = [
+  {
+    code: 'BLACKFRIDAY',
+    type: 'percent',
+    value: 20,
+    products: ['gamma-indices', 'gamma-cripto', 'indicador-gamma'],
+    startsAt: '2026-11-27T00:00:00-03:00',
+    endsAt: '2026-12-01T23:59:59-03:00',
+    hint: 'Válido para pagamentos feitos até 01/12 às 23h59.'
+  },
+  {
+    code: 'RENOVA30',
+    type: 'fixed',
+    value: 30,
+    products: ['gamma-indices', 'gamma-cripto'],
+    hint: 'Desconto de renovação: use no mês do vencimento da sua assinatura.'
+  }
+];
@@ -0,0 +1,57 @@
+// US market holidays and early closes read by MarketCalendar
+// (lib/market-calendar.js). Dates and times are New York wall time; add the
+// next year's entries when the exchanges publish them (the market clock warns
+// in the console when the current year is missing, and `npm test` checks
+// each year's holidays). Sources: the NYSE holiday calendar and the CME Group
+// holiday calendar for equity index futures.
+//
+//   holidays      NYSE closed all day
+//     globex      CME Globex equity futures halt at this time, or null when
+//                 the exchange doesn't trade that date at all
+//   earlyCloses   NYSE closes at `close`; Globex halts at `globex`
+window.MARKET_CALENDAR = {
+  holidays: [
+    { date: '2025-01-01', name: "New Year's Day", globex: null },
+    { date: '2025-01-20', name: 'Martin Luther King Jr. Day', globex: '13:00' },
+    { date: '2025-02-17', name: "Washington's Birthday", globex: '13:00' },
+    { date: '2025-04-18', name: 'Good Friday', globex: null },
+    { date: '2025-05-26', name: 'Memorial Day', globex: '13:00' },
+    { date: '2025-06-19', name: 'Juneteenth', globex: '13:00' },
+    { date: '2025-07-04', name: 'Independence Day', globex: '13:00' },
+    { date: '2025-09-01', name: 'Labor Day', globex: '13:00' },
+    { date: '2025-11-27', name: 'Thanksgiving Day', globex: '13:00' },
+    { date: '2025-12-25', name: 'Christmas Day', globex: null },
+
+    { date: '2026-01-01', name: "New Year's Day", globex: null },
+    { date: '2026-01-19', name: 'Martin Luther King Jr. Day', globex: '13:00' },
+    { date: '2026-02-16', name: "Washington's Birthday", globex: '13:00' },
+    { date: '2026-04-03', name: 'Good Friday', globex: null },
+    { date: '2026-05-25', name: 'Memorial Day', globex: '13:00' },
+    { date: '2026-06-19', name: 'Juneteenth', globex: '13:00' },
+    { date: '2026-07-03', name: 'Independence Day (observed)', globex: '13:00' },
+    { date: '2026-09-07', name: 'Labor Day', globex: '13:00' },
+    { date: '2026-11-26', name: 'Thanksgiving Day', globex: '13:00' },
+    { date: '2026-12-25', name: 'Christmas Day', globex: null },
+
+    { date: '2027-01-01', name: "New Year's Day", globex: null },
+    { date: '2027-01-18', name: 'Martin Luther King Jr. Day', globex: '13:00' },
+    { date: '2027-02-15', name: "Washington's Birthday", globex: '13:00' },
+    { date: '2027-03-26', name: 'Good Friday', globex: null },
+    { date: '2027-05-31', name: 'Memorial Day', globex: '13:00' },
+    { date: '2027-06-18', name: 'Juneteenth (observed)', globex: '13:00' },
+    { date: '2027-07-05', name: 'Independence Day (observed)', globex: '13:00' },
+    { date: '2027-09-06', name: 'Labor Day', globex: '13:00' },
+    { date: '2027-11-25', name: 'Thanksgiving Day', globex: '13:00' },
+    { date: '2027-12-24', name: 'Christmas Day (observed)', globex: null }
+  ],
+  earlyCloses: [
+    { date: '2025-07-03', name: 'Independence Day eve', close: '13:00', globex: '13:15' },
+    { date: '2025-11-28', name: 'Day after Thanksgiving', close: '13:00', globex: '13:15' },
+    { date: '2025-12-24', name: 'Christmas Eve', close: '13:00', globex: '13:15' },
+
+    { date: '2026-11-27', name: 'Day after Thanksgiving', close: '13:00', globex: '13:15' },
+    { date: '2026-12-24', name: 'Christmas Eve', close: '13:00', globex: '13:15' },
+
+    { date: '2027-11-26', name: 'Day after Thanksgiving', close: '13:00', globex: '13:15' }
+  ]
+};
@@ -0,0 +1,183 @@
+// Market hours math for the session clock (MarketClock in script.js): plain
+// date arithmetic with no DOM or Intl time zone data, so
+// test/market-calendar.test.js can run it in Node. New York wall times (what
+// exchanges publish) are converted to UTC instants with the US daylight
+// saving rule.
+//   - NYSE cash: pre-market 04:00, open 09:30, close 16:00 (or the early
+//     close) on weekdays that aren't holidays
+//   - CME Globex equity futures: the session for a trade date opens at 18:00
+//     the evening before and halts at 17:00 (or the holiday halt time)
+// A classic script loaded before script.js, which builds the calendar from
+// data/market-calendar.js; exposes window.MarketCalendar.
+(function () {
+  const MINUTE_MS = 60 * 1000;
+  const DAY_MS = 24 * 60 * MINUTE_MS;
+
+  const NY_SESSION = {
+    premarket: '04:00',
+    open: '09:30',
+    close: '16:00',
+    globexOpen: '18:00',
+    globexClose: '17:00'
+  };
+
+  // Reports go out before the cash open on NYSE trading days (New York time)
+  const REPORT_DELIVERY_TIME = '08:30';
+
+  // How far ahead to look for the next session; covers the longest run of
+  // weekends and holidays
+  const MARKET_LOOKAHEAD_DAYS = 10;
+
+  class MarketCalendar {
+    // Daylight saving in the US: from 02:00 on the second Sunday of March to
+    // 02:00 on the first Sunday of November, as UTC instants
+    static dstBounds(year) {
+      const sunday = (month, nth) => {
+        const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+        return 1 + ((7 - firstWeekday) % 7) + (nth - 1) * 7;
+      };
+      return {
+        start: Date.UTC(year, 2, sunday(2, 2), 7),
+        end: Date.UTC(year, 10, sunday(10, 1), 6)
+      };
+    }
+
+    // New York offset from UTC in minutes at a UTC instant
+    static offsetAt(time) {
+      const { start, end } = MarketCalendar.dstBounds(new Date(time).getUTCFullYear());
+      return time >= start && time < end ? -240 : -300;
+    }
+
+    // New York wall time ('2025-03-10', '09:30') to a UTC timestamp. Like
+    // local times in Date, times skipped by the spring change (02:00–02:59)
+    // resolve an hour later, in daylight time, and times repeated in the autumn
+    // (01:00–01:59) resolve to the first occurrence, also in daylight time.
+    static toUtc(date, time = '00:00') {
+      const [year, month, day] = date.split('-').map(Number);
+      const [hours, minutes] = time.split(':').map(Number);
+      const wall = Date.UTC(year, month - 1, day, hours, minutes);
+      // The offset in effect at the wall time read as daylight time decides
+      return wall - MarketCalendar.offsetAt(wall + 240 * MINUTE_MS) * MINUTE_MS;
+    }
+
+    // New York calendar date and weekday (0 = Sunday) at a UTC instant
+    static wallClock(time) {
+      const shifted = new Date(time + MarketCalendar.offsetAt(time) * MINUTE_MS);
+      return {
+        date: shifted.toISOString().slice(0, 10),
+        weekday: shifted.getUTCDay(),
+        minutes: shifted.getUTCHours() * 60 + shifted.getUTCMinutes()
+      };
+    }
+
+    static addDays(date, days) {
+      return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    static weekday(date) {
+      return new Date(`${date}T00:00:00Z`).getUTCDay();
+    }
+
+    constructor({ holidays = [], earlyCloses = [] } = {}) {
+      this.holidays = new Map(holidays.map(entry => [entry.date, entry]));
+      this.earlyCloses = new Map(earlyCloses.map(entry => [entry.date, entry]));
+    }
+
+    getHoliday(date) {
+      return this.holidays.get(date) || null;
+    }
+
+    getEarlyClose(date) {
+      return this.earlyCloses.get(date) || null;
+    }
+
+    covers(year) {
+      return Array.from(this.holidays.keys()).some(date => date.startsWith(`${year}-`));
+    }
+
+    isTradingDay(date) {
+      const weekday = MarketCalendar.weekday(date);
+      return weekday >= 1 && weekday <= 5 && !this.holidays.has(date);
+    }
+
+    // { premarket, open, close } as UTC timestamps, or null when closed
+    getCashSession(date) {
+      if (!this.isTradingDay(date)) {
+        return null;
+      }
+      const earlyClose = this.getEarlyClose(date);
+      return {
+        premarket: MarketCalendar.toUtc(date, NY_SESSION.premarket),
+        open: MarketCalendar.toUtc(date, NY_SESSION.open),
+        close: MarketCalendar.toUtc(date, earlyClose ? earlyClose.close : NY_SESSION.close)
+      };
+    }
+
+    // { open, close } of the Globex session for a trade date, or null
+    getGlobexSession(date) {
+      const weekday = MarketCalendar.weekday(date);
+      const holiday = this.getHoliday(date);
+      const earlyClose = this.getEarlyClose(date);
+
+      if (weekday === 0 || weekday === 6 || (holiday && !holiday.globex)) {
+        return null;
+      }
+
+      const halt = (holiday && holiday.globex) || (earlyClose && earlyClose.globex) || NY_SESSION.globexClose;
+      return {
+        open: MarketCalendar.toUtc(MarketCalendar.addDays(date, -1), NY_SESSION.globexOpen),
+        close: MarketCalendar.toUtc(date, halt)
+      };
+    }
+
+    // { state: 'open' | 'pre' | 'closed', closes, opens } at `now`
+    getCashStatus(now) {
+      const { date } = MarketCalendar.wallClock(now);
+      const today = this.getCashSession(date);
+
+      if (today && now >= today.open && now < today.close) {
+        return { state: 'open', closes: today.close, opens: null };
+      }
+
+      const opens = this.findNext(date, day => this.getCashSession(day), session => session.open > now);
+      const state = today && now >= today.premarket && now < today.open ? 'pre' : 'closed';
+      return { state, closes: null, opens: opens && opens.open };
+    }
+
+    // { state: 'open' | 'closed', closes, opens } at `now`
+    getGlobexStatus(now) {
+      const { date } = MarketCalendar.wallClock(now);
+
+      // The session that may be running started yesterday or today
+      const current = [date, MarketCalendar.addDays(date, 1)]
+        .map(day => this.getGlobexSession(day))
+        .find(session => session && now >= session.open && now < session.close);
+
+      if (current) {
+        return { state: 'open', closes: current.close, opens: null };
+      }
+
+      const next = this.findNext(date, day => this.getGlobexSession(day), session => session.open > now);
+      return { state: 'closed', closes: null, opens: next && next.open };
+    }
+
+    // Next report delivery after `now`
+    getNextDelivery(now) {
+      const { date } = MarketCalendar.wallClock(now);
+      return this.findNext(date, day => (this.isTradingDay(day) ? MarketCalendar.toUtc(day, REPORT_DELIVERY_TIME) : null), time => time > now);
+    }
+
+    // First value of `get(day)` from `date` on that passes `accept`
+    findNext(date, get, accept) {
+      for (let i = 0; i <= MARKET_LOOKAHEAD_DAYS; i++) {
+        const value = get(MarketCalendar.addDays(date, i));
+        if (value && accept(value)) {
+          return value;
+        }
+      }
+      return null;
+    }
+  }
+
+  window.MarketCalendar = MarketCalendar;
+})();
@@ -0,0 +1,107 @@
+// Slot math behind the Mentoria booking dialog (MentoriaBooking in
+// script.js): turns data/mentoria-availability.json into bookable slots and
+// checks a selection against them. No DOM, so
+// test/mentoria-availability.test.js can run it in Node; time zones come
+// from Intl. Loaded as a classic script after lib/market-calendar.js (for
+// its date helpers) and before script.js; exposes
+// window.MentoriaAvailability.
+(function () {
+  const MINUTE_MS = 60 * 1000;
+  const HOUR_MS = 60 * MINUTE_MS;
+  const DAY_MS = 24 * HOUR_MS;
+
+  const zonedDate = (time, timeZone) => new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(time);
+
+  class MentoriaAvailability {
+    // Offset of `timeZone` from UTC in minutes at a UTC instant
+    static zoneOffset(timeZone, time) {
+      const parts = {};
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }).formatToParts(time).forEach(part => {
+        parts[part.type] = Number(part.value);
+      });
+
+      const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+      return Math.round((wall - time) / MINUTE_MS);
+    }
+
+    // Wall time in `timeZone` ('2026-11-03', '14:00') to a UTC timestamp
+    static toUtc(date, time, timeZone) {
+      const [year, month, day] = date.split('-').map(Number);
+      const [hours, minutes] = time.split(':').map(Number);
+      const wall = Date.UTC(year, month - 1, day, hours, minutes);
+      const guess = wall - MentoriaAvailability.zoneOffset(timeZone, wall) * MINUTE_MS;
+      return wall - MentoriaAvailability.zoneOffset(timeZone, guess) * MINUTE_MS;
+    }
+
+    // Bookable slots starting between `from` (plus the minimum notice) and
+    // `to` (capped at the booking horizon), as { id, start, end, timeZone }.
+    // Weekly times repeat on their weekday (0 = Sunday); `extra` adds one-off
+    // slots; blackout dates (single days or { from, to } ranges) and `booked`
+    // slots are left out. Dates and times are wall times in `timeZone`.
+    static expand(data, { from, to = Infinity }) {
+      const earliest = from + (data.minNoticeHours || 0) * HOUR_MS;
+      const latest = Math.min(to, from + data.horizonDays * DAY_MS);
+      const booked = new Set(data.booked || []);
+      const isBlackout = date => (data.blackouts || []).some(entry => (
+        typeof entry === 'string' ? entry === date : date >= entry.from && date <= entry.to
+      ));
+
+      const candidates = (data.extra || []).map(entry => ({ ...entry }));
+      const lastDate = zonedDate(latest, data.timeZone);
+      for (let date = zonedDate(earliest, data.timeZone); date <= lastDate; date = MarketCalendar.addDays(date, 1)) {
+        const weekday = MarketCalendar.weekday(date);
+        (data.weekly || []).filter(rule => rule.weekday === weekday).forEach(rule => {
+          rule.times.forEach(time => candidates.push({ date, time, duration: rule.duration }));
+        });
+      }
+
+      return candidates
+        .filter(entry => !isBlackout(entry.date) && !booked.has(`${entry.date}T${entry.time}`))
+        .map(entry => {
+          const start = MentoriaAvailability.toUtc(entry.date, entry.time, data.timeZone);
+          return {
+            id: `${entry.date}T${entry.time}`,
+            start,
+            end: start + (entry.duration || data.duration) * MINUTE_MS,
+            timeZone: data.timeZone
+          };
+        })
+        .filter(slot => slot.start >= earliest && slot.start <= latest)
+        .sort((a, b) => a.start - b.start);
+    }
+
+    static overlaps(a, b) {
+      return a.start < b.end && b.start < a.end;
+    }
+
+    // Error key for a selection, or null: more sessions than included,
+    // sessions that overlap, or sessions no longer offered
+    static validate(selected, slots, max) {
+      if (selected.length > max) {
+        return 'limit';
+      }
+      if (selected.some((slot, i) => selected.slice(i + 1).some(other => MentoriaAvailability.overlaps(slot, other)))) {
+        return 'conflict';
+      }
+      if (selected.some(slot => !slots.some(available => available.id === slot.id))) {
+        return 'unavailable';
+      }
+      return null;
+    }
+  }
+
+  window.MentoriaAvailability = MentoriaAvailability;
+})();
@@ -0,0 +1,99 @@
+// Position sizing math behind the risk calculator (RiskCalculator in
+// script.js), kept free of the DOM so test/position-size.test.js can run it
+// in Node. Loaded as a classic script before script.js; exposes
+// window.PositionSize.
+(function () {
+  class PositionSize {
+    // Price steps shorter than a tick can't be traded: a stop that isn't a
+    // whole number of ticks away is rounded out to the next tick
+    static toTicks(points, contract) {
+      return Math.ceil(Number((points / contract.tickSize).toFixed(6)));
+    }
+
+    // Inputs are numbers (NaN when empty):
+    //   contract, account, currency ('BRL'|'USD'), rate (BRL per USD),
+    //   risk, riskMode ('percent'|'amount'), entry, stop,
+    //   stopMode ('price'|'ticks'|'points'), target
+    // Returns { error } or the sizing; money values are in USD. The number of
+    // contracts is rounded down so the loss at the stop stays within the risk.
+    static calculate({ contract, account, currency, rate, risk, riskMode, entry, stop, stopMode, target }) {
+      if (!contract) {
+        return { error: 'contract' };
+      }
+      if (currency === 'BRL' && !(rate > 0)) {
+        return { error: 'rate' };
+      }
+
+      const toUsd = value => (currency === 'BRL' ? value / rate : value);
+      const accountUsd = account > 0 ? toUsd(account) : NaN;
+
+      if (riskMode === 'percent' && !(accountUsd > 0)) {
+        return { error: 'account' };
+      }
+      if (!(risk > 0) || (riskMode === 'percent' && risk > 100)) {
+        return { error: 'risk' };
+      }
+
+      let stopPoints;
+      if (stopMode === 'price') {
+        if (!(entry > 0) || !(stop > 0)) {
+          return { error: 'entryStop' };
+        }
+        stopPoints = Math.abs(entry - stop);
+      } else {
+        stopPoints = stopMode === 'ticks' ? stop * contract.tickSize : stop;
+      }
+      if (!(stopPoints > 0)) {
+        return { error: 'stop' };
+      }
+
+      const stopTicks = PositionSize.toTicks(stopPoints, contract);
+      const riskPerContract = stopTicks * contract.tickValue;
+      const budget = riskMode === 'percent' ? accountUsd * (risk / 100) : toUsd(risk);
+      const contracts = Math.floor(Number((budget / riskPerContract).toFixed(6)));
+
+      const result = {
+        contract,
+        budget,
+        stopTicks,
+        stopPoints: stopTicks * contract.tickSize,
+        rounded: Math.abs(stopTicks * contract.tickSize - stopPoints) > 1e-9,
+        riskPerContract,
+        contracts,
+        totalRisk: contracts * riskPerContract,
+        accountShare: accountUsd > 0 ? (contracts * riskPerContract) / accountUsd : null,
+        reward: null
+      };
+
+      if (target > 0) {
+        if (!(entry > 0)) {
+          return { error: 'entryTarget' };
+        }
+        // With a price stop the trade direction is known; the target has to
+        // be on the other side of the entry
+        const direction = stopMode === 'price' ? Math.sign(entry - stop) : 0;
+        if (direction && Math.sign(target - entry) !== direction) {
+          return { error: 'targetSide' };
+        }
+
+        const rewardTicks = Math.floor(Number((Math.abs(target - entry) / contract.tickSize).toFixed(6)));
+        result.reward = {
+          ticks: rewardTicks,
+          ratio: rewardTicks / stopTicks,
+          profit: contracts * rewardTicks * contract.tickValue
+        };
+      }
+
+      return result;
+    }
+
+    // Problems in a contract list (data/contracts.js), one string each
+    static validate(contracts) {
+      return contracts
+        .filter(contract => Math.abs(contract.tickSize * contract.pointValue - contract.tickValue) > 1e-9)
+        .map(contract => `${contract.symbol}: tickValue ${contract.tickValue} != tickSize × pointValue (${contract.tickSize * contract.pointValue})`);
+    }
+  }
+
+  window.PositionSize = PositionSize;
+})();
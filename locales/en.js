@@ -0,0 +1,1033 @@
+// English messages and product catalog translations. Missing entries fall
+// back to pt-BR and are reported in the console.
+window.LOCALE_MESSAGES = window.LOCALE_MESSAGES || {};
+window.LOCALE_MESSAGES['en'] = {
+  "name": "English",
+  "messages": {
+    "meta.title": "Danilo Petri - Gamma Analysis Specialist | Professional Trading",
+    "meta.description": "Danilo Petri - Gamma analysis specialist for professional trading. Reports, indicators and mentoring for traders.",
+    "nav.label": "Main menu",
+    "nav.products": "Products",
+    "nav.toggle": "Menu",
+    "nav.close": "Close menu",
+    "language.label": "Language",
+    "hero.subtitle.analysis": "Professional Analysis",
+    "hero.subtitle.positioning": "Gamma Positioning",
+    "hero.stats.success": "Success Rate",
+    "hero.stats.support": "Support",
+    "about.title": "About the Gamma Strategy",
+    "about.gamma.title": "Gamma Analysis",
+    "about.gamma.text": "Gamma positioning reveals the intentions of the biggest market players, offering unique insights for your trades.",
+    "about.gamma.item1": "Daily monitoring of institutional positions",
+    "about.gamma.item2": "Identification of support and resistance areas",
+    "about.gamma.item3": "Anticipation of market moves",
+    "about.strategies.title": "Advanced Strategies",
+    "about.strategies.text": "Build sophisticated strategies by combining Gamma analysis with state-of-the-art professional tools.",
+    "about.strategies.item1": "Combined with order flow analysis",
+    "about.strategies.item2": "Use of tools such as Bookmap and SpotGamma",
+    "about.strategies.item3": "Risk management based on real data",
+    "about.tools.title": "Professional Tools",
+    "about.tools.text": "Exclusive access to tools that simplify and optimize your daily market analysis.",
+    "about.tools.item1": "Daily Gamma positioning reports",
+    "about.tools.item2": "Real-time alerts",
+    "about.tools.item3": "AI-powered automated analysis",
+    "products.title": "Our Products",
+    "product.learnMore": "Learn More",
+    "product.pricePeriod": "/ {period}",
+    "product.investment": "💰 Investment:",
+    "cta.title": "Ready to Take Your Trading Further?",
+    "cta.text": "Join thousands of traders who have already transformed their results with our Gamma methodology.",
+    "cta.whatsapp": "Talk to a Specialist",
+    "cta.whatsappMessage": "Hi Danilo! I'd like to talk to a specialist.",
+    "cta.viewProducts": "View Products",
+    "footer.tagline": "Gamma analysis specialist for professional trading.",
+    "footer.products": "Products",
+    "footer.contact": "Contact",
+    "footer.phone": "Phone",
+    "footer.rights": "© 2025 Danilo Petri Trader. All rights reserved.",
+    "footer.privacy": "Privacy preferences",
+    "modal.close": "Close dialog",
+    "modal.buy": "Buy Now",
+    "modal.contact": "Chat on WhatsApp",
+    "checkout.options": "Payment method",
+    "checkout.started.title": "✅ Payment started",
+    "checkout.started.text": "We opened the payment page for {product} in a new tab. After paying, send the receipt to Danilo on WhatsApp to receive the product.",
+    "checkout.summary.product": "Product",
+    "checkout.summary.price": "Price",
+    "checkout.summary.date": "Date",
+    "checkout.summary.reference": "Reference",
+    "checkout.sendReceipt": "Send receipt",
+    "checkout.reopen": "Open payment again",
+    "whatsapp.receipt.greeting": "Hi Danilo! I've completed the payment and here is the receipt.",
+    "whatsapp.receipt.product": "Product: {product}",
+    "whatsapp.receipt.price": "Price: {price}",
+    "whatsapp.receipt.date": "Date: {date}",
+    "whatsapp.receipt.reference": "Order reference: {reference}",
+    "whatsapp.contact.greeting": "Hi Danilo! I'm interested in {product} ({price}). How can I purchase it?",
+    "whatsapp.contact.reference": "Reference: {reference}",
+    "whatsapp.origin": "Source: {origin}",
+    "coupon.label": "Discount coupon",
+    "coupon.placeholder": "Enter your coupon",
+    "coupon.apply": "Apply",
+    "coupon.remove": "Remove coupon",
+    "coupon.applied": "Coupon {code} applied: {discount} off.",
+    "coupon.removed": "Coupon removed. The price is back to the original amount.",
+    "coupon.originalPrice": "Original price:",
+    "coupon.error.empty": "Enter the coupon code.",
+    "coupon.error.notFound": "Coupon {code} does not exist. Check that the code is spelled correctly.",
+    "coupon.error.notStarted": "Coupon {code} is only valid from {date}.",
+    "coupon.error.expired": "Coupon {code} expired on {date}.",
+    "coupon.error.product": "Coupon {code} is not valid for {product}.",
+    "coupon.error.unavailable": "Coupon {code} cannot be paid online for {product} yet. Talk to Danilo on WhatsApp.",
+    "whatsapp.coupon": "Coupon: {code}",
+    "compare.toggle": "Compare",
+    "compare.toggleLabel": "Compare {product}",
+    "compare.title": "Compare Products",
+    "compare.hint": "Select at least two products to compare.",
+    "compare.selected": "Selected products: {count}",
+    "compare.view": "View comparison",
+    "compare.clear": "Clear selection",
+    "compare.remove": "Remove {product} from the comparison",
+    "compare.caption": "Comparison of the selected products",
+    "compare.scroll": "Comparison table, scroll sideways to see every product",
+    "compare.differs": "(differs between products)",
+    "compare.row.price": "Price",
+    "compare.row.billing": "Billing",
+    "compare.row.assets": "Assets covered",
+    "compare.row.platforms": "Platforms",
+    "compare.row.support": "Support",
+    "compare.row.includes": "What's included",
+    "faq.title": "Frequently Asked Questions",
+    "faq.close": "Close frequently asked questions",
+    "footer.faq": "FAQ",
+    "faq.q1": "How do I receive the product after paying?",
+    "faq.a1": "Reports: send the receipt on Danilo's WhatsApp to start receiving the reports. Indicator: you get the files and the step-by-step installation guide. Immersion and Mentoring: access arrives through Hotmart, with instructions to join the student community.",
+    "faq.q2": "Are subscriptions monthly?",
+    "faq.a2": "No. The Gamma Reports and the Gamma Indicator are quarterly subscriptions. Imersão 2.0 and the One-on-One Mentoring are one-time payments.",
+    "faq.q3": "How do I pay?",
+    "faq.a3": "Reports and the Indicator are paid through InfinitePay; Immersion and Mentoring through Hotmart. The Buy Now button opens the payment page in a new tab.",
+    "faq.q4": "Which platforms does the Indicator run on?",
+    "faq.a4": "NinjaTrader, with alerts, and Bookmap, integrated with order flow.",
+    "faq.q5": "I'm a beginner. Where do I start?",
+    "faq.a5": "Imersão 2.0 works both for those just starting out and for traders who already operate and want consistency. For one-on-one guidance, the Mentoring includes every Immersion module plus 3 one-on-one classes.",
+    "faq.q6": "I still have questions. How do I reach you?",
+    "faq.a6": "Talk to the team on Danilo's WhatsApp or on Telegram, linked in the footer.",
+    "pwa.install": "Install app",
+    "pwa.offline.text": "You're offline. The products are still here; to buy, message us on WhatsApp.",
+    "pwa.update.text": "A new version of the site is available.",
+    "pwa.update.reload": "Update",
+    "pwa.update.dismiss": "Dismiss",
+    "loading.failed": "This part of the page could not be loaded.",
+    "loading.contact": "Message us on WhatsApp",
+    "footer.tools": "Tools",
+    "footer.calculator": "Position calculator",
+    "calculator.title": "Position Calculator",
+    "calculator.intro": "Find out how many contracts to trade without exceeding the risk you set. Works for every Indicador Gamma asset.",
+    "calculator.contract": "Contract",
+    "calculator.account": "Account size",
+    "calculator.currency": "Account currency",
+    "calculator.rate": "Dollar rate (R$ per US$ 1)",
+    "calculator.risk": "Risk per trade",
+    "calculator.riskMode": "Risk type",
+    "calculator.riskMode.percent": "% of account",
+    "calculator.riskMode.amount": "Amount in account currency",
+    "calculator.entry": "Entry price",
+    "calculator.stop": "Stop",
+    "calculator.stopMode": "Stop unit",
+    "calculator.stopMode.price": "Price",
+    "calculator.stopMode.ticks": "Ticks",
+    "calculator.stopMode.points": "Points",
+    "calculator.target": "Target (optional)",
+    "calculator.disclaimer": "Educational tool: check contract specifications and margins with your broker before trading.",
+    "calculator.spec": "{exchange} · tick {tick} = {tickValue} · 1 point = {pointValue}",
+    "calculator.error.contract": "Choose a contract.",
+    "calculator.error.rate": "Enter the dollar rate to convert the account from reais.",
+    "calculator.error.account": "Enter the account size.",
+    "calculator.error.risk": "Enter the risk per trade.",
+    "calculator.error.entryStop": "Enter the entry price and the stop.",
+    "calculator.error.stop": "The stop must be at least 1 tick.",
+    "calculator.error.entryTarget": "Enter the entry price to calculate the target.",
+    "calculator.error.targetSide": "The target must be on the opposite side of the stop.",
+    "calculator.result.budget": "Allowed risk",
+    "calculator.result.stop": "Stop",
+    "calculator.result.stopValue": "{ticks} ticks ({points} points)",
+    "calculator.result.perContract": "Risk per contract",
+    "calculator.result.total": "Total risk",
+    "calculator.result.accountShare": "% of account at risk",
+    "calculator.result.target": "Target",
+    "calculator.result.targetValue": "{ticks} ticks",
+    "calculator.result.ratio": "Risk : reward",
+    "calculator.result.profit": "Profit at target",
+    "calculator.result.contract": "{symbol} contract",
+    "calculator.result.contracts": "{symbol} contracts",
+    "calculator.note.rounded": "The stop was rounded to {ticks} whole ticks.",
+    "calculator.note.tooSmall": "A single contract risks {risk}, more than the allowed risk.",
+    "calculator.note.micro": "Consider the micro {symbol} or a tighter stop.",
+    "footer.gex": "GEX calculator",
+    "gex.title": "GEX Calculator",
+    "gex.intro": "Upload an option chain as CSV to see dealer gamma exposure by strike, the flip level (zero gamma) and the call and put walls. The file is read in your browser and never leaves your computer.",
+    "gex.file": "Drop the CSV here or click to choose",
+    "gex.asOf": "Valuation date",
+    "gex.multiplier": "Contract multiplier",
+    "gex.expiry": "Expiry in the chart",
+    "gex.expiry.all": "All expiries",
+    "gex.format": "Columns: strike, type (call/put), expiry (YYYY-MM-DD or DD/MM/YYYY), open_interest, iv (0.18 or 18%) and spot. Comma or semicolon separated; decimal comma or dot.",
+    "gex.sample": "Download a sample CSV",
+    "gex.export.png": "Export PNG",
+    "gex.export.csv": "Export CSV",
+    "gex.disclaimer": "Educational tool: assumes dealers long calls and short puts, Black-Scholes without dividends and GEX per 1% move of the underlying.",
+    "gex.loaded": "Options calculated: {count}",
+    "gex.rowErrors": "Rows skipped: {count}",
+    "gex.moreErrors": "And {count} more rows with errors.",
+    "gex.error.empty": "The file is empty or only has the header.",
+    "gex.error.columns": "Columns missing from the header: {missing}.",
+    "gex.error.noRows": "No valid rows in the file.",
+    "gex.error.noSpot": "Enter the underlying price in the spot column on at least one row.",
+    "gex.error.tooLarge": "The file is over 5 MB. Export only the expiries you want to analyze.",
+    "gex.error.read": "The file could not be read.",
+    "gex.row.fields": "Line {line}: {value} columns, a different number from the header.",
+    "gex.row.decimalComma": "Line {line}: decimal comma in a comma-separated file; quote the number (\"6000,5\") or use a dot.",
+    "gex.row.strike": "Line {line}: invalid strike (\"{value}\").",
+    "gex.row.type": "Line {line}: invalid type (\"{value}\"); use call or put.",
+    "gex.row.expiry": "Line {line}: invalid expiry (\"{value}\"); use YYYY-MM-DD or DD/MM/YYYY.",
+    "gex.row.expired": "Line {line}: expiry {value} is before the valuation date.",
+    "gex.row.openInterest": "Line {line}: invalid open interest (\"{value}\").",
+    "gex.row.iv": "Line {line}: invalid implied volatility (\"{value}\").",
+    "gex.row.spot": "Line {line}: invalid spot (\"{value}\").",
+    "gex.summary.spot": "Spot",
+    "gex.summary.total": "Total GEX",
+    "gex.summary.flip": "Zero gamma",
+    "gex.summary.callWall": "Call wall",
+    "gex.summary.putWall": "Put wall",
+    "gex.chart.title": "Net GEX by strike",
+    "gex.chart.spot": "Spot",
+    "gex.chart.flip": "Zero gamma",
+    "gex.table.caption": "GEX by expiry",
+    "gex.table.expiry": "Expiry",
+    "gex.table.calls": "Calls",
+    "gex.table.puts": "Puts",
+    "gex.table.net": "Net",
+    "sampleReport.title": "See a sample report",
+    "sampleReport.note": "Delayed historical levels, for demonstration only. New York time.",
+    "sampleReport.asset": "Asset",
+    "sampleReport.date": "Date",
+    "sampleReport.levels": "Levels",
+    "sampleReport.cta": "I want the full report",
+    "sampleReport.error": "The sample report could not be loaded.",
+    "sampleReport.chart": "{asset} price on {date} against the gamma levels",
+    "sampleReport.readout.close": "Close at {time}: {price}",
+    "sampleReport.readout.point": "{time}: {price}",
+    "sampleReport.nearest": "No report on the chosen date; showing {date}.",
+    "sampleReport.level.callWall": "Call wall",
+    "sampleReport.level.hvl": "HVL",
+    "sampleReport.level.zeroGamma": "Zero gamma",
+    "sampleReport.level.putWall": "Put wall",
+    "marketClock.title": "US market hours",
+    "marketClock.cash": "NYSE (cash)",
+    "marketClock.globex": "CME Globex",
+    "marketClock.report": "Next report",
+    "marketClock.state.open": "Open",
+    "marketClock.state.pre": "Pre-market",
+    "marketClock.state.closed": "Closed",
+    "marketClock.opens": "opens in {duration} ({time})",
+    "marketClock.closes": "closes in {duration} ({time})",
+    "marketClock.delivery": "in {duration} ({time})",
+    "marketClock.timezone": "Times in your time zone ({zone}).",
+    "marketClock.holiday": "Today is a US market holiday ({name}): the NYSE is closed.",
+    "marketClock.earlyClose": "Today ({name}) the NYSE closes early, at {time}.",
+    "footer.subscription": "My subscription",
+    "subscription.title": "My Subscription",
+    "subscription.intro": "Note when you subscribed and keep track of the quarterly renewals, with reminders in your calendar. The data is only saved in this browser.",
+    "subscription.product": "Product",
+    "subscription.date": "Purchase date",
+    "subscription.reminder": "Reminder",
+    "subscription.reminder.days": "{days} day(s) before",
+    "subscription.save": "Save subscription",
+    "subscription.error.date": "Enter the purchase date.",
+    "subscription.error.future": "The purchase date can't be in the future.",
+    "subscription.empty": "No saved subscriptions yet. Fill in the form to see the next renewals.",
+    "subscription.purchased": "Subscribed on {date}",
+    "subscription.next": "Next renewal:",
+    "subscription.today": "today",
+    "subscription.inDays": "in {days} day(s)",
+    "subscription.upcoming": "Following renewals",
+    "subscription.renew": "Renew now",
+    "subscription.calendar": "Add to calendar",
+    "subscription.remove": "Remove",
+    "subscription.removeLabel": "Remove {product}",
+    "subscription.calendar.summary": "Renewal: {product}",
+    "subscription.calendar.reminder": "{product} renews in {days} day(s)",
+    "subscription.calendar.description": "Renew your {product} subscription ({price}) to keep your access: {url}",
+    "booking.open": "Book 1:1 sessions",
+    "booking.title": "Book 1:1 sessions",
+    "booking.intro": "Pick the times for your one-on-one sessions. Danilo confirms the booking on WhatsApp.",
+    "booking.loading": "Loading available times…",
+    "booking.empty": "No free times right now. Message Danilo on WhatsApp to arrange another day.",
+    "booking.duration": "{minutes} min",
+    "booking.conflict": "Overlaps another time you picked",
+    "booking.selected": "Sessions picked: {count} of {max}.",
+    "booking.timezone": "Times shown in your time zone ({zone}).",
+    "booking.error.limit": "You can pick at most the number of sessions included.",
+    "booking.error.conflict": "Two of the times you picked overlap. Unselect one of them.",
+    "booking.error.unavailable": "One of the times you picked is no longer available. Please pick another.",
+    "booking.error.load": "Could not load the available times.",
+    "booking.whatsapp.intro": "Hi Danilo! I'm a Mentoria Individual student and I'd like to book my 1:1 sessions:",
+    "booking.whatsapp.slot": "{index}. {date}, {start}–{end} ({zone})",
+    "booking.whatsapp.outro": "Could you confirm these times?",
+    "booking.whatsapp.fallback": "Hi Danilo! I'm a Mentoria Individual student and I'd like to book my 1:1 sessions.",
+    "booking.whatsapp.button": "Confirm on WhatsApp",
+    "booking.calendar.button": "Download invite (.ics)",
+    "booking.calendar.name": "1:1 Mentoring",
+    "booking.calendar.summary": "1:1 Mentoring with Danilo Petri ({index}/{total})",
+    "booking.calendar.description": "One-on-one Mentoria session. The time is confirmed once Danilo replies on WhatsApp.",
+    "lead.title": "Rather have us get in touch?",
+    "lead.intro": "Leave your details and Danilo's team will reach out at a good time, no strings attached.",
+    "lead.name": "Name",
+    "lead.email": "Email",
+    "lead.phone": "WhatsApp",
+    "lead.phonePlaceholder": "(11) 91234-5678",
+    "lead.product": "Product of interest",
+    "lead.productAny": "Not sure yet",
+    "lead.consent": "I agree to be contacted by Danilo Petri's team by email and WhatsApp about the products, under Brazil's LGPD. I can ask for my data to be deleted at any time.",
+    "lead.submit": "Contact me",
+    "lead.error.name": "Enter your name.",
+    "lead.error.emailRequired": "Enter your email.",
+    "lead.error.email": "Enter a valid email, such as name@example.com.",
+    "lead.error.phoneRequired": "Enter your WhatsApp number.",
+    "lead.error.phone": "Enter a Brazilian mobile or phone number with area code, such as (11) 91234-5678.",
+    "lead.error.consent": "We need your permission to get in touch.",
+    "lead.status.invalid": "Please review the highlighted fields.",
+    "lead.status.sending": "Sending…",
+    "lead.status.sent": "Thanks, we've got your details! The team will be in touch soon.",
+    "lead.status.waitlist": "You're on the waitlist for {product}. We'll let you know as soon as new spots open.",
+    "lead.status.queued": "We couldn't send your details right now: they're saved on this device and will go out automatically as soon as possible.",
+    "lead.status.duplicate": "We already received your details recently. The team will be in touch soon.",
+    "lead.status.rejected": "Your details could not be sent. Please reach us on WhatsApp.",
+    "lead.status.unsupported": "Your browser can't send this form over a connection without HTTPS. Please reach us on WhatsApp.",
+    "lead.waitlist.title": "Sold out",
+    "lead.waitlist.text": "{product} is sold out right now. Join the waitlist to hear when new spots open.",
+    "lead.waitlist.submit": "Join the waitlist",
+    "lead.waitlist.whatsapp": "Join the waitlist on WhatsApp",
+    "lead.waitlist.message": "Hi Danilo! I'd like to join the waitlist for {product}.",
+    "curriculum.search": "Search the curriculum",
+    "curriculum.searchPlaceholder": "Search a lesson or subject (e.g. vanna, stop, Bookmap)",
+    "curriculum.topics": "Filter by topic",
+    "curriculum.topic.all": "All",
+    "curriculum.topic.gamma": "Gamma",
+    "curriculum.topic.fluxo": "Flow",
+    "curriculum.topic.risco": "Risk",
+    "curriculum.topic.psicologia": "Psychology",
+    "curriculum.summary": "{modules} module(s) · {lessons} lesson(s) · {duration}",
+    "curriculum.empty": "No lessons found. Try another search or topic.",
+    "curriculum.moduleMeta": "{lessons} lesson(s) · {duration}",
+    "curriculum.includedIn": "Included in:",
+    "consent.banner.label": "Privacy notice",
+    "consent.banner.heading": "Your privacy matters.",
+    "consent.banner.text": "We use resources required for the site to work and, with your permission, analytics and marketing tools, in line with Brazil's LGPD. You can change your choice at any time under \"Privacy preferences\" in the footer.",
+    "consent.banner.preferences": "Preferences",
+    "consent.banner.reject": "Reject optional",
+    "consent.banner.accept": "Accept all",
+    "consent.dialog.title": "Privacy Preferences",
+    "consent.dialog.close": "Close preferences",
+    "consent.dialog.intro": "Choose which categories of cookies and local storage we may use. When you revoke a category, we stop sending events and delete the identifiers we stored.",
+    "consent.dialog.save": "Save preferences",
+    "consent.necessary.label": "Necessary",
+    "consent.necessary.description": "Required for the site to work, such as remembering these preferences and your language. Always on.",
+    "consent.analytics.label": "Analytics",
+    "consent.analytics.description": "Anonymous measurement of visits and page usage to improve the site.",
+    "consent.marketing.label": "Marketing",
+    "consent.marketing.description": "Ad pixels and campaign and referral sources."
+  },
+  "catalog": {
+    "categories": {
+      "relatorios": {
+        "title": "Gamma Reports",
+        "nav": {
+          "label": "Reports",
+          "footerLabel": "Gamma Reports"
+        }
+      },
+      "ferramentas": {
+        "title": "Tools and Education"
+      }
+    },
+    "products": {
+      "gamma-indices": {
+        "title": "Gamma Report - Indices",
+        "badge": {
+          "label": "Popular"
+        },
+        "description": "Professional information on Gamma positioning for the main market indices.",
+        "features": [
+          "SPX, Nasdaq and VIX",
+          "Daily support and resistance levels",
+          "Analysis for day trading and position trading"
+        ],
+        "period": {
+          "short": "quarter",
+          "long": "per quarter"
+        },
+        "priceNote": "We only offer quarterly subscriptions to ensure consistent results.",
+        "sections": [
+          {
+            "title": "📈 Professional Information Within Your Reach",
+            "paragraphs": [
+              "Our Gamma Positioning Report is an in-depth, detailed material designed to deliver valuable market insights. It tracks the positions of market makers and other large players every day, across all asset classes."
+            ]
+          },
+          {
+            "title": "📊 Data Processed by Specialists:"
+          },
+          {
+            "title": "🎯 For Day Trading and Position Trading:",
+            "paragraphs": [
+              "Get the best of both trading worlds, with precise data that helps you make informed, strategic decisions on any timeframe."
+            ]
+          },
+          {
+            "title": "💎 What Sets It Apart:",
+            "list": [
+              "Reports delivered daily before the market opens",
+              "Analysis based on real institutional positioning data",
+              "Technical support on Telegram for any questions",
+              "Proven track record of accuracy"
+            ],
+            "closing": [
+              {
+                "strong": "With this report you will have the same information used by the largest investment funds, so you can trade with the confidence of a professional."
+              }
+            ]
+          }
+        ],
+        "infoBox": {
+          "title": "📋 How to Buy and Receive the Reports:",
+          "steps": [
+            {
+              "strong": "Complete the payment"
+            },
+            {
+              "strong": "Send the receipt to Danilo on WhatsApp"
+            },
+            {
+              "strong": "Receive the product"
+            }
+          ],
+          "note": "If you have any questions, contact the team"
+        },
+        "specs": {
+          "billing": "Quarterly subscription",
+          "assets": [
+            "SPX",
+            "Nasdaq",
+            "VIX"
+          ],
+          "platforms": [
+            "Any platform (reference levels)"
+          ],
+          "support": "Technical support on Telegram",
+          "includes": [
+            {
+              "strong": "Gamma positioning",
+              "text": " for SPX, Nasdaq and VIX"
+            },
+            {
+              "strong": "Key support and resistance levels",
+              "text": " identified for each trading day"
+            },
+            {
+              "strong": "Complementary technical analysis",
+              "text": " based on institutional flow"
+            }
+          ]
+        }
+      },
+      "gamma-cripto": {
+        "title": "Gamma Report - Crypto",
+        "description": "Professional information on Gamma positioning for cryptocurrencies and commodities.",
+        "features": [
+          "Bitcoin, Euro and Gold",
+          "Daily support and resistance levels",
+          "Institutional market analysis"
+        ],
+        "period": {
+          "short": "quarter",
+          "long": "per quarter"
+        },
+        "priceNote": "Quarterly subscription for maximum consistency in results.",
+        "sections": [
+          {
+            "title": "🚀 Professional Information for Cryptocurrencies",
+            "paragraphs": [
+              "Our report specialized in Cryptocurrencies and Commodities applies the same gamma methodology used by large funds, adapted to the Bitcoin, Euro and Gold markets."
+            ]
+          },
+          {
+            "title": "📊 Data Processed by Specialists:"
+          },
+          {
+            "title": "⚡ For Day Trading and Position Trading:",
+            "paragraphs": [
+              "Trade the most volatile markets safely, always with the most important levels calculated with the Gamma methodology at hand."
+            ]
+          },
+          {
+            "title": "🎯 Markets Covered:"
+          }
+        ],
+        "infoBox": {
+          "title": "📋 How to Buy and Receive the Reports:",
+          "steps": [
+            {
+              "strong": "Complete the payment"
+            },
+            {
+              "strong": "Send the receipt to Danilo on WhatsApp"
+            },
+            {
+              "strong": "Receive the product"
+            }
+          ],
+          "note": "If you have any questions, contact the team"
+        },
+        "specs": {
+          "billing": "Quarterly subscription",
+          "assets": [
+            {
+              "strong": "Bitcoin (BTC)",
+              "text": " - The world's leading cryptocurrency"
+            },
+            {
+              "strong": "Euro (EUR)",
+              "text": " - Global reference currency"
+            },
+            {
+              "strong": "Gold",
+              "text": " - Traditional safe-haven asset"
+            }
+          ],
+          "platforms": [
+            "Any platform (reference levels)"
+          ],
+          "support": "Danilo's WhatsApp",
+          "includes": [
+            {
+              "strong": "Gamma positioning",
+              "text": " for Bitcoin, Euro and Gold"
+            },
+            {
+              "strong": "Key support and resistance levels",
+              "text": " for daily trading"
+            },
+            {
+              "strong": "Correlation analysis",
+              "text": " across the monitored assets"
+            },
+            {
+              "strong": "Institutional flow",
+              "text": " in real time"
+            }
+          ]
+        }
+      },
+      "indicador-gamma": {
+        "title": "Gamma Indicator",
+        "nav": {
+          "label": "Indicator",
+          "footerLabel": "Indicator"
+        },
+        "description": "Professional tool that automatically identifies risk and opportunity zones.",
+        "features": [
+          "Assets: ES, MES, NQ, MNQ, GC, MGC, MTB, CL and MCL",
+          "Available for NinjaTrader and Bookmap",
+          "For beginner and professional traders"
+        ],
+        "period": {
+          "short": "quarter",
+          "long": "per quarter"
+        },
+        "priceNote": "Quarterly subscription to ensure consistent results.",
+        "sections": [
+          {
+            "title": "🛠️ Professional Trading Tool",
+            "paragraphs": [
+              "The Gamma Indicator is the essential tool for any trader who wants a winning approach. It automatically and precisely identifies the best areas to take risk, aligning your trades with the biggest market players."
+            ]
+          },
+          {
+            "title": "🎯 For Professional Traders:",
+            "list": [
+              "Maximize profits with precisely identified target zones",
+              "Reduce drawdowns with calculated reversal points",
+              "Trade aligned with institutional flow"
+            ]
+          },
+          {
+            "title": "📚 For Beginner Traders:",
+            "list": [
+              "Reduce risk by trading in the safest zones",
+              "Learn through clear visual signals",
+              "Develop trading discipline"
+            ]
+          },
+          {
+            "title": "📈 Supported Assets:"
+          },
+          {
+            "title": "💻 Available Platforms:"
+          }
+        ],
+        "infoBox": {
+          "title": "📋 Indicator Installation Instructions:",
+          "steps": [
+            {
+              "strong": "Complete the payment"
+            },
+            {
+              "strong": "Download the product files",
+              "text": " and extract them"
+            },
+            {
+              "strong": "Follow the step-by-step installation guide",
+              "text": " included in the instructions file"
+            },
+            {
+              "strong": "If you have trouble",
+              "text": " installing it, contact the support team through Danilo's WhatsApp"
+            }
+          ],
+          "note": "If you have any questions, contact the team"
+        },
+        "specs": {
+          "billing": "Quarterly subscription",
+          "assets": [
+            {
+              "strong": "ES & MES",
+              "text": " - S&P 500 Futures"
+            },
+            {
+              "strong": "NQ & MNQ",
+              "text": " - Nasdaq Futures"
+            },
+            {
+              "strong": "GC & MGC",
+              "text": " - Gold Futures"
+            },
+            {
+              "strong": "MTB",
+              "text": " - Treasury Bond"
+            },
+            {
+              "strong": "CL & MCL",
+              "text": " - Crude Oil"
+            }
+          ],
+          "platforms": [
+            {
+              "strong": "NinjaTrader",
+              "text": " - Full version with alerts"
+            },
+            {
+              "strong": "Bookmap",
+              "text": " - Order flow integration"
+            }
+          ],
+          "support": "Support team on Danilo's WhatsApp",
+          "includes": [
+            "Automatic risk and target zones",
+            "Alerts on NinjaTrader",
+            "Order flow integration on Bookmap",
+            "Step-by-step installation guide"
+          ]
+        }
+      },
+      "imersao": {
+        "title": "Immersion 2.0",
+        "nav": {
+          "label": "Immersion",
+          "footerLabel": "Immersion 2.0"
+        },
+        "badge": {
+          "label": "Featured"
+        },
+        "description": "Complete, hands-on course to trade professionally alongside institutions.",
+        "features": [
+          "Reading Gamma Exposure (GEX)",
+          "Tools: SpotGamma, MenthorQ, Bookmap",
+          "Full curriculum with {modules} modules"
+        ],
+        "period": {
+          "short": "full course"
+        },
+        "priceNote": "One-time payment and lifetime access.",
+        "sections": [
+          {
+            "title": "🎓 Complete Course for Professional Traders",
+            "paragraphs": [
+              "Immersion 2.0 is a complete, hands-on course designed to enable traders to operate with the same mindset and tools that large institutional players use."
+            ]
+          },
+          {
+            "title": "📚 Course Modules:"
+          },
+          {
+            "title": "📊 What You Will Get:"
+          },
+          {
+            "title": "🚀 Who the Immersion Is For:",
+            "paragraphs": [
+              "Ideal for traders who already trade but are looking for consistency, or for beginners who want to start the right way, aligned with the institutional market."
+            ]
+          }
+        ],
+        "infoBox": {
+          "title": "✨ Exclusive Access:",
+          "paragraphs": [
+            {
+              "strong": "After your purchase you will receive access to Hotmart and instructions to join the student community."
+            }
+          ]
+        },
+        "specs": {
+          "billing": "One-time payment",
+          "assets": [
+            "Indices",
+            "Crypto",
+            "Commodities",
+            "Forex"
+          ],
+          "platforms": [
+            "SpotGamma",
+            "MenthorQ",
+            "Bookmap"
+          ],
+          "support": "Telegram community and Q&A classes",
+          "includes": [
+            "Lifetime access to the members' platform",
+            "{modules} modules of high-quality video lessons",
+            "PDF support material",
+            "Exclusive Telegram community",
+            "Live and recorded Q&A lessons",
+            "Access to future course updates"
+          ]
+        }
+      },
+      "mentoria": {
+        "title": "Individual Mentoring",
+        "nav": {
+          "label": "Mentoring",
+          "footerLabel": "Mentoring"
+        },
+        "badge": {
+          "label": "Premium"
+        },
+        "description": "Personalized, exclusive program for the complete development of the professional trader.",
+        "features": [
+          "Tailor-made trading plan",
+          "Focused on your specific needs",
+          "{mentoriaModules} full modules + 3 one-on-one lessons"
+        ],
+        "period": {
+          "short": "full program"
+        },
+        "priceNote": "Total price of the complete program.",
+        "sections": [
+          {
+            "title": "🎯 Personalized Development Program",
+            "paragraphs": [
+              "Individual Mentoring is the fastest path to consistency and professionalism in trading. Designed and taught in person, this program focuses on your specific needs and challenges, guaranteeing a tailor-made trading plan."
+            ]
+          },
+          {
+            "title": "✔️ What's Included:"
+          },
+          {
+            "title": "🚀 Key Benefits:",
+            "list": [
+              "Speed up your learning curve.",
+              "Overcome challenges in a targeted way.",
+              "Develop the discipline and mindset of a successful trader.",
+              "Have an experienced mentor by your side every step of the way."
+            ]
+          },
+          {
+            "title": "📚 Full Curriculum:"
+          }
+        ],
+        "infoBox": {
+          "title": "✨ One Step Ahead:",
+          "paragraphs": [
+            {
+              "strong": "This program is your opportunity to be closely mentored on your way to excellence in the market."
+            }
+          ]
+        },
+        "specs": {
+          "billing": "One-time payment",
+          "assets": [
+            "Defined in your trading plan"
+          ],
+          "platforms": [
+            "SpotGamma",
+            "MenthorQ",
+            "Bookmap"
+          ],
+          "support": "Direct, priority support from Danilo",
+          "includes": [
+            {
+              "strong": "Exclusive Trading Plan:",
+              "text": " Built for your profile and goals."
+            },
+            {
+              "strong": "{modules} Immersion 2.0 Course Modules:",
+              "text": " Full lifetime access to the theoretical content."
+            },
+            {
+              "strong": "3 One-on-One Lessons (1x1):",
+              "text": " Sessions focused on your weak spots and on optimizing your strategy."
+            },
+            {
+              "strong": "Performance Review:",
+              "text": " Detailed analysis of your results and a continuous improvement plan."
+            },
+            {
+              "strong": "Direct, Priority Support:",
+              "text": " Exclusive access to get your questions answered whenever you need."
+            }
+          ]
+        }
+      }
+    },
+    "curriculum": {
+      "fundamentos": {
+        "title": "Introduction to Gamma Analysis: Fundamentals and importance",
+        "lessons": [
+          {
+            "title": "Welcome and how to get the most out of the Immersion"
+          },
+          {
+            "title": "Options for traders: calls, puts and the Greeks"
+          },
+          {
+            "title": "What gamma is and why it moves the market"
+          },
+          {
+            "title": "Market makers and dynamic hedging"
+          }
+        ]
+      },
+      "gex": {
+        "title": "Reading Gamma Exposure (GEX) and Vanna/Charm",
+        "lessons": [
+          {
+            "title": "How GEX is calculated from the option chain"
+          },
+          {
+            "title": "Positive and negative gamma: volatility regimes"
+          },
+          {
+            "title": "Call wall, put wall and zero gamma"
+          },
+          {
+            "title": "Vanna and Charm: expiration flows"
+          }
+        ]
+      },
+      "plataformas": {
+        "title": "SpotGamma & MenthorQ: Professional use of the platforms",
+        "lessons": [
+          {
+            "title": "SpotGamma tour: key levels and HIRO"
+          },
+          {
+            "title": "MenthorQ: gamma maps and daily levels"
+          },
+          {
+            "title": "Bringing the levels onto your chart"
+          }
+        ]
+      },
+      "estrategias": {
+        "title": "Trading Strategies: Scalping, Day Trading and Position Trading",
+        "lessons": [
+          {
+            "title": "Scalping at gamma levels"
+          },
+          {
+            "title": "Day trading: breakouts and reversals"
+          },
+          {
+            "title": "Position trading with the gamma regime"
+          },
+          {
+            "title": "Choosing the strategy for each day"
+          }
+        ]
+      },
+      "fluxo-volume": {
+        "title": "Flow and Volume Analysis: How to combine it with Gamma analysis",
+        "lessons": [
+          {
+            "title": "Order flow basics"
+          },
+          {
+            "title": "Volume profile and VWAP"
+          },
+          {
+            "title": "Confluence between flow and gamma levels"
+          }
+        ]
+      },
+      "gestao-risco": {
+        "title": "Risk and Capital Management: The professionals' secret",
+        "lessons": [
+          {
+            "title": "Risk per trade and position sizing"
+          },
+          {
+            "title": "Technical stops at gamma levels"
+          },
+          {
+            "title": "Drawdown, daily limits and capital preservation"
+          },
+          {
+            "title": "Risk/reward and expectancy"
+          }
+        ]
+      },
+      "ferramentas": {
+        "title": "Tools: Bookmap and other essential software",
+        "lessons": [
+          {
+            "title": "Bookmap: liquidity heatmap and setup"
+          },
+          {
+            "title": "NinjaTrader: charts and execution"
+          },
+          {
+            "title": "Economic calendar and news sources"
+          }
+        ]
+      },
+      "psicologia": {
+        "title": "Trading Psychology: Emotional control and discipline",
+        "lessons": [
+          {
+            "title": "Fear, greed and the most common biases"
+          },
+          {
+            "title": "Discipline: sticking to the plan on bad days"
+          },
+          {
+            "title": "Trading journal and self-review"
+          }
+        ]
+      },
+      "pratica": {
+        "title": "Trading in Practice: Case studies and live analysis",
+        "lessons": [
+          {
+            "title": "Case study: a negative gamma day in the S&P 500"
+          },
+          {
+            "title": "Case study: monthly options expiration"
+          },
+          {
+            "title": "Live session with commentary"
+          }
+        ]
+      },
+      "mercados-avancados": {
+        "title": "Advanced Markets: Crypto, commodities and Forex",
+        "lessons": [
+          {
+            "title": "Gamma in Bitcoin: Deribit options"
+          },
+          {
+            "title": "Gold and crude: commodity options"
+          },
+          {
+            "title": "Forex: currency options and euro levels"
+          }
+        ]
+      },
+      "revisao": {
+        "title": "Review and Improvement: Q&A sessions",
+        "lessons": [
+          {
+            "title": "Q&A: reading gamma and flow"
+          },
+          {
+            "title": "Q&A: risk, routine and psychology"
+          }
+        ]
+      },
+      "plano-trading": {
+        "title": "Personal Trading Plan: Build your own plan",
+        "lessons": [
+          {
+            "title": "Setting goals and your trading profile"
+          },
+          {
+            "title": "Entry, exit and management rules"
+          },
+          {
+            "title": "Fill-in trading plan template"
+          }
+        ]
+      },
+      "backtesting": {
+        "title": "Backtesting and Strategy Optimization",
+        "lessons": [
+          {
+            "title": "Building a backtest with historical levels"
+          },
+          {
+            "title": "Metrics: win rate, payoff and drawdown"
+          },
+          {
+            "title": "Avoiding overfitting"
+          }
+        ]
+      },
+      "rotina": {
+        "title": "A Professional Trader's Routine",
+        "lessons": [
+          {
+            "title": "Pre-market: report, levels and scenarios"
+          },
+          {
+            "title": "During the session: execution checklist"
+          },
+          {
+            "title": "After the close: review and journal"
+          }
+        ]
+      },
+      "mentoria-grupo": {
+        "title": "Group Mentoring Session",
+        "lessons": [
+          {
+            "title": "Group mentoring: reviewing students' trades"
+          }
+        ]
+      },
+      "mentoria-individual": {
+        "title": "Individual Mentoring: Trading plan and one-on-one lessons",
+        "lessons": [
+          {
+            "title": "How the one-on-one lessons and booking work"
+          },
+          {
+            "title": "Diagnosis: questionnaire and trade history"
+          },
+          {
+            "title": "Building your exclusive trading plan"
+          },
+          {
+            "title": "Performance review: tracking metrics"
+          }
+        ]
+      }
+    }
+  }
+};
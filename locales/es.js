@@ -0,0 +1,1033 @@
+// Spanish messages and product catalog translations. Missing entries fall
+// back to pt-BR and are reported in the console.
+window.LOCALE_MESSAGES = window.LOCALE_MESSAGES || {};
+window.LOCALE_MESSAGES['es'] = {
+  "name": "Español",
+  "messages": {
+    "meta.title": "Danilo Petri - Especialista en Análisis Gamma | Trading Profesional",
+    "meta.description": "Danilo Petri - Especialista en análisis Gamma para trading profesional. Informes, indicadores y mentoría para traders.",
+    "nav.label": "Menú principal",
+    "nav.products": "Productos",
+    "nav.toggle": "Menú",
+    "nav.close": "Cerrar menú",
+    "language.label": "Idioma",
+    "hero.subtitle.analysis": "Análisis Profesional",
+    "hero.subtitle.positioning": "Posicionamiento Gamma",
+    "hero.stats.success": "Tasa de Éxito",
+    "hero.stats.support": "Soporte",
+    "about.title": "Sobre la Estrategia Gamma",
+    "about.gamma.title": "Análisis Gamma",
+    "about.gamma.text": "El posicionamiento Gamma revela las intenciones de los grandes players del mercado y ofrece información única para sus operaciones.",
+    "about.gamma.item1": "Seguimiento diario de las posiciones institucionales",
+    "about.gamma.item2": "Identificación de zonas de soporte y resistencia",
+    "about.gamma.item3": "Anticipación de los movimientos del mercado",
+    "about.strategies.title": "Estrategias Avanzadas",
+    "about.strategies.text": "Desarrolle estrategias sofisticadas combinando el análisis Gamma con herramientas profesionales de última generación.",
+    "about.strategies.item1": "Combinación con análisis de flujo de órdenes",
+    "about.strategies.item2": "Uso de herramientas como Bookmap y SpotGamma",
+    "about.strategies.item3": "Gestión de riesgo basada en datos reales",
+    "about.tools.title": "Herramientas Profesionales",
+    "about.tools.text": "Acceso exclusivo a herramientas que simplifican y optimizan su análisis diario del mercado.",
+    "about.tools.item1": "Informes diarios de posicionamiento Gamma",
+    "about.tools.item2": "Alertas en tiempo real",
+    "about.tools.item3": "Análisis automatizados con IA",
+    "products.title": "Nuestros Productos",
+    "product.learnMore": "Más Información",
+    "product.pricePeriod": "/ {period}",
+    "product.investment": "💰 Inversión:",
+    "cta.title": "¿Listo para Elevar su Trading?",
+    "cta.text": "Únase a miles de traders que ya transformaron sus resultados con nuestra metodología Gamma.",
+    "cta.whatsapp": "Hablar con un Especialista",
+    "cta.whatsappMessage": "¡Hola, Danilo! Me gustaría hablar con un especialista.",
+    "cta.viewProducts": "Ver Productos",
+    "footer.tagline": "Especialista en análisis Gamma para trading profesional.",
+    "footer.products": "Productos",
+    "footer.contact": "Contacto",
+    "footer.phone": "Teléfono",
+    "footer.rights": "© 2025 Danilo Petri Trader. Todos los derechos reservados.",
+    "footer.privacy": "Preferencias de privacidad",
+    "modal.close": "Cerrar ventana",
+    "modal.buy": "Comprar Ahora",
+    "modal.contact": "Hablar por WhatsApp",
+    "checkout.options": "Forma de pago",
+    "checkout.started.title": "✅ Pago iniciado",
+    "checkout.started.text": "Abrimos la página de pago de {product} en una nueva pestaña. Después de pagar, envíe el comprobante por WhatsApp a Danilo para recibir el producto.",
+    "checkout.summary.product": "Producto",
+    "checkout.summary.price": "Valor",
+    "checkout.summary.date": "Fecha",
+    "checkout.summary.reference": "Referencia",
+    "checkout.sendReceipt": "Enviar comprobante",
+    "checkout.reopen": "Abrir el pago nuevamente",
+    "whatsapp.receipt.greeting": "¡Hola, Danilo! Realicé el pago y le envío el comprobante.",
+    "whatsapp.receipt.product": "Producto: {product}",
+    "whatsapp.receipt.price": "Valor: {price}",
+    "whatsapp.receipt.date": "Fecha: {date}",
+    "whatsapp.receipt.reference": "Referencia del pedido: {reference}",
+    "whatsapp.contact.greeting": "¡Hola, Danilo! Me interesa {product} ({price}). ¿Cómo puedo adquirirlo?",
+    "whatsapp.contact.reference": "Referencia: {reference}",
+    "whatsapp.origin": "Origen: {origin}",
+    "coupon.label": "Cupón de descuento",
+    "coupon.placeholder": "Ingresa tu cupón",
+    "coupon.apply": "Aplicar",
+    "coupon.remove": "Quitar cupón",
+    "coupon.applied": "Cupón {code} aplicado: {discount} de descuento.",
+    "coupon.removed": "Cupón eliminado. El precio volvió al valor original.",
+    "coupon.originalPrice": "Precio original:",
+    "coupon.error.empty": "Ingresa el código del cupón.",
+    "coupon.error.notFound": "El cupón {code} no existe. Verifica que escribiste el código correctamente.",
+    "coupon.error.notStarted": "El cupón {code} solo es válido a partir del {date}.",
+    "coupon.error.expired": "El cupón {code} venció el {date}.",
+    "coupon.error.product": "El cupón {code} no es válido para {product}.",
+    "coupon.error.unavailable": "El cupón {code} todavía no se puede pagar en línea para {product}. Habla con Danilo por WhatsApp.",
+    "whatsapp.coupon": "Cupón: {code}",
+    "compare.toggle": "Comparar",
+    "compare.toggleLabel": "Comparar {product}",
+    "compare.title": "Comparar Productos",
+    "compare.hint": "Selecciona al menos dos productos para comparar.",
+    "compare.selected": "Productos seleccionados: {count}",
+    "compare.view": "Ver comparación",
+    "compare.clear": "Limpiar selección",
+    "compare.remove": "Quitar {product} de la comparación",
+    "compare.caption": "Comparación entre los productos seleccionados",
+    "compare.scroll": "Tabla de comparación, desplázate hacia el lado para ver todos los productos",
+    "compare.differs": "(difiere entre los productos)",
+    "compare.row.price": "Precio",
+    "compare.row.billing": "Cobro",
+    "compare.row.assets": "Activos cubiertos",
+    "compare.row.platforms": "Plataformas",
+    "compare.row.support": "Soporte",
+    "compare.row.includes": "Qué incluye",
+    "faq.title": "Preguntas Frecuentes",
+    "faq.close": "Cerrar preguntas frecuentes",
+    "footer.faq": "Preguntas frecuentes",
+    "faq.q1": "¿Cómo recibo el producto después de pagar?",
+    "faq.a1": "Informes: envía el comprobante por el WhatsApp de Danilo para empezar a recibir los informes. Indicador: recibes los archivos y la guía de instalación paso a paso. Inmersión y Mentoría: el acceso llega por Hotmart, con las instrucciones para entrar en la comunidad de alumnos.",
+    "faq.q2": "¿Las suscripciones son mensuales?",
+    "faq.a2": "No. Los Informes Gamma y el Indicador Gamma son suscripciones trimestrales. La Imersão 2.0 y la Mentoría Individual son de pago único.",
+    "faq.q3": "¿Cómo se hace el pago?",
+    "faq.a3": "Los Informes y el Indicador se pagan por InfinitePay; la Inmersión y la Mentoría, por Hotmart. El botón Comprar Ahora abre la página de pago en una nueva pestaña.",
+    "faq.q4": "¿En qué plataformas funciona el Indicador?",
+    "faq.a4": "NinjaTrader, con alertas, y Bookmap, integrado al order flow.",
+    "faq.q5": "Soy principiante. ¿Por dónde empiezo?",
+    "faq.a5": "La Imersão 2.0 sirve tanto para quien está empezando como para quien ya opera y busca consistencia. Para un acompañamiento individual, la Mentoría incluye todos los módulos de la Inmersión y 3 clases 1x1.",
+    "faq.q6": "Todavía tengo dudas. ¿Cómo hablo con ustedes?",
+    "faq.a6": "Habla con el equipo por el WhatsApp de Danilo o por Telegram, en los enlaces del pie de página.",
+    "pwa.install": "Instalar app",
+    "pwa.offline.text": "Estás sin conexión. Los productos siguen aquí; para comprar, escríbenos por WhatsApp.",
+    "pwa.update.text": "Hay una nueva versión del sitio disponible.",
+    "pwa.update.reload": "Actualizar",
+    "pwa.update.dismiss": "Descartar",
+    "loading.failed": "No se pudo cargar esta parte de la página.",
+    "loading.contact": "Escríbenos por WhatsApp",
+    "footer.tools": "Herramientas",
+    "footer.calculator": "Calculadora de posición",
+    "calculator.title": "Calculadora de Posición",
+    "calculator.intro": "Descubre cuántos contratos operar sin superar el riesgo que definiste. Sirve para todos los activos del Indicador Gamma.",
+    "calculator.contract": "Contrato",
+    "calculator.account": "Tamaño de la cuenta",
+    "calculator.currency": "Moneda de la cuenta",
+    "calculator.rate": "Cotización del dólar (R$ por US$ 1)",
+    "calculator.risk": "Riesgo por operación",
+    "calculator.riskMode": "Tipo de riesgo",
+    "calculator.riskMode.percent": "% de la cuenta",
+    "calculator.riskMode.amount": "Monto en la moneda de la cuenta",
+    "calculator.entry": "Precio de entrada",
+    "calculator.stop": "Stop",
+    "calculator.stopMode": "Unidad del stop",
+    "calculator.stopMode.price": "Precio",
+    "calculator.stopMode.ticks": "Ticks",
+    "calculator.stopMode.points": "Puntos",
+    "calculator.target": "Objetivo (opcional)",
+    "calculator.disclaimer": "Herramienta educativa: verifica las especificaciones y márgenes con tu corredora antes de operar.",
+    "calculator.spec": "{exchange} · tick {tick} = {tickValue} · 1 punto = {pointValue}",
+    "calculator.error.contract": "Elige un contrato.",
+    "calculator.error.rate": "Indica la cotización del dólar para convertir la cuenta desde reales.",
+    "calculator.error.account": "Indica el tamaño de la cuenta.",
+    "calculator.error.risk": "Indica el riesgo por operación.",
+    "calculator.error.entryStop": "Indica el precio de entrada y el stop.",
+    "calculator.error.stop": "El stop debe ser de al menos 1 tick.",
+    "calculator.error.entryTarget": "Indica el precio de entrada para calcular el objetivo.",
+    "calculator.error.targetSide": "El objetivo debe estar del lado opuesto al stop.",
+    "calculator.result.budget": "Riesgo permitido",
+    "calculator.result.stop": "Stop",
+    "calculator.result.stopValue": "{ticks} ticks ({points} puntos)",
+    "calculator.result.perContract": "Riesgo por contrato",
+    "calculator.result.total": "Riesgo total",
+    "calculator.result.accountShare": "% de la cuenta en riesgo",
+    "calculator.result.target": "Objetivo",
+    "calculator.result.targetValue": "{ticks} ticks",
+    "calculator.result.ratio": "Riesgo : retorno",
+    "calculator.result.profit": "Ganancia en el objetivo",
+    "calculator.result.contract": "contrato de {symbol}",
+    "calculator.result.contracts": "contratos de {symbol}",
+    "calculator.note.rounded": "El stop se redondeó a {ticks} ticks enteros.",
+    "calculator.note.tooSmall": "Un solo contrato arriesga {risk}, más que el riesgo permitido.",
+    "calculator.note.micro": "Considera el micro {symbol} o un stop más corto.",
+    "footer.gex": "Calculadora de GEX",
+    "gex.title": "Calculadora de GEX",
+    "gex.intro": "Sube la cadena de opciones en CSV y ve la exposición gamma de los dealers por strike, el nivel de giro (zero gamma) y los muros de call y put. El archivo se lee en tu navegador y no sale de tu computadora.",
+    "gex.file": "Arrastra el CSV aquí o haz clic para elegirlo",
+    "gex.asOf": "Fecha de referencia",
+    "gex.multiplier": "Multiplicador del contrato",
+    "gex.expiry": "Vencimiento en el gráfico",
+    "gex.expiry.all": "Todos los vencimientos",
+    "gex.format": "Columnas: strike, type (call/put), expiry (AAAA-MM-DD o DD/MM/AAAA), open_interest, iv (0,18 o 18%) y spot. Separador coma o punto y coma; decimales con coma o punto.",
+    "gex.sample": "Descargar CSV de ejemplo",
+    "gex.export.png": "Exportar PNG",
+    "gex.export.csv": "Exportar CSV",
+    "gex.disclaimer": "Herramienta educativa: supone dealers comprados en calls y vendidos en puts, Black-Scholes sin dividendos y GEX por 1% de movimiento del activo.",
+    "gex.loaded": "Opciones calculadas: {count}",
+    "gex.rowErrors": "Filas ignoradas: {count}",
+    "gex.moreErrors": "Y {count} filas más con errores.",
+    "gex.error.empty": "El archivo está vacío o solo tiene el encabezado.",
+    "gex.error.columns": "Faltan columnas en el encabezado: {missing}.",
+    "gex.error.noRows": "Ninguna fila válida en el archivo.",
+    "gex.error.noSpot": "Indica el precio del activo en la columna spot en al menos una fila.",
+    "gex.error.tooLarge": "El archivo supera los 5 MB. Exporta solo los vencimientos que quieres analizar.",
+    "gex.error.read": "No se pudo leer el archivo.",
+    "gex.row.fields": "Línea {line}: {value} columnas, un número distinto al del encabezado.",
+    "gex.row.decimalComma": "Línea {line}: coma decimal en un archivo separado por comas; pon el número entre comillas (\"6000,5\") o usa punto.",
+    "gex.row.strike": "Línea {line}: strike inválido (\"{value}\").",
+    "gex.row.type": "Línea {line}: tipo inválido (\"{value}\"); usa call o put.",
+    "gex.row.expiry": "Línea {line}: vencimiento inválido (\"{value}\"); usa AAAA-MM-DD o DD/MM/AAAA.",
+    "gex.row.expired": "Línea {line}: el vencimiento {value} es anterior a la fecha de referencia.",
+    "gex.row.openInterest": "Línea {line}: open interest inválido (\"{value}\").",
+    "gex.row.iv": "Línea {line}: volatilidad implícita inválida (\"{value}\").",
+    "gex.row.spot": "Línea {line}: spot inválido (\"{value}\").",
+    "gex.summary.spot": "Spot",
+    "gex.summary.total": "GEX total",
+    "gex.summary.flip": "Zero gamma",
+    "gex.summary.callWall": "Call wall",
+    "gex.summary.putWall": "Put wall",
+    "gex.chart.title": "GEX neto por strike",
+    "gex.chart.spot": "Spot",
+    "gex.chart.flip": "Zero gamma",
+    "gex.table.caption": "GEX por vencimiento",
+    "gex.table.expiry": "Vencimiento",
+    "gex.table.calls": "Calls",
+    "gex.table.puts": "Puts",
+    "gex.table.net": "Neto",
+    "sampleReport.title": "Mira un informe de ejemplo",
+    "sampleReport.note": "Niveles históricos con retraso, solo como demostración. Hora de Nueva York.",
+    "sampleReport.asset": "Activo",
+    "sampleReport.date": "Fecha",
+    "sampleReport.levels": "Niveles",
+    "sampleReport.cta": "Quiero el informe completo",
+    "sampleReport.error": "No se pudo cargar el informe de ejemplo.",
+    "sampleReport.chart": "Precio de {asset} el {date} frente a los niveles gamma",
+    "sampleReport.readout.close": "Cierre a las {time}: {price}",
+    "sampleReport.readout.point": "{time}: {price}",
+    "sampleReport.nearest": "No hay informe en la fecha elegida; mostrando {date}.",
+    "sampleReport.level.callWall": "Call wall",
+    "sampleReport.level.hvl": "HVL",
+    "sampleReport.level.zeroGamma": "Zero gamma",
+    "sampleReport.level.putWall": "Put wall",
+    "marketClock.title": "Horario de los mercados de EE. UU.",
+    "marketClock.cash": "NYSE (contado)",
+    "marketClock.globex": "CME Globex",
+    "marketClock.report": "Próximo informe",
+    "marketClock.state.open": "Abierto",
+    "marketClock.state.pre": "Preapertura",
+    "marketClock.state.closed": "Cerrado",
+    "marketClock.opens": "abre en {duration} ({time})",
+    "marketClock.closes": "cierra en {duration} ({time})",
+    "marketClock.delivery": "en {duration} ({time})",
+    "marketClock.timezone": "Horarios en tu zona horaria ({zone}).",
+    "marketClock.holiday": "Hoy es feriado en EE. UU. ({name}): la NYSE no abre.",
+    "marketClock.earlyClose": "Hoy ({name}) la NYSE cierra antes, a las {time}.",
+    "footer.subscription": "Mi suscripción",
+    "subscription.title": "Mi Suscripción",
+    "subscription.intro": "Anota cuándo te suscribiste y sigue las renovaciones trimestrales, con recordatorios en tu calendario. Los datos se guardan solo en este navegador.",
+    "subscription.product": "Producto",
+    "subscription.date": "Fecha de compra",
+    "subscription.reminder": "Recordatorio",
+    "subscription.reminder.days": "{days} día(s) antes",
+    "subscription.save": "Guardar suscripción",
+    "subscription.error.date": "Indica la fecha de compra.",
+    "subscription.error.future": "La fecha de compra no puede estar en el futuro.",
+    "subscription.empty": "Aún no hay suscripciones guardadas. Completa el formulario para ver las próximas renovaciones.",
+    "subscription.purchased": "Suscrito el {date}",
+    "subscription.next": "Próxima renovación:",
+    "subscription.today": "hoy",
+    "subscription.inDays": "en {days} día(s)",
+    "subscription.upcoming": "Renovaciones siguientes",
+    "subscription.renew": "Renovar ahora",
+    "subscription.calendar": "Agregar al calendario",
+    "subscription.remove": "Quitar",
+    "subscription.removeLabel": "Quitar {product}",
+    "subscription.calendar.summary": "Renovación: {product}",
+    "subscription.calendar.reminder": "{product} se renueva en {days} día(s)",
+    "subscription.calendar.description": "Renueva la suscripción de {product} ({price}) para no perder el acceso: {url}",
+    "booking.open": "Agendar clases 1x1",
+    "booking.title": "Agendar clases 1x1",
+    "booking.intro": "Elige los horarios de tus clases individuales. Danilo confirma la reserva por WhatsApp.",
+    "booking.loading": "Cargando horarios disponibles…",
+    "booking.empty": "No hay horarios libres en este momento. Escríbele a Danilo por WhatsApp para acordar otro día.",
+    "booking.duration": "{minutes} min",
+    "booking.conflict": "Se superpone con otro horario elegido",
+    "booking.selected": "Clases elegidas: {count} de {max}.",
+    "booking.timezone": "Horarios en tu zona horaria ({zone}).",
+    "booking.error.limit": "Puedes elegir como máximo la cantidad de clases incluidas.",
+    "booking.error.conflict": "Dos de los horarios elegidos se superponen. Desmarca uno de ellos.",
+    "booking.error.unavailable": "Uno de los horarios elegidos ya no está disponible. Elige otro.",
+    "booking.error.load": "No se pudieron cargar los horarios.",
+    "booking.whatsapp.intro": "¡Hola, Danilo! Soy alumno(a) de la Mentoria Individual y quiero agendar mis clases 1x1:",
+    "booking.whatsapp.slot": "{index}. {date}, {start}–{end} ({zone})",
+    "booking.whatsapp.outro": "¿Puedes confirmar estos horarios?",
+    "booking.whatsapp.fallback": "¡Hola, Danilo! Soy alumno(a) de la Mentoria Individual y quiero agendar mis clases 1x1.",
+    "booking.whatsapp.button": "Confirmar por WhatsApp",
+    "booking.calendar.button": "Descargar invitación (.ics)",
+    "booking.calendar.name": "Mentoría 1x1",
+    "booking.calendar.summary": "Mentoría 1x1 con Danilo Petri ({index}/{total})",
+    "booking.calendar.description": "Clase individual de la Mentoria. El horario queda confirmado cuando Danilo responda por WhatsApp.",
+    "lead.title": "¿Prefieres que te contactemos?",
+    "lead.intro": "Deja tus datos y el equipo de Danilo te contactará en el mejor momento, sin compromiso.",
+    "lead.name": "Nombre",
+    "lead.email": "Correo electrónico",
+    "lead.phone": "WhatsApp",
+    "lead.phonePlaceholder": "(11) 91234-5678",
+    "lead.product": "Producto de interés",
+    "lead.productAny": "Todavía no lo sé",
+    "lead.consent": "Acepto que el equipo de Danilo Petri me contacte por correo y WhatsApp sobre los productos, según la LGPD de Brasil. Puedo pedir la eliminación de mis datos en cualquier momento.",
+    "lead.submit": "Quiero que me contacten",
+    "lead.error.name": "Ingresa tu nombre.",
+    "lead.error.emailRequired": "Ingresa tu correo electrónico.",
+    "lead.error.email": "Ingresa un correo válido, como nombre@ejemplo.com.",
+    "lead.error.phoneRequired": "Ingresa tu WhatsApp.",
+    "lead.error.phone": "Ingresa un celular o teléfono brasileño con código de área, como (11) 91234-5678.",
+    "lead.error.consent": "Necesitamos tu autorización para contactarte.",
+    "lead.status.invalid": "Revisa los campos marcados.",
+    "lead.status.sending": "Enviando…",
+    "lead.status.sent": "¡Recibimos tus datos! El equipo te contactará pronto.",
+    "lead.status.waitlist": "Estás en la lista de espera de {product}. Te avisaremos en cuanto se abran nuevos cupos.",
+    "lead.status.queued": "No pudimos enviar tus datos ahora: quedaron guardados en este dispositivo y se enviarán automáticamente en cuanto sea posible.",
+    "lead.status.duplicate": "Ya recibimos tus datos recientemente. El equipo te contactará pronto.",
+    "lead.status.rejected": "No se pudieron enviar tus datos. Escríbenos por WhatsApp.",
+    "lead.status.unsupported": "Tu navegador no puede enviar este formulario por una conexión sin HTTPS. Escríbenos por WhatsApp.",
+    "lead.waitlist.title": "Cupos agotados",
+    "lead.waitlist.text": "Los cupos de {product} están agotados en este momento. Únete a la lista de espera para saber cuándo se abran nuevos cupos.",
+    "lead.waitlist.submit": "Unirme a la lista de espera",
+    "lead.waitlist.whatsapp": "Unirme a la lista por WhatsApp",
+    "lead.waitlist.message": "¡Hola Danilo! Quiero unirme a la lista de espera de {product}.",
+    "curriculum.search": "Buscar en el temario",
+    "curriculum.searchPlaceholder": "Busca una clase o tema (ej.: vanna, stop, Bookmap)",
+    "curriculum.topics": "Filtrar por tema",
+    "curriculum.topic.all": "Todos",
+    "curriculum.topic.gamma": "Gamma",
+    "curriculum.topic.fluxo": "Flujo",
+    "curriculum.topic.risco": "Riesgo",
+    "curriculum.topic.psicologia": "Psicología",
+    "curriculum.summary": "{modules} módulo(s) · {lessons} clase(s) · {duration}",
+    "curriculum.empty": "No se encontraron clases. Prueba otra búsqueda u otro tema.",
+    "curriculum.moduleMeta": "{lessons} clase(s) · {duration}",
+    "curriculum.includedIn": "Incluido en:",
+    "consent.banner.label": "Aviso de privacidad",
+    "consent.banner.heading": "Su privacidad importa.",
+    "consent.banner.text": "Usamos recursos necesarios para que el sitio funcione y, con su permiso, herramientas de análisis y marketing, conforme a la LGPD de Brasil. Puede cambiar su elección en cualquier momento en \"Preferencias de privacidad\", en el pie de página.",
+    "consent.banner.preferences": "Preferencias",
+    "consent.banner.reject": "Rechazar opcionales",
+    "consent.banner.accept": "Aceptar todo",
+    "consent.dialog.title": "Preferencias de Privacidad",
+    "consent.dialog.close": "Cerrar preferencias",
+    "consent.dialog.intro": "Elija qué categorías de cookies y almacenamiento local podemos usar. Al revocar una categoría, dejamos de enviar eventos y borramos los identificadores que guardamos.",
+    "consent.dialog.save": "Guardar preferencias",
+    "consent.necessary.label": "Necesarios",
+    "consent.necessary.description": "Imprescindibles para que el sitio funcione, como recordar estas preferencias y el idioma. Siempre activos.",
+    "consent.analytics.label": "Análisis",
+    "consent.analytics.description": "Medición anónima de visitas y del uso de las páginas para mejorar el sitio.",
+    "consent.marketing.label": "Marketing",
+    "consent.marketing.description": "Píxeles de anuncios y origen de campañas y referidos."
+  },
+  "catalog": {
+    "categories": {
+      "relatorios": {
+        "title": "Informes Gamma",
+        "nav": {
+          "label": "Informes",
+          "footerLabel": "Informes Gamma"
+        }
+      },
+      "ferramentas": {
+        "title": "Herramientas y Educación"
+      }
+    },
+    "products": {
+      "gamma-indices": {
+        "title": "Informe Gamma - Índices",
+        "badge": {
+          "label": "Popular"
+        },
+        "description": "Información profesional sobre el posicionamiento Gamma de los principales índices del mercado.",
+        "features": [
+          "SPX, Nasdaq y VIX",
+          "Soportes y resistencias diarios",
+          "Análisis para day trade y position trading"
+        ],
+        "period": {
+          "short": "trimestre",
+          "long": "por trimestre"
+        },
+        "priceNote": "Trabajamos solo con suscripciones trimestrales para garantizar la consistencia de los resultados.",
+        "sections": [
+          {
+            "title": "📈 Información Profesional a su Alcance",
+            "paragraphs": [
+              "Nuestro Informe de Posicionamiento Gamma es un material profundo y detallado, diseñado para ofrecer información valiosa sobre el mercado. Sigue a diario las posiciones de los market makers y de otros grandes players en todas las clases de activos."
+            ]
+          },
+          {
+            "title": "📊 Datos Tratados por Especialistas:"
+          },
+          {
+            "title": "🎯 Para Day Trade y Position Trading:",
+            "paragraphs": [
+              "Aproveche lo mejor de ambos mundos operativos, con datos precisos que le ayudan a tomar decisiones informadas y estratégicas en cualquier marco temporal."
+            ]
+          },
+          {
+            "title": "💎 Diferenciales:",
+            "list": [
+              "Informes enviados a diario antes de la apertura del mercado",
+              "Análisis basado en datos reales de posicionamiento institucional",
+              "Soporte técnico por Telegram para resolver dudas",
+              "Historial de aciertos comprobado"
+            ],
+            "closing": [
+              {
+                "strong": "Con este informe tendrá en sus manos la misma información que utilizan los mayores fondos de inversión, para operar con la confianza de un profesional."
+              }
+            ]
+          }
+        ],
+        "infoBox": {
+          "title": "📋 Instrucciones de Compra y Recepción de los Informes:",
+          "steps": [
+            {
+              "strong": "Realice el pago del producto"
+            },
+            {
+              "strong": "Envíe el comprobante por WhatsApp a Danilo"
+            },
+            {
+              "strong": "Reciba el producto"
+            }
+          ],
+          "note": "Si tiene dudas, póngase en contacto con el equipo"
+        },
+        "specs": {
+          "billing": "Suscripción trimestral",
+          "assets": [
+            "SPX",
+            "Nasdaq",
+            "VIX"
+          ],
+          "platforms": [
+            "Cualquier plataforma (niveles de referencia)"
+          ],
+          "support": "Soporte técnico por Telegram",
+          "includes": [
+            {
+              "strong": "Posicionamiento Gamma",
+              "text": " para SPX, Nasdaq y VIX"
+            },
+            {
+              "strong": "Principales Soportes y Resistencias",
+              "text": " identificados para cada día de negociación"
+            },
+            {
+              "strong": "Análisis técnicos complementarios",
+              "text": " basados en el flujo institucional"
+            }
+          ]
+        }
+      },
+      "gamma-cripto": {
+        "title": "Informe Gamma - Cripto",
+        "description": "Información profesional sobre el posicionamiento Gamma de criptomonedas y materias primas.",
+        "features": [
+          "Bitcoin, Euro y Oro",
+          "Soportes y resistencias diarios",
+          "Análisis institucional del mercado"
+        ],
+        "period": {
+          "short": "trimestre",
+          "long": "por trimestre"
+        },
+        "priceNote": "Suscripción trimestral para la máxima consistencia en los resultados.",
+        "sections": [
+          {
+            "title": "🚀 Información Profesional para Criptomonedas",
+            "paragraphs": [
+              "Nuestro informe especializado en Criptomonedas y Materias Primas aplica la misma metodología gamma que utilizan los grandes fondos, adaptada a los mercados de Bitcoin, Euro y Oro."
+            ]
+          },
+          {
+            "title": "📊 Datos Tratados por Especialistas:"
+          },
+          {
+            "title": "⚡ Para Day Trade y Position Trading:",
+            "paragraphs": [
+              "Opere con seguridad en los mercados más volátiles, con los niveles más importantes calculados mediante la metodología Gamma siempre a su disposición."
+            ]
+          },
+          {
+            "title": "🎯 Mercados Cubiertos:"
+          }
+        ],
+        "infoBox": {
+          "title": "📋 Instrucciones de Compra y Recepción de los Informes:",
+          "steps": [
+            {
+              "strong": "Realice el pago del producto"
+            },
+            {
+              "strong": "Envíe el comprobante por WhatsApp a Danilo"
+            },
+            {
+              "strong": "Reciba el producto"
+            }
+          ],
+          "note": "Si tiene dudas, póngase en contacto con el equipo"
+        },
+        "specs": {
+          "billing": "Suscripción trimestral",
+          "assets": [
+            {
+              "strong": "Bitcoin (BTC)",
+              "text": " - La principal criptomoneda del mundo"
+            },
+            {
+              "strong": "Euro (EUR)",
+              "text": " - Moneda de referencia global"
+            },
+            {
+              "strong": "Oro (Gold)",
+              "text": " - Activo de protección tradicional"
+            }
+          ],
+          "platforms": [
+            "Cualquier plataforma (niveles de referencia)"
+          ],
+          "support": "WhatsApp de Danilo",
+          "includes": [
+            {
+              "strong": "Posicionamiento Gamma",
+              "text": " para Bitcoin, Euro y Oro"
+            },
+            {
+              "strong": "Principales Soportes y Resistencias",
+              "text": " para operaciones diarias"
+            },
+            {
+              "strong": "Análisis de correlaciones",
+              "text": " entre los activos monitoreados"
+            },
+            {
+              "strong": "Flujo institucional",
+              "text": " en tiempo real"
+            }
+          ]
+        }
+      },
+      "indicador-gamma": {
+        "title": "Indicador Gamma",
+        "nav": {
+          "label": "Indicador",
+          "footerLabel": "Indicador"
+        },
+        "description": "Herramienta profesional para identificar automáticamente zonas de riesgo y oportunidad.",
+        "features": [
+          "Activos: ES, MES, NQ, MNQ, GC, MGC, MTB, CL y MCL",
+          "Disponible para NinjaTrader y Bookmap",
+          "Para traders principiantes y profesionales"
+        ],
+        "period": {
+          "short": "trimestre",
+          "long": "por trimestre"
+        },
+        "priceNote": "Suscripción trimestral para garantizar la consistencia de los resultados.",
+        "sections": [
+          {
+            "title": "🛠️ Herramienta Profesional de Trading",
+            "paragraphs": [
+              "El Indicador Gamma es la herramienta indispensable para cualquier trader que busca una operativa ganadora. Identifica de forma automática y precisa las mejores zonas para asumir riesgo, alineando sus operaciones con los mayores players del mercado."
+            ]
+          },
+          {
+            "title": "🎯 Para Traders Profesionales:",
+            "list": [
+              "Maximice sus ganancias con zonas objetivo identificadas con precisión",
+              "Reduzca drawdowns con puntos de reversión calculados",
+              "Opere alineado con el flujo institucional"
+            ]
+          },
+          {
+            "title": "📚 Para Traders Principiantes:",
+            "list": [
+              "Reduzca los riesgos operando en las zonas más seguras",
+              "Aprenda con señales visuales claras",
+              "Desarrolle disciplina operativa"
+            ]
+          },
+          {
+            "title": "📈 Activos Soportados:"
+          },
+          {
+            "title": "💻 Plataformas Disponibles:"
+          }
+        ],
+        "infoBox": {
+          "title": "📋 Instrucciones de Instalación del Indicador:",
+          "steps": [
+            {
+              "strong": "Realice el pago del producto"
+            },
+            {
+              "strong": "Descargue los archivos",
+              "text": " del producto y extráigalos"
+            },
+            {
+              "strong": "Siga el paso a paso de instalación",
+              "text": " incluido en el archivo de instrucciones"
+            },
+            {
+              "strong": "Si tiene dificultades",
+              "text": " con la instalación, contacte al equipo de soporte por el WhatsApp de Danilo"
+            }
+          ],
+          "note": "Si tiene dudas, póngase en contacto con el equipo"
+        },
+        "specs": {
+          "billing": "Suscripción trimestral",
+          "assets": [
+            {
+              "strong": "ES & MES",
+              "text": " - Futuros del S&P 500"
+            },
+            {
+              "strong": "NQ & MNQ",
+              "text": " - Futuros del Nasdaq"
+            },
+            {
+              "strong": "GC & MGC",
+              "text": " - Futuros del Oro"
+            },
+            {
+              "strong": "MTB",
+              "text": " - Bono del Tesoro"
+            },
+            {
+              "strong": "CL & MCL",
+              "text": " - Petróleo Crudo"
+            }
+          ],
+          "platforms": [
+            {
+              "strong": "NinjaTrader",
+              "text": " - Versión completa con alertas"
+            },
+            {
+              "strong": "Bookmap",
+              "text": " - Integración con order flow"
+            }
+          ],
+          "support": "Equipo de soporte por el WhatsApp de Danilo",
+          "includes": [
+            "Zonas de riesgo y objetivo automáticas",
+            "Alertas en NinjaTrader",
+            "Integración con order flow en Bookmap",
+            "Guía de instalación paso a paso"
+          ]
+        }
+      },
+      "imersao": {
+        "title": "Inmersión 2.0",
+        "nav": {
+          "label": "Inmersión",
+          "footerLabel": "Inmersión 2.0"
+        },
+        "badge": {
+          "label": "Destacado"
+        },
+        "description": "Curso completo y práctico para operar profesionalmente junto a los institucionales.",
+        "features": [
+          "Lectura de Gamma Exposure (GEX)",
+          "Herramientas: SpotGamma, MenthorQ, Bookmap",
+          "Programa completo con {modules} módulos"
+        ],
+        "period": {
+          "short": "curso completo"
+        },
+        "priceNote": "Pago único y acceso de por vida.",
+        "sections": [
+          {
+            "title": "🎓 Curso Completo para Trader Profesional",
+            "paragraphs": [
+              "La Inmersión 2.0 es un curso completo y práctico, diseñado para capacitar a los traders a operar con la misma mentalidad y herramientas que utilizan los grandes players institucionales."
+            ]
+          },
+          {
+            "title": "📚 Módulos del Curso:"
+          },
+          {
+            "title": "📊 Lo Que Recibirá:"
+          },
+          {
+            "title": "🚀 Para Quién es la Inmersión:",
+            "paragraphs": [
+              "Ideal para traders que ya operan pero buscan consistencia, o para principiantes que desean empezar de la forma correcta, alineados con el mercado institucional."
+            ]
+          }
+        ],
+        "infoBox": {
+          "title": "✨ Acceso Exclusivo:",
+          "paragraphs": [
+            {
+              "strong": "Después de la compra recibirá el acceso a Hotmart y las instrucciones para entrar en la comunidad de alumnos."
+            }
+          ]
+        },
+        "specs": {
+          "billing": "Pago único",
+          "assets": [
+            "Índices",
+            "Cripto",
+            "Commodities",
+            "Forex"
+          ],
+          "platforms": [
+            "SpotGamma",
+            "MenthorQ",
+            "Bookmap"
+          ],
+          "support": "Comunidad en Telegram y clases de dudas",
+          "includes": [
+            "Acceso de por vida a la plataforma de miembros",
+            "{modules} módulos de videoclases de alta calidad",
+            "Material de apoyo en PDF",
+            "Comunidad exclusiva en Telegram",
+            "Clases de dudas en vivo y grabadas",
+            "Acceso a las futuras actualizaciones del curso"
+          ]
+        }
+      },
+      "mentoria": {
+        "title": "Mentoría Individual",
+        "nav": {
+          "label": "Mentoría",
+          "footerLabel": "Mentoría"
+        },
+        "badge": {
+          "label": "Premium"
+        },
+        "description": "Programa personalizado y exclusivo para el desarrollo completo del trader profesional.",
+        "features": [
+          "Plan operativo a medida",
+          "Enfoque en sus necesidades específicas",
+          "{mentoriaModules} módulos completos + 3 clases 1x1"
+        ],
+        "period": {
+          "short": "programa completo"
+        },
+        "priceNote": "Valor total del programa completo.",
+        "sections": [
+          {
+            "title": "🎯 Programa Personalizado de Desarrollo",
+            "paragraphs": [
+              "La Mentoría Individual es el camino más rápido hacia la consistencia y el profesionalismo en el trading. Desarrollado e impartido personalmente, este programa se centra en sus necesidades y desafíos específicos y garantiza un plan de trading a medida."
+            ]
+          },
+          {
+            "title": "✔️ Qué Incluye:"
+          },
+          {
+            "title": "🚀 Beneficios Clave:",
+            "list": [
+              "Acelere su curva de aprendizaje.",
+              "Supere desafíos de forma dirigida.",
+              "Desarrolle la disciplina y la mentalidad de un trader exitoso.",
+              "Tenga un mentor experimentado a su lado en cada etapa."
+            ]
+          },
+          {
+            "title": "📚 Temario Completo:"
+          }
+        ],
+        "infoBox": {
+          "title": "✨ Un Paso Adelante:",
+          "paragraphs": [
+            {
+              "strong": "Este programa es su oportunidad de tener un acompañamiento cercano para alcanzar la excelencia en el mercado."
+            }
+          ]
+        },
+        "specs": {
+          "billing": "Pago único",
+          "assets": [
+            "Definidos en tu plan operativo"
+          ],
+          "platforms": [
+            "SpotGamma",
+            "MenthorQ",
+            "Bookmap"
+          ],
+          "support": "Soporte directo y prioritario con Danilo",
+          "includes": [
+            {
+              "strong": "Plan Operativo Exclusivo:",
+              "text": " Creado para su perfil y objetivos."
+            },
+            {
+              "strong": "{modules} Módulos del Curso Inmersión 2.0:",
+              "text": " Acceso completo y de por vida al contenido teórico."
+            },
+            {
+              "strong": "3 Clases Individuales (1x1):",
+              "text": " Sesiones centradas en sus puntos débiles y en la optimización de su estrategia."
+            },
+            {
+              "strong": "Análisis de Desempeño:",
+              "text": " Análisis detallado de su desempeño y plan de mejora continua."
+            },
+            {
+              "strong": "Soporte Directo y Prioritario:",
+              "text": " Acceso exclusivo para resolver sus dudas siempre que lo necesite."
+            }
+          ]
+        }
+      }
+    },
+    "curriculum": {
+      "fundamentos": {
+        "title": "Introducción al Análisis Gamma: Fundamentos e importancia",
+        "lessons": [
+          {
+            "title": "Bienvenida y cómo aprovechar la Inmersión"
+          },
+          {
+            "title": "Opciones para traders: calls, puts y las griegas"
+          },
+          {
+            "title": "Qué es gamma y por qué mueve el mercado"
+          },
+          {
+            "title": "Market makers y la cobertura dinámica"
+          }
+        ]
+      },
+      "gex": {
+        "title": "Lectura de Gamma Exposure (GEX) y Vanna/Charm",
+        "lessons": [
+          {
+            "title": "Cómo se calcula el GEX a partir de la cadena de opciones"
+          },
+          {
+            "title": "Gamma positivo y negativo: regímenes de volatilidad"
+          },
+          {
+            "title": "Call wall, put wall y zero gamma"
+          },
+          {
+            "title": "Vanna y Charm: los flujos de vencimiento"
+          }
+        ]
+      },
+      "plataformas": {
+        "title": "SpotGamma y MenthorQ: Uso profesional de las plataformas",
+        "lessons": [
+          {
+            "title": "Recorrido por SpotGamma: niveles clave y HIRO"
+          },
+          {
+            "title": "MenthorQ: mapas de gamma y niveles diarios"
+          },
+          {
+            "title": "Llevando los niveles al gráfico"
+          }
+        ]
+      },
+      "estrategias": {
+        "title": "Estrategias Operativas: Scalping, Day Trade y Position Trading",
+        "lessons": [
+          {
+            "title": "Scalping en los niveles de gamma"
+          },
+          {
+            "title": "Day trade: rupturas y reversiones"
+          },
+          {
+            "title": "Position trading con el régimen de gamma"
+          },
+          {
+            "title": "Eligiendo la estrategia para cada día"
+          }
+        ]
+      },
+      "fluxo-volume": {
+        "title": "Análisis de Flujo y Volumen: Cómo combinarlo con el análisis Gamma",
+        "lessons": [
+          {
+            "title": "Fundamentos de order flow"
+          },
+          {
+            "title": "Volume profile y VWAP"
+          },
+          {
+            "title": "Confluencia entre flujo y niveles de gamma"
+          }
+        ]
+      },
+      "gestao-risco": {
+        "title": "Gestión de Riesgo y Capital: El secreto de los profesionales",
+        "lessons": [
+          {
+            "title": "Riesgo por operación y tamaño de posición"
+          },
+          {
+            "title": "Stops técnicos en los niveles de gamma"
+          },
+          {
+            "title": "Drawdown, límite diario y preservación del capital"
+          },
+          {
+            "title": "Relación riesgo/beneficio y esperanza matemática"
+          }
+        ]
+      },
+      "ferramentas": {
+        "title": "Herramientas: Bookmap y otros softwares esenciales",
+        "lessons": [
+          {
+            "title": "Bookmap: heatmap de liquidez y configuración"
+          },
+          {
+            "title": "NinjaTrader: gráficos y ejecución"
+          },
+          {
+            "title": "Calendario económico y fuentes de noticias"
+          }
+        ]
+      },
+      "psicologia": {
+        "title": "Psicología del Trading: Control emocional y disciplina",
+        "lessons": [
+          {
+            "title": "Miedo, codicia y los sesgos más comunes"
+          },
+          {
+            "title": "Disciplina: seguir el plan en los días malos"
+          },
+          {
+            "title": "Diario de trading y autoevaluación"
+          }
+        ]
+      },
+      "pratica": {
+        "title": "Operando en la Práctica: Estudios de caso y análisis en vivo",
+        "lessons": [
+          {
+            "title": "Estudio de caso: día de gamma negativo en el S&P 500"
+          },
+          {
+            "title": "Estudio de caso: vencimiento mensual de opciones"
+          },
+          {
+            "title": "Sesión en vivo comentada"
+          }
+        ]
+      },
+      "mercados-avancados": {
+        "title": "Mercados Avanzados: Cripto, commodities y Forex",
+        "lessons": [
+          {
+            "title": "Gamma en Bitcoin: opciones en Deribit"
+          },
+          {
+            "title": "Oro y petróleo: opciones de commodities"
+          },
+          {
+            "title": "Forex: opciones de divisas y niveles en el euro"
+          }
+        ]
+      },
+      "revisao": {
+        "title": "Revisión y Mejora: Sesiones de Q&A",
+        "lessons": [
+          {
+            "title": "Q&A: lectura de gamma y flujo"
+          },
+          {
+            "title": "Q&A: riesgo, rutina y psicología"
+          }
+        ]
+      },
+      "plano-trading": {
+        "title": "Plan de Trading Personal: Desarrolla tu plan",
+        "lessons": [
+          {
+            "title": "Definiendo objetivos y perfil operativo"
+          },
+          {
+            "title": "Reglas de entrada, salida y gestión"
+          },
+          {
+            "title": "Plantilla de plan para completar"
+          }
+        ]
+      },
+      "backtesting": {
+        "title": "Backtesting y Optimización de Estrategias",
+        "lessons": [
+          {
+            "title": "Armando un backtest con niveles históricos"
+          },
+          {
+            "title": "Métricas: tasa de acierto, payoff y drawdown"
+          },
+          {
+            "title": "Evitando el overfitting"
+          }
+        ]
+      },
+      "rotina": {
+        "title": "Rutina de un Trader Profesional",
+        "lessons": [
+          {
+            "title": "Pre-mercado: informe, niveles y escenarios"
+          },
+          {
+            "title": "Durante la sesión: checklist de ejecución"
+          },
+          {
+            "title": "Post-mercado: revisión y diario"
+          }
+        ]
+      },
+      "mentoria-grupo": {
+        "title": "Sesión de Mentoría Grupal",
+        "lessons": [
+          {
+            "title": "Mentoría grupal: análisis de las operaciones de los alumnos"
+          }
+        ]
+      },
+      "mentoria-individual": {
+        "title": "Mentoría Individual: Plan operativo y clases 1x1",
+        "lessons": [
+          {
+            "title": "Cómo funcionan las clases 1x1 y la agenda"
+          },
+          {
+            "title": "Diagnóstico: cuestionario e historial de operaciones"
+          },
+          {
+            "title": "Construyendo tu plan operativo exclusivo"
+          },
+          {
+            "title": "Análisis de rendimiento: métricas de seguimiento"
+          }
+        ]
+      }
+    }
+  }
+};
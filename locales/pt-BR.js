@@ -0,0 +1,341 @@
+// Portuguese (pt-BR) messages: the default locale and the fallback for every
+// other translation. Product copy lives in PRODUCT_CATALOG in script.js.
+window.LOCALE_MESSAGES = window.LOCALE_MESSAGES || {};
+window.LOCALE_MESSAGES['pt-BR'] = {
+  "name": "Português",
+  "messages": {
+    "meta.title": "Danilo Petri - Especialista em Análise Gamma | Trading Profissional",
+    "meta.description": "Danilo Petri - Especialista em análise Gamma para trading profissional. Relatórios, indicadores e mentoria para traders.",
+    "nav.label": "Menu principal",
+    "nav.products": "Produtos",
+    "nav.toggle": "Menu",
+    "nav.close": "Fechar menu",
+    "language.label": "Idioma",
+    "hero.subtitle.analysis": "Análise Profissional",
+    "hero.subtitle.positioning": "Posicionamento Gamma",
+    "hero.stats.success": "Taxa de Sucesso",
+    "hero.stats.support": "Suporte",
+    "about.title": "Sobre a Estratégia Gamma",
+    "about.gamma.title": "Análise Gamma",
+    "about.gamma.text": "O posicionamento Gamma revela as intenções dos grandes players do mercado, oferecendo insights únicos para suas operações.",
+    "about.gamma.item1": "Monitoramento diário das posições institucionais",
+    "about.gamma.item2": "Identificação de áreas de suporte e resistência",
+    "about.gamma.item3": "Antecipação de movimentos do mercado",
+    "about.strategies.title": "Estratégias Avançadas",
+    "about.strategies.text": "Desenvolva estratégias sofisticadas combinando análise Gamma com ferramentas profissionais de última geração.",
+    "about.strategies.item1": "Combinação com análise de fluxo de ordens",
+    "about.strategies.item2": "Uso de ferramentas como Bookmap e SpotGamma",
+    "about.strategies.item3": "Gestão de risco baseada em dados reais",
+    "about.tools.title": "Ferramentas Profissionais",
+    "about.tools.text": "Acesso exclusivo a ferramentas que simplificam e otimizam sua análise de mercado diária.",
+    "about.tools.item1": "Relatórios diários de posicionamento Gamma",
+    "about.tools.item2": "Alertas em tempo real",
+    "about.tools.item3": "Análises automatizadas com IA",
+    "products.title": "Nossos Produtos",
+    "product.learnMore": "Saiba Mais",
+    "product.pricePeriod": "/ {period}",
+    "product.investment": "💰 Investimento:",
+    "cta.title": "Pronto para Elevar Seu Trading?",
+    "cta.text": "Junte-se a milhares de traders que já transformaram seus resultados com nossa metodologia Gamma.",
+    "cta.whatsapp": "Falar com Especialista",
+    "cta.whatsappMessage": "Olá, Danilo! Gostaria de falar com um especialista.",
+    "cta.viewProducts": "Ver Produtos",
+    "footer.tagline": "Especialista em análise Gamma para trading profissional.",
+    "footer.products": "Produtos",
+    "footer.contact": "Contato",
+    "footer.phone": "Telefone",
+    "footer.rights": "© 2025 Danilo Petri Trader. Todos os direitos reservados.",
+    "footer.privacy": "Preferências de privacidade",
+    "modal.close": "Fechar modal",
+    "modal.buy": "Comprar Agora",
+    "modal.contact": "Falar no WhatsApp",
+    "checkout.options": "Forma de pagamento",
+    "checkout.started.title": "✅ Pagamento iniciado",
+    "checkout.started.text": "Abrimos a página de pagamento de {product} em uma nova aba. Depois de pagar, envie o comprovante pelo WhatsApp do Danilo para receber o produto.",
+    "checkout.summary.product": "Produto",
+    "checkout.summary.price": "Valor",
+    "checkout.summary.date": "Data",
+    "checkout.summary.reference": "Referência",
+    "checkout.sendReceipt": "Enviar comprovante",
+    "checkout.reopen": "Abrir pagamento novamente",
+    "whatsapp.receipt.greeting": "Olá, Danilo! Efetuei o pagamento e segue o comprovante.",
+    "whatsapp.receipt.product": "Produto: {product}",
+    "whatsapp.receipt.price": "Valor: {price}",
+    "whatsapp.receipt.date": "Data: {date}",
+    "whatsapp.receipt.reference": "Referência do pedido: {reference}",
+    "whatsapp.contact.greeting": "Olá, Danilo! Tenho interesse em {product} ({price}). Como faço para adquirir?",
+    "whatsapp.contact.reference": "Referência: {reference}",
+    "whatsapp.origin": "Origem: {origin}",
+    "coupon.label": "Cupom de desconto",
+    "coupon.placeholder": "Digite seu cupom",
+    "coupon.apply": "Aplicar",
+    "coupon.remove": "Remover cupom",
+    "coupon.applied": "Cupom {code} aplicado: {discount} de desconto.",
+    "coupon.removed": "Cupom removido. O preço voltou ao valor original.",
+    "coupon.originalPrice": "Preço original:",
+    "coupon.error.empty": "Digite o código do cupom.",
+    "coupon.error.notFound": "O cupom {code} não existe. Confira se digitou o código corretamente.",
+    "coupon.error.notStarted": "O cupom {code} só vale a partir de {date}.",
+    "coupon.error.expired": "O cupom {code} expirou em {date}.",
+    "coupon.error.product": "O cupom {code} não é válido para {product}.",
+    "coupon.error.unavailable": "O cupom {code} ainda não pode ser pago online para {product}. Fale com o Danilo pelo WhatsApp.",
+    "whatsapp.coupon": "Cupom: {code}",
+    "compare.toggle": "Comparar",
+    "compare.toggleLabel": "Comparar {product}",
+    "compare.title": "Comparar Produtos",
+    "compare.hint": "Selecione pelo menos dois produtos para comparar.",
+    "compare.selected": "Produtos selecionados: {count}",
+    "compare.view": "Ver comparação",
+    "compare.clear": "Limpar seleção",
+    "compare.remove": "Remover {product} da comparação",
+    "compare.caption": "Comparação entre os produtos selecionados",
+    "compare.scroll": "Tabela de comparação, role para o lado para ver todos os produtos",
+    "compare.differs": "(difere entre os produtos)",
+    "compare.row.price": "Preço",
+    "compare.row.billing": "Cobrança",
+    "compare.row.assets": "Ativos cobertos",
+    "compare.row.platforms": "Plataformas",
+    "compare.row.support": "Suporte",
+    "compare.row.includes": "O que está incluso",
+    "faq.title": "Perguntas Frequentes",
+    "faq.close": "Fechar perguntas frequentes",
+    "footer.faq": "Perguntas frequentes",
+    "faq.q1": "Como recebo o produto depois de pagar?",
+    "faq.a1": "Relatórios: envie o comprovante pelo WhatsApp do Danilo para começar a receber os relatórios. Indicador: você recebe os arquivos e o passo a passo de instalação. Imersão e Mentoria: o acesso chega pela Hotmart, com as instruções para entrar na comunidade de alunos.",
+    "faq.q2": "As assinaturas são mensais?",
+    "faq.a2": "Não. Os Relatórios Gamma e o Indicador Gamma são assinaturas trimestrais. A Imersão 2.0 e a Mentoria Individual têm pagamento único.",
+    "faq.q3": "Como é feito o pagamento?",
+    "faq.a3": "Relatórios e Indicador são pagos pela InfinitePay; Imersão e Mentoria, pela Hotmart. O botão Comprar Agora abre a página de pagamento em uma nova aba.",
+    "faq.q4": "Em quais plataformas o Indicador funciona?",
+    "faq.a4": "NinjaTrader, com alertas, e Bookmap, integrado ao order flow.",
+    "faq.q5": "Sou iniciante. Por onde começo?",
+    "faq.a5": "A Imersão 2.0 serve tanto para quem está começando quanto para quem já opera e busca consistência. Para acompanhamento individual, a Mentoria inclui todos os módulos da Imersão e 3 aulas 1x1.",
+    "faq.q6": "Ainda tenho dúvidas. Como falo com vocês?",
+    "faq.a6": "Fale com a equipe pelo WhatsApp do Danilo ou pelo Telegram, nos links do rodapé.",
+    "pwa.install": "Instalar app",
+    "pwa.offline.text": "Você está sem conexão. Os produtos continuam aqui; para comprar, fale com a gente no WhatsApp.",
+    "pwa.update.text": "Uma nova versão do site está disponível.",
+    "pwa.update.reload": "Atualizar",
+    "pwa.update.dismiss": "Dispensar",
+    "loading.failed": "Não foi possível carregar esta parte da página.",
+    "loading.contact": "Fale com a gente no WhatsApp",
+    "footer.tools": "Ferramentas",
+    "footer.calculator": "Calculadora de posição",
+    "calculator.title": "Calculadora de Posição",
+    "calculator.intro": "Descubra quantos contratos operar sem passar do risco que você definiu. Vale para todos os ativos do Indicador Gamma.",
+    "calculator.contract": "Contrato",
+    "calculator.account": "Tamanho da conta",
+    "calculator.currency": "Moeda da conta",
+    "calculator.rate": "Cotação do dólar (R$ por US$ 1)",
+    "calculator.risk": "Risco por operação",
+    "calculator.riskMode": "Tipo de risco",
+    "calculator.riskMode.percent": "% da conta",
+    "calculator.riskMode.amount": "Valor na moeda da conta",
+    "calculator.entry": "Preço de entrada",
+    "calculator.stop": "Stop",
+    "calculator.stopMode": "Unidade do stop",
+    "calculator.stopMode.price": "Preço",
+    "calculator.stopMode.ticks": "Ticks",
+    "calculator.stopMode.points": "Pontos",
+    "calculator.target": "Alvo (opcional)",
+    "calculator.disclaimer": "Ferramenta educacional: confira as especificações e margens com a sua corretora antes de operar.",
+    "calculator.spec": "{exchange} · tick {tick} = {tickValue} · 1 ponto = {pointValue}",
+    "calculator.error.contract": "Escolha um contrato.",
+    "calculator.error.rate": "Informe a cotação do dólar para converter a conta em reais.",
+    "calculator.error.account": "Informe o tamanho da conta.",
+    "calculator.error.risk": "Informe o risco por operação.",
+    "calculator.error.entryStop": "Informe o preço de entrada e o stop.",
+    "calculator.error.stop": "O stop precisa ser de pelo menos 1 tick.",
+    "calculator.error.entryTarget": "Informe o preço de entrada para calcular o alvo.",
+    "calculator.error.targetSide": "O alvo precisa estar do lado oposto ao stop.",
+    "calculator.result.budget": "Risco permitido",
+    "calculator.result.stop": "Stop",
+    "calculator.result.stopValue": "{ticks} ticks ({points} pontos)",
+    "calculator.result.perContract": "Risco por contrato",
+    "calculator.result.total": "Risco total",
+    "calculator.result.accountShare": "% da conta em risco",
+    "calculator.result.target": "Alvo",
+    "calculator.result.targetValue": "{ticks} ticks",
+    "calculator.result.ratio": "Risco : retorno",
+    "calculator.result.profit": "Lucro no alvo",
+    "calculator.result.contract": "contrato de {symbol}",
+    "calculator.result.contracts": "contratos de {symbol}",
+    "calculator.note.rounded": "O stop foi arredondado para {ticks} ticks inteiros.",
+    "calculator.note.tooSmall": "Um único contrato arrisca {risk}, mais do que o risco permitido.",
+    "calculator.note.micro": "Considere o micro {symbol} ou um stop mais curto.",
+    "footer.gex": "Calculadora de GEX",
+    "gex.title": "Calculadora de GEX",
+    "gex.intro": "Envie a grade de opções em CSV e veja a exposição gamma dos dealers por strike, o nível de virada (zero gamma) e as paredes de call e put. O arquivo é lido no seu navegador e não sai do seu computador.",
+    "gex.file": "Arraste o CSV aqui ou clique para escolher",
+    "gex.asOf": "Data de referência",
+    "gex.multiplier": "Multiplicador do contrato",
+    "gex.expiry": "Vencimento no gráfico",
+    "gex.expiry.all": "Todos os vencimentos",
+    "gex.format": "Colunas: strike, type (call/put), expiry (AAAA-MM-DD ou DD/MM/AAAA), open_interest, iv (0,18 ou 18%) e spot. Separador vírgula ou ponto e vírgula; decimais com vírgula ou ponto.",
+    "gex.sample": "Baixar CSV de exemplo",
+    "gex.export.png": "Exportar PNG",
+    "gex.export.csv": "Exportar CSV",
+    "gex.disclaimer": "Ferramenta educacional: considera dealers comprados em calls e vendidos em puts, Black-Scholes sem dividendos e GEX por 1% de movimento do ativo.",
+    "gex.loaded": "Opções calculadas: {count}",
+    "gex.rowErrors": "Linhas ignoradas: {count}",
+    "gex.moreErrors": "E mais {count} linhas com erro.",
+    "gex.error.empty": "O arquivo está vazio ou só tem o cabeçalho.",
+    "gex.error.columns": "Colunas ausentes no cabeçalho: {missing}.",
+    "gex.error.noRows": "Nenhuma linha válida no arquivo.",
+    "gex.error.noSpot": "Informe o preço do ativo na coluna spot em pelo menos uma linha.",
+    "gex.error.tooLarge": "O arquivo passa de 5 MB. Exporte só os vencimentos que você quer analisar.",
+    "gex.error.read": "Não foi possível ler o arquivo.",
+    "gex.row.fields": "Linha {line}: {value} colunas, número diferente do cabeçalho.",
+    "gex.row.decimalComma": "Linha {line}: vírgula decimal em arquivo separado por vírgulas; coloque o número entre aspas (\"6000,5\") ou use ponto.",
+    "gex.row.strike": "Linha {line}: strike inválido (\"{value}\").",
+    "gex.row.type": "Linha {line}: tipo inválido (\"{value}\"); use call ou put.",
+    "gex.row.expiry": "Linha {line}: vencimento inválido (\"{value}\"); use AAAA-MM-DD ou DD/MM/AAAA.",
+    "gex.row.expired": "Linha {line}: vencimento {value} anterior à data de referência.",
+    "gex.row.openInterest": "Linha {line}: open interest inválido (\"{value}\").",
+    "gex.row.iv": "Linha {line}: volatilidade implícita inválida (\"{value}\").",
+    "gex.row.spot": "Linha {line}: spot inválido (\"{value}\").",
+    "gex.summary.spot": "Spot",
+    "gex.summary.total": "GEX total",
+    "gex.summary.flip": "Zero gamma",
+    "gex.summary.callWall": "Call wall",
+    "gex.summary.putWall": "Put wall",
+    "gex.chart.title": "GEX líquido por strike",
+    "gex.chart.spot": "Spot",
+    "gex.chart.flip": "Zero gamma",
+    "gex.table.caption": "GEX por vencimento",
+    "gex.table.expiry": "Vencimento",
+    "gex.table.calls": "Calls",
+    "gex.table.puts": "Puts",
+    "gex.table.net": "Líquido",
+    "sampleReport.title": "Veja um relatório de exemplo",
+    "sampleReport.note": "Níveis históricos com atraso, só para demonstração. Horário de Nova York.",
+    "sampleReport.asset": "Ativo",
+    "sampleReport.date": "Data",
+    "sampleReport.levels": "Níveis",
+    "sampleReport.cta": "Quero o relatório completo",
+    "sampleReport.error": "Não foi possível carregar o relatório de exemplo.",
+    "sampleReport.chart": "Preço de {asset} em {date} comparado aos níveis gamma",
+    "sampleReport.readout.close": "Fechamento às {time}: {price}",
+    "sampleReport.readout.point": "{time}: {price}",
+    "sampleReport.nearest": "Sem relatório na data escolhida; mostrando {date}.",
+    "sampleReport.level.callWall": "Call wall",
+    "sampleReport.level.hvl": "HVL",
+    "sampleReport.level.zeroGamma": "Zero gamma",
+    "sampleReport.level.putWall": "Put wall",
+    "marketClock.title": "Horário dos mercados nos EUA",
+    "marketClock.cash": "NYSE (à vista)",
+    "marketClock.globex": "CME Globex",
+    "marketClock.report": "Próximo relatório",
+    "marketClock.state.open": "Aberto",
+    "marketClock.state.pre": "Pré-mercado",
+    "marketClock.state.closed": "Fechado",
+    "marketClock.opens": "abre em {duration} ({time})",
+    "marketClock.closes": "fecha em {duration} ({time})",
+    "marketClock.delivery": "em {duration} ({time})",
+    "marketClock.timezone": "Horários no seu fuso ({zone}).",
+    "marketClock.holiday": "Hoje é feriado nos EUA ({name}): a NYSE não abre.",
+    "marketClock.earlyClose": "Hoje ({name}) a NYSE fecha mais cedo, às {time}.",
+    "footer.subscription": "Minha assinatura",
+    "subscription.title": "Minha Assinatura",
+    "subscription.intro": "Anote quando você assinou e acompanhe as renovações trimestrais, com lembretes no seu calendário. Os dados ficam salvos só neste navegador.",
+    "subscription.product": "Produto",
+    "subscription.date": "Data da compra",
+    "subscription.reminder": "Lembrete",
+    "subscription.reminder.days": "{days} dia(s) antes",
+    "subscription.save": "Salvar assinatura",
+    "subscription.error.date": "Informe a data da compra.",
+    "subscription.error.future": "A data da compra não pode estar no futuro.",
+    "subscription.empty": "Nenhuma assinatura salva ainda. Preencha o formulário para ver as próximas renovações.",
+    "subscription.purchased": "Assinado em {date}",
+    "subscription.next": "Próxima renovação:",
+    "subscription.today": "hoje",
+    "subscription.inDays": "em {days} dia(s)",
+    "subscription.upcoming": "Renovações seguintes",
+    "subscription.renew": "Renovar agora",
+    "subscription.calendar": "Adicionar ao calendário",
+    "subscription.remove": "Remover",
+    "subscription.removeLabel": "Remover {product}",
+    "subscription.calendar.summary": "Renovação: {product}",
+    "subscription.calendar.reminder": "{product} renova em {days} dia(s)",
+    "subscription.calendar.description": "Renove a assinatura de {product} ({price}) para não perder o acesso: {url}",
+    "booking.open": "Agendar aulas 1x1",
+    "booking.title": "Agendar aulas 1x1",
+    "booking.intro": "Escolha os horários das suas aulas individuais. A reserva é confirmada pelo Danilo no WhatsApp.",
+    "booking.loading": "Carregando horários disponíveis…",
+    "booking.empty": "Não há horários livres no momento. Fale com o Danilo no WhatsApp para combinar outro dia.",
+    "booking.duration": "{minutes} min",
+    "booking.conflict": "Choca com outro horário escolhido",
+    "booking.selected": "Aulas escolhidas: {count} de {max}.",
+    "booking.timezone": "Horários no seu fuso ({zone}).",
+    "booking.error.limit": "Você pode escolher no máximo o número de aulas incluídas.",
+    "booking.error.conflict": "Dois horários escolhidos se sobrepõem. Desmarque um deles.",
+    "booking.error.unavailable": "Um dos horários escolhidos não está mais disponível. Escolha outro.",
+    "booking.error.load": "Não foi possível carregar os horários.",
+    "booking.whatsapp.intro": "Olá, Danilo! Sou aluno(a) da Mentoria Individual e quero agendar minhas aulas 1x1:",
+    "booking.whatsapp.slot": "{index}. {date}, {start}–{end} ({zone})",
+    "booking.whatsapp.outro": "Pode confirmar esses horários?",
+    "booking.whatsapp.fallback": "Olá, Danilo! Sou aluno(a) da Mentoria Individual e quero agendar minhas aulas 1x1.",
+    "booking.whatsapp.button": "Confirmar no WhatsApp",
+    "booking.calendar.button": "Baixar convite (.ics)",
+    "booking.calendar.name": "Mentoria 1x1",
+    "booking.calendar.summary": "Mentoria 1x1 com Danilo Petri ({index}/{total})",
+    "booking.calendar.description": "Aula individual da Mentoria. O horário fica confirmado depois da resposta do Danilo no WhatsApp.",
+    "lead.title": "Prefere que a gente fale com você?",
+    "lead.intro": "Deixe seus contatos e a equipe do Danilo retorna no melhor momento, sem compromisso.",
+    "lead.name": "Nome",
+    "lead.email": "E-mail",
+    "lead.phone": "WhatsApp",
+    "lead.phonePlaceholder": "(11) 91234-5678",
+    "lead.product": "Produto de interesse",
+    "lead.productAny": "Ainda não sei",
+    "lead.consent": "Concordo em ser contatado(a) pela equipe do Danilo Petri por e-mail e WhatsApp sobre os produtos, conforme a LGPD. Posso pedir a exclusão dos meus dados a qualquer momento.",
+    "lead.submit": "Quero ser contatado",
+    "lead.error.name": "Informe seu nome.",
+    "lead.error.emailRequired": "Informe seu e-mail.",
+    "lead.error.email": "Informe um e-mail válido, como nome@exemplo.com.",
+    "lead.error.phoneRequired": "Informe seu WhatsApp.",
+    "lead.error.phone": "Informe um celular ou telefone brasileiro com DDD, como (11) 91234-5678.",
+    "lead.error.consent": "Para entrarmos em contato, precisamos da sua autorização.",
+    "lead.status.invalid": "Revise os campos destacados.",
+    "lead.status.sending": "Enviando…",
+    "lead.status.sent": "Recebemos seus dados! Em breve a equipe fala com você.",
+    "lead.status.waitlist": "Você está na lista de espera de {product}. Avisaremos assim que abrirem novas vagas.",
+    "lead.status.queued": "Não conseguimos enviar agora: seus dados ficaram salvos neste aparelho e serão enviados automaticamente assim que possível.",
+    "lead.status.duplicate": "Já recebemos seus dados recentemente. Em breve a equipe fala com você.",
+    "lead.status.rejected": "Não foi possível enviar seus dados. Fale com a gente pelo WhatsApp.",
+    "lead.status.unsupported": "Este navegador não consegue enviar o formulário por uma conexão sem HTTPS. Fale com a gente pelo WhatsApp.",
+    "lead.waitlist.title": "Vagas esgotadas",
+    "lead.waitlist.text": "As vagas de {product} estão esgotadas no momento. Entre na lista de espera para ser avisado(a) quando abrirem novas vagas.",
+    "lead.waitlist.submit": "Entrar na lista de espera",
+    "lead.waitlist.whatsapp": "Entrar na lista pelo WhatsApp",
+    "lead.waitlist.message": "Olá Danilo! Quero entrar na lista de espera de {product}.",
+    "curriculum.search": "Buscar na ementa",
+    "curriculum.searchPlaceholder": "Buscar aula ou assunto (ex.: vanna, stop, Bookmap)",
+    "curriculum.topics": "Filtrar por tema",
+    "curriculum.topic.all": "Todos",
+    "curriculum.topic.gamma": "Gamma",
+    "curriculum.topic.fluxo": "Fluxo",
+    "curriculum.topic.risco": "Risco",
+    "curriculum.topic.psicologia": "Psicologia",
+    "curriculum.summary": "{modules} módulo(s) · {lessons} aula(s) · {duration}",
+    "curriculum.empty": "Nenhuma aula encontrada. Tente outra busca ou outro tema.",
+    "curriculum.moduleMeta": "{lessons} aula(s) · {duration}",
+    "curriculum.includedIn": "Incluso em:",
+    "consent.banner.label": "Aviso de privacidade",
+    "consent.banner.heading": "Sua privacidade importa.",
+    "consent.banner.text": "Usamos recursos necessários para o site funcionar e, com a sua permissão, ferramentas de análise e marketing, conforme a LGPD. Você pode mudar sua escolha a qualquer momento em \"Preferências de privacidade\", no rodapé.",
+    "consent.banner.preferences": "Preferências",
+    "consent.banner.reject": "Recusar opcionais",
+    "consent.banner.accept": "Aceitar todos",
+    "consent.dialog.title": "Preferências de Privacidade",
+    "consent.dialog.close": "Fechar preferências",
+    "consent.dialog.intro": "Escolha quais categorias de cookies e armazenamento local podemos usar. Ao revogar uma categoria, paramos de enviar eventos e apagamos os identificadores que guardamos.",
+    "consent.dialog.save": "Salvar preferências",
+    "consent.necessary.label": "Necessários",
+    "consent.necessary.description": "Essenciais para o site funcionar, como lembrar estas preferências e o idioma. Sempre ativos.",
+    "consent.analytics.label": "Análise",
+    "consent.analytics.description": "Medição anônima de visitas e do uso das páginas para melhorar o site.",
+    "consent.marketing.label": "Marketing",
+    "consent.marketing.description": "Pixels de anúncios e origem de campanhas e indicações."
+  }
+};
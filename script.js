@@ -3,6 +3,11 @@
 // ========================================
 const ANIMATION_DURATION = 300;
 const SCROLL_OFFSET = 100;
+const WHATSAPP_NUMBER = '5511958300001';
+const STORAGE_PREFIX = 'dpt:';
+const MAX_STORED_ORDERS = 20;
+const ATTRIBUTION_TTL_DAYS = 30;
+const ATTRIBUTION_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'ref', 'fbclid'];
 
 // Utility functions
 const debounce = (func, wait) => {
@@ -30,598 +35,6551 @@ const throttle = (func, limit) => {
   }
 };
 
+// localStorage wrapper: JSON values under a common prefix, never throws
+// (storage can be full or disabled in private browsing)
+const storage = {
+  get(key, fallback = null) {
+    try {
+      const raw = localStorage.getItem(STORAGE_PREFIX + key);
+      return raw === null ? fallback : JSON.parse(raw);
+    } catch (error) {
+      return fallback;
+    }
+  },
+
+  set(key, value) {
+    try {
+      localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value));
+    } catch (error) {
+      console.warn('Storage unavailable:', error);
+    }
+  },
+
+  remove(key) {
+    try {
+      localStorage.removeItem(STORAGE_PREFIX + key);
+    } catch (error) {
+      console.warn('Storage unavailable:', error);
+    }
+  }
+};
+
+const buildWhatsAppUrl = (message) => `https://wa.me/${WHATSAPP_NUMBER}?text=${encodeURIComponent(message)}`;
+
+// Short, human-readable order reference, e.g. DP-LX3K9Q-7F2A
+const generateOrderReference = () => {
+  const time = Date.now().toString(36).toUpperCase();
+  const random = Math.random().toString(36).slice(2, 6).toUpperCase().padEnd(4, '0');
+  return `DP-${time}-${random}`;
+};
+
+const formatDateTime = (date) => new Intl.DateTimeFormat(i18n.locale, {
+  dateStyle: 'short',
+  timeStyle: 'short'
+}).format(date);
+
+// Collects event listeners and store subscriptions so a component's
+// destroy() can undo everything its init() set up
+class Subscriptions {
+  constructor() {
+    this.cleanups = [];
+  }
+
+  on(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.cleanups.push(() => target.removeEventListener(type, handler, options));
+    return handler;
+  }
+
+  // Takes the unsubscribe function returned by i18n, consent, coupons...
+  add(unsubscribe) {
+    this.cleanups.push(unsubscribe);
+    return unsubscribe;
+  }
+
+  dispose() {
+    this.cleanups.splice(0).reverse().forEach(cleanup => cleanup());
+  }
+}
+
+// Runs `callback` once `element` comes within `margin` of the viewport (right
+// away where IntersectionObserver is missing); returns a cancel function
+const whenNearViewport = (element, callback, { margin = '300px' } = {}) => {
+  if (!('IntersectionObserver' in window)) {
+    callback();
+    return () => {};
+  }
+
+  const observer = new IntersectionObserver(entries => {
+    if (entries.some(entry => entry.isIntersecting)) {
+      observer.disconnect();
+      callback();
+    }
+  }, { rootMargin: margin });
+
+  observer.observe(element);
+  return () => observer.disconnect();
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// A date in the visitor's time zone (today by default), as YYYY-MM-DD
+const localDate = (date = new Date()) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+const prefersReducedMotion = () => window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+const FOCUSABLE_SELECTOR = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
+
+const getFocusableElements = (container) => Array.from(container.querySelectorAll(FOCUSABLE_SELECTOR))
+  .filter(element => !element.disabled && !element.closest('[hidden]'));
+
+// DOM builder used for every dynamic fragment instead of HTML strings, so
+// catalog and translated copy can never inject markup:
+//   h('a', { class: ['scroll-link', active && 'is-active'], href: '#sobre' }, h('span', {}, label))
+// Props become attributes (`true` for boolean ones; null, undefined and false
+// are skipped) except `class`, which also takes an array, and `dataset`.
+// Children may be strings, numbers, nodes, nested arrays or falsy (skipped).
+const h = (tag, props = {}, ...children) => build(document.createElement(tag), props, children);
+
+// Same as h() for SVG elements (charts)
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const svg = (tag, props = {}, ...children) => build(document.createElementNS(SVG_NS, tag), props, children);
+
+const build = (element, props, children) => {
+  Object.entries(props).forEach(([name, value]) => {
+    if (value === null || value === undefined || value === false) {
+      return;
+    }
+    if (name === 'class') {
+      element.setAttribute('class', [].concat(value).filter(Boolean).join(' '));
+    } else if (name === 'dataset') {
+      Object.assign(element.dataset, value);
+    } else {
+      element.setAttribute(name, value === true ? '' : String(value));
+    }
+  });
+
+  element.append(...flattenChildren(children));
+  return element;
+};
+
+const flattenChildren = (children) => children
+  .flat(Infinity)
+  .filter(child => child !== null && child !== undefined && child !== false && child !== '')
+  .map(child => (child instanceof Node ? child : String(child)));
+
+// Replaces the content of `container` with the given children
+const setChildren = (container, ...children) => {
+  container.replaceChildren(...flattenChildren(children));
+};
+
+const icon = (classes) => h('i', { class: classes, 'aria-hidden': 'true' });
+
+// Saves `content` (a string or a Blob) as a file on the visitor's device
+const downloadFile = (content, filename, type = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = h('a', { href: url, download: filename, hidden: true });
+
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Products are always charged in BRL (tools like the risk calculator also
+// show USD); only the notation follows the locale
+const formatPrice = (value, { cents = true, currency = 'BRL' } = {}) => new Intl.NumberFormat(i18n.locale, {
+  style: 'currency',
+  currency,
+  minimumFractionDigits: cents ? 2 : 0,
+  maximumFractionDigits: cents ? 2 : 0
+}).format(value);
+
+const formatNumber = (value, { decimals = 2 } = {}) => new Intl.NumberFormat(i18n.locale, {
+  minimumFractionDigits: decimals,
+  maximumFractionDigits: decimals
+}).format(value);
+
+// Reads numbers typed the Brazilian or the US way ("1.234,5", "1,234.5",
+// "0,25"); returns NaN for anything else. With a single separator, a dot
+// followed by exactly three digits is read as thousands in pt-BR/es, unless
+// `grouping` is false (data files, where a lone separator is always decimal).
+const parseDecimal = (input, { grouping = true } = {}) => {
+  let text = String(input).trim().replace(/\s|R\$|US\$|\$/g, '');
+  if (!/^-?[\d.,]+$/.test(text)) {
+    return NaN;
+  }
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    const decimal = lastComma > lastDot ? ',' : '.';
+    text = text.split(decimal === ',' ? '.' : ',').join('').replace(decimal, '.');
+  } else if (lastComma !== -1) {
+    text = text.split(',').length > 2 ? text.replace(/,/g, '') : text.replace(',', '.');
+  } else if (lastDot !== -1) {
+    const thousands = text.split('.').length > 2
+      || (grouping && i18n.locale !== 'en' && /^-?\d{1,3}\.\d{3}$/.test(text));
+    if (thousands) {
+      text = text.replace(/\./g, '');
+    }
+  }
+
+  return text === '' || text === '-' ? NaN : Number(text);
+};
+
+// ========================================
+// PRODUCT CATALOG
+// ========================================
+// Single source of truth for every product: the cards, the navigation links
+// and the modal bodies are all rendered from these entries.
+//
+// Rich text (list items and paragraphs) is either a plain string or an object
+// `{ strong, text }`, rendered as a bold lead followed by regular text.
+//
+// `specs` holds the facts lined up by the comparison view (billing, assets,
+// platforms, support and what's included). A section with `spec: '<key>'`
+// lists that spec in the modal instead of items of its own, so the modal and
+// the comparison read the same list.
+//
+// `renewalMonths` marks subscriptions and how often they renew; those
+// products can be tracked in "Minha assinatura" (SUBSCRIPTION TRACKER).
+//
+// `booking: { sessions }` adds a button to the modal that opens the 1x1
+// session booking (MENTORIA BOOKING) with that many sessions to pick.
+//
+// `waitlist: true` marks a sold-out product (or one between cohorts): its
+// modal offers the waitlist form (LEAD CAPTURE) instead of the checkout.
+//
+// A section with `curriculum: true` shows the curriculum explorer (CURRICULUM
+// EXPLORER) in place of a list.
+//
+// `checkout` names a payment provider (see PAYMENT PROVIDERS) plus its link
+// settings; InfinitePay links also give the `amount` they were issued for,
+// which has to match the price. Alternatives go in `checkout.options`, each
+// overriding the base settings and optionally the price (with its own link),
+// e.g.
+//   options: [{ id: 'pix', label: 'PIX à vista', price: 270, code: '...', amount: 270 }]
+
+// Imersão 2.0 curriculum, browsed in the Imersão and Mentoria modals
+// (CURRICULUM EXPLORER). `topics` feed its filters, `includedIn` lists the
+// products that grant the module and lesson durations are in minutes.
+// Translations go in catalog.curriculum.<id> of each locale.
+const CURRICULUM_TOPICS = ['gamma', 'fluxo', 'risco', 'psicologia'];
+
+const IMERSAO_CURRICULUM = [
+  {
+    id: 'fundamentos',
+    title: 'Introdução à Análise Gamma: Fundamentos e importância',
+    topics: ['gamma'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Boas-vindas e como aproveitar a Imersão', minutes: 14 },
+      { title: 'Opções para traders: calls, puts e as gregas', minutes: 22 },
+      { title: 'O que é gamma e por que ele move o mercado', minutes: 26 },
+      { title: 'Market makers e o hedge dinâmico', minutes: 19 }
+    ]
+  },
+  {
+    id: 'gex',
+    title: 'Leitura de Gamma Exposure (GEX) e Vanna/Charm',
+    topics: ['gamma'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Como o GEX é calculado a partir da cadeia de opções', minutes: 28 },
+      { title: 'Gamma positivo e negativo: regimes de volatilidade', minutes: 24 },
+      { title: 'Call wall, put wall e zero gamma', minutes: 21 },
+      { title: 'Vanna e Charm: os fluxos de vencimento', minutes: 25 }
+    ]
+  },
+  {
+    id: 'plataformas',
+    title: 'SpotGamma & MenthorQ: Uso profissional das plataformas',
+    topics: ['gamma'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Tour pelo SpotGamma: níveis-chave e HIRO', minutes: 23 },
+      { title: 'MenthorQ: mapas de gamma e níveis diários', minutes: 20 },
+      { title: 'Levando os níveis para o gráfico', minutes: 17 }
+    ]
+  },
+  {
+    id: 'estrategias',
+    title: 'Estratégias Operacionais: Scalping, Day Trade e Position Trading',
+    topics: ['gamma', 'fluxo'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Scalping nos níveis de gamma', minutes: 26 },
+      { title: 'Day trade: rompimentos e reversões', minutes: 29 },
+      { title: 'Position trading com o regime de gamma', minutes: 24 },
+      { title: 'Escolhendo a estratégia para cada dia', minutes: 18 }
+    ]
+  },
+  {
+    id: 'fluxo-volume',
+    title: 'Análise de Fluxo e Volume: Como combinar com a análise Gamma',
+    topics: ['fluxo', 'gamma'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Fundamentos de order flow', minutes: 22 },
+      { title: 'Volume profile e VWAP', minutes: 25 },
+      { title: 'Confluência entre fluxo e níveis de gamma', minutes: 27 }
+    ]
+  },
+  {
+    id: 'gestao-risco',
+    title: 'Gestão de Risco e Capital: O segredo dos profissionais',
+    topics: ['risco'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Risco por operação e tamanho de posição', minutes: 21 },
+      { title: 'Stops técnicos nos níveis de gamma', minutes: 18 },
+      { title: 'Drawdown, limite diário e preservação de capital', minutes: 20 },
+      { title: 'Relação risco/retorno e expectativa matemática', minutes: 16 }
+    ]
+  },
+  {
+    id: 'ferramentas',
+    title: 'Ferramentas: Bookmap e outros softwares essenciais',
+    topics: ['fluxo'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Bookmap: heatmap de liquidez e configuração', minutes: 24 },
+      { title: 'NinjaTrader: gráficos e execução', minutes: 19 },
+      { title: 'Calendário econômico e fontes de notícias', minutes: 12 }
+    ]
+  },
+  {
+    id: 'psicologia',
+    title: 'Psicologia do Trading: Controle emocional e disciplina',
+    topics: ['psicologia'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Medo, ganância e os vieses mais comuns', minutes: 20 },
+      { title: 'Disciplina: seguir o plano nos dias ruins', minutes: 17 },
+      { title: 'Diário de trading e autoavaliação', minutes: 15 }
+    ]
+  },
+  {
+    id: 'pratica',
+    title: 'Operando na Prática: Estudos de caso e análises ao vivo',
+    topics: ['gamma', 'fluxo'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Estudo de caso: dia de gamma negativo no S&P 500', minutes: 34 },
+      { title: 'Estudo de caso: vencimento mensal de opções', minutes: 31 },
+      { title: 'Pregão ao vivo comentado', minutes: 45 }
+    ]
+  },
+  {
+    id: 'mercados-avancados',
+    title: 'Mercados Avançados: Cripto, commodities e Forex',
+    topics: ['gamma'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Gamma no Bitcoin: opções na Deribit', minutes: 23 },
+      { title: 'Ouro e petróleo: opções de commodities', minutes: 19 },
+      { title: 'Forex: opções de moedas e níveis no euro', minutes: 18 }
+    ]
+  },
+  {
+    id: 'revisao',
+    title: 'Revisão e Aprimoramento: Sessões de Q&A',
+    topics: ['gamma', 'fluxo', 'risco', 'psicologia'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Q&A: leitura de gamma e fluxo', minutes: 52 },
+      { title: 'Q&A: risco, rotina e psicologia', minutes: 48 }
+    ]
+  },
+  {
+    id: 'plano-trading',
+    title: 'Plano de Trading Pessoal: Desenvolva o seu plano',
+    topics: ['risco', 'psicologia'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Definindo objetivos e perfil operacional', minutes: 16 },
+      { title: 'Regras de entrada, saída e gestão', minutes: 22 },
+      { title: 'Modelo de plano para preencher', minutes: 14 }
+    ]
+  },
+  {
+    id: 'backtesting',
+    title: 'Backtesting e Otimização de Estratégias',
+    topics: ['risco'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Montando um backtest com níveis históricos', minutes: 21 },
+      { title: 'Métricas: taxa de acerto, payoff e drawdown', minutes: 18 },
+      { title: 'Evitando overfitting', minutes: 16 }
+    ]
+  },
+  {
+    id: 'rotina',
+    title: 'Rotina de um Trader Profissional',
+    topics: ['psicologia', 'risco'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Pré-mercado: relatório, níveis e cenários', minutes: 15 },
+      { title: 'Durante o pregão: checklist de execução', minutes: 13 },
+      { title: 'Pós-mercado: revisão e diário', minutes: 12 }
+    ]
+  },
+  {
+    id: 'mentoria-grupo',
+    title: 'Sessão de Mentoria em Grupo',
+    topics: ['psicologia', 'risco'],
+    includedIn: ['imersao', 'mentoria'],
+    lessons: [
+      { title: 'Mentoria em grupo: análise das operações dos alunos', minutes: 75 }
+    ]
+  },
+  {
+    id: 'mentoria-individual',
+    title: 'Mentoria Individual: Plano operacional e aulas 1x1',
+    topics: ['risco', 'psicologia'],
+    includedIn: ['mentoria'],
+    lessons: [
+      { title: 'Como funcionam as aulas 1x1 e o agendamento', minutes: 10 },
+      { title: 'Diagnóstico: questionário e histórico de operações', minutes: 20 },
+      { title: 'Construindo o seu plano operacional exclusivo', minutes: 25 },
+      { title: 'Análise de performance: métricas de acompanhamento', minutes: 18 }
+    ]
+  }
+];
+
+const getCurriculum = (productId) => IMERSAO_CURRICULUM.filter(module => module.includedIn.includes(productId));
+
+const IMERSAO_MODULE_COUNT = getCurriculum('imersao').length;
+const MENTORIA_MODULE_COUNT = getCurriculum('mentoria').length;
+
+const REPORT_PURCHASE_STEPS = {
+  title: '📋 Instruções de Compra e Recebimento dos Relatórios:',
+  steps: [
+    { strong: 'Efetue o pagamento do produto' },
+    { strong: 'Enviar comprovante pelo WhatsApp do Danilo' },
+    { strong: 'Receber o produto' }
+  ],
+  note: 'Havendo dúvidas, entre em contato com a equipe'
+};
+
+const PRODUCT_CATEGORIES = [
+  {
+    id: 'relatorios',
+    title: 'Relatórios Gamma',
+    nav: { label: 'Relatórios', footerLabel: 'Relatórios Gamma', icon: 'fa-chart-line' }
+  },
+  {
+    id: 'ferramentas',
+    title: 'Ferramentas e Educação'
+  },
+  {
+    id: 'programas',
+    layout: 'single'
+  }
+];
+
+const PRODUCT_CATALOG = [
+  {
+    id: 'gamma-indices',
+    category: 'relatorios',
+    title: 'Relatório Gamma - Índices',
+    icon: 'fa-chart-line',
+    badge: { label: 'Popular' },
+    description: 'Informação profissional sobre posicionamento Gamma para os principais índices do mercado.',
+    features: [
+      'SPX, Nasdaq e VIX',
+      'Suportes e resistências diárias',
+      'Análise para day trade e position trading'
+    ],
+    price: 300,
+    period: { short: 'trimestre', long: 'por trimestre' },
+    renewalMonths: 3,
+    priceNote: 'Trabalhamos apenas com assinaturas trimestrais para garantir consistência nos resultados.',
+    specs: {
+      billing: 'Assinatura trimestral',
+      assets: ['SPX', 'Nasdaq', 'VIX'],
+      platforms: ['Qualquer plataforma (níveis de referência)'],
+      support: 'Suporte técnico via Telegram',
+      includes: [
+        { strong: 'Posicionamento Gamma', text: ' para os ativos SPX, Nasdaq e VIX' },
+        { strong: 'Principais Suportes e Resistências', text: ' identificados para cada dia de negociação' },
+        { strong: 'Análises técnicas complementares', text: ' baseadas em fluxo institucional' }
+      ]
+    },
+    checkout: { provider: 'infinitepay', code: 'VC1D-5wgZ9JkIvb', amount: 300 },
+    sections: [
+      {
+        title: '📈 Informação Profissional ao Seu Alcance',
+        paragraphs: ['Nosso Relatório de Posicionamento Gamma é um material profundo e detalhado, projetado para oferecer insights valiosos sobre o mercado. Ele traz um acompanhamento diário das posições dos market makers e de outros grandes players, em todas as classes de ativos.']
+      },
+      {
+        title: '📊 Dados Tratados por Especialistas:',
+        spec: 'includes'
+      },
+      {
+        title: '🎯 Para Day Trade e Position Trading:',
+        paragraphs: ['Extraia o melhor dos dois mundos operacionais, com dados precisos que ajudam você a tomar decisões informadas e estratégicas em qualquer timeframe.']
+      },
+      {
+        title: '💎 Diferenciais:',
+        list: [
+          'Relatórios enviados diariamente antes da abertura do mercado',
+          'Análise baseada em dados reais de posicionamento institucional',
+          'Suporte técnico via Telegram para esclarecimentos',
+          'Histórico de assertividade comprovada'
+        ],
+        closing: [{ strong: 'Com esse relatório, você terá em mãos as mesmas informações utilizadas pelos maiores fundos de investimento, permitindo que você opere com a confiança de um profissional.' }]
+      }
+    ],
+    infoBox: REPORT_PURCHASE_STEPS
+  },
+  {
+    id: 'gamma-cripto',
+    category: 'relatorios',
+    title: 'Relatório Gamma - Cripto',
+    icon: 'fa-coins',
+    iconVariant: 'crypto',
+    description: 'Informação profissional sobre posicionamento Gamma para criptomoedas e commodities.',
+    features: [
+      'Bitcoin, Euro e Ouro',
+      'Suportes e resistências diárias',
+      'Análise institucional do mercado'
+    ],
+    price: 300,
+    period: { short: 'trimestre', long: 'por trimestre' },
+    renewalMonths: 3,
+    priceNote: 'Assinatura trimestral para máxima consistência nos resultados.',
+    specs: {
+      billing: 'Assinatura trimestral',
+      assets: [
+        { strong: 'Bitcoin (BTC)', text: ' - Principal criptomoeda mundial' },
+        { strong: 'Euro (EUR)', text: ' - Moeda de referência global' },
+        { strong: 'Ouro (Gold)', text: ' - Ativo de proteção tradicional' }
+      ],
+      platforms: ['Qualquer plataforma (níveis de referência)'],
+      support: 'WhatsApp do Danilo',
+      includes: [
+        { strong: 'Posicionamento Gamma', text: ' para Bitcoin, Euro e Ouro' },
+        { strong: 'Principais Suportes e Resistências', text: ' para operações diárias' },
+        { strong: 'Análise de correlações', text: ' entre os ativos monitorados' },
+        { strong: 'Fluxo institucional', text: ' em tempo real' }
+      ]
+    },
+    // Issued for R$ 299,99: checkout.checkCatalog() disables it and the sale
+    // goes through WhatsApp until the link is reissued at R$ 300,00 and its
+    // code (and amount) replaced here
+    checkout: { provider: 'infinitepay', host: 'link.infinitepay.io', code: 'VC1D-9zjvyg6L', amount: 299.99 },
+    sections: [
+      {
+        title: '🚀 Informação Profissional para Criptomoedas',
+        paragraphs: ['Nosso Relatório especializado em Criptomoedas e Commodities aplica a mesma metodologia gamma utilizada pelos grandes fundos, adaptada para os mercados de Bitcoin, Euro e Ouro.']
+      },
+      {
+        title: '📊 Dados Tratados por Especialistas:',
+        spec: 'includes'
+      },
+      {
+        title: '⚡ Para Day Trade e Position Trading:',
+        paragraphs: ['Opere com segurança nos mercados mais voláteis, tendo sempre à disposição os níveis mais importantes calculados através da metodologia Gamma.']
+      },
+      {
+        title: '🎯 Mercados Cobertos:',
+        spec: 'assets'
+      }
+    ],
+    infoBox: REPORT_PURCHASE_STEPS
+  },
+  {
+    id: 'indicador-gamma',
+    category: 'ferramentas',
+    anchor: 'indicador',
+    nav: { label: 'Indicador', footerLabel: 'Indicador', icon: 'fa-chart-bar' },
+    title: 'Indicador Gamma',
+    icon: 'fa-chart-bar',
+    iconVariant: 'indicator',
+    description: 'Ferramenta profissional para identificação automática de zonas de risco e oportunidade.',
+    features: [
+      'Ativos: ES, MES, NQ, MNQ, GC, MGC, MTB, CL e MCL',
+      'Disponível para NinjaTrader e Bookmap',
+      'Para traders iniciantes e profissionais'
+    ],
+    price: 300,
+    period: { short: 'trimestre', long: 'por trimestre' },
+    renewalMonths: 3,
+    priceNote: 'Assinatura trimestral para garantir consistência nos resultados.',
+    specs: {
+      billing: 'Assinatura trimestral',
+      assets: [
+        { strong: 'ES & MES', text: ' - S&P 500 Futures' },
+        { strong: 'NQ & MNQ', text: ' - Nasdaq Futures' },
+        { strong: 'GC & MGC', text: ' - Gold Futures' },
+        { strong: 'MTB', text: ' - Treasury Bond' },
+        { strong: 'CL & MCL', text: ' - Crude Oil' }
+      ],
+      platforms: [
+        { strong: 'NinjaTrader', text: ' - Versão completa com alertas' },
+        { strong: 'Bookmap', text: ' - Integração com order flow' }
+      ],
+      support: 'Equipe de suporte via WhatsApp do Danilo',
+      includes: ['Zonas de risco e alvo automáticas', 'Alertas no NinjaTrader', 'Integração com order flow no Bookmap', 'Passo a passo de instalação']
+    },
+    checkout: { provider: 'infinitepay', code: 'VC1D-6qDIKOF6F', amount: 300 },
+    sections: [
+      {
+        title: '🛠️ Ferramenta Profissional de Trading',
+        paragraphs: ['O Indicador Gamma é a ferramenta indispensável para qualquer trader que deseja um operacional vencedor. Ele identifica, de forma automática e precisa, as melhores regiões para tomada de risco, alinhando suas operações com os maiores players do mercado.']
+      },
+      {
+        title: '🎯 Para Traders Profissionais:',
+        list: [
+          'Maximize seus lucros com zonas de alvo identificadas com precisão',
+          'Reduza drawdowns através de pontos de reversão calculados',
+          'Opere alinhado com o fluxo institucional'
+        ]
+      },
+      {
+        title: '📚 Para Traders Iniciantes:',
+        list: [
+          'Reduza os riscos operando nas zonas mais seguras',
+          'Aprenda através de sinais visuais claros',
+          'Desenvolva disciplina operacional'
+        ]
+      },
+      {
+        title: '📈 Ativos Suportados:',
+        spec: 'assets'
+      },
+      {
+        title: '💻 Plataformas Disponíveis:',
+        spec: 'platforms'
+      }
+    ],
+    infoBox: {
+      title: '📋 Instruções de Instalação do Indicador:',
+      steps: [
+        { strong: 'Efetue o pagamento do produto' },
+        { strong: 'Baixe os arquivos', text: ' do produto e extraia-os' },
+        { strong: 'Siga o passo a passo de instalação', text: ' contido no arquivo de instruções' },
+        { strong: 'Caso tenha dificuldade', text: ' na instalação, entre em contato com a equipe de suporte através do WhatsApp do Danilo' }
+      ],
+      note: 'Havendo dúvidas, entre em contato com a equipe'
+    }
+  },
+  {
+    id: 'imersao',
+    category: 'ferramentas',
+    anchor: 'imersao',
+    nav: { label: 'Imersão', footerLabel: 'Imersão 2.0', icon: 'fa-user-graduate' },
+    title: 'Imersão 2.0',
+    icon: 'fa-graduation-cap',
+    iconVariant: 'education',
+    variant: 'featured',
+    badge: { label: 'Destaque', variant: 'featured' },
+    description: 'Curso completo e prático para operar profissionalmente com os institucionais.',
+    features: [
+      'Leitura de Gamma Exposure (GEX)',
+      'Ferramentas: SpotGamma, MenthorQ, Bookmap',
+      `Ementa completa com ${IMERSAO_MODULE_COUNT} módulos`
+    ],
+    price: 1000,
+    period: { short: 'curso completo' },
+    priceNote: 'Pagamento único e acesso vitalício.',
+    specs: {
+      billing: 'Pagamento único',
+      assets: ['Índices', 'Cripto', 'Commodities', 'Forex'],
+      platforms: ['SpotGamma', 'MenthorQ', 'Bookmap'],
+      support: 'Comunidade no Telegram e aulas de tira-dúvidas',
+      includes: [
+        'Acesso vitalício à plataforma de membros',
+        `${IMERSAO_MODULE_COUNT} módulos de vídeo aulas de alta qualidade`,
+        'Material de apoio em PDF',
+        'Comunidade exclusiva no Telegram',
+        'Aulas de tira-dúvidas ao vivo e gravadas',
+        'Acesso às atualizações futuras do curso'
+      ]
+    },
+    checkout: { provider: 'hotmart', code: 'B99375401O' },
+    sections: [
+      {
+        title: '🎓 Curso Completo para Trader Profissional',
+        paragraphs: ['A imersão 2.0 é um curso completo e prático, projetado para capacitar traders a operar com a mesma mentalidade e ferramentas que os grandes players institucionais utilizam.']
+      },
+      {
+        title: '📚 Módulos do Curso:',
+        curriculum: true
+      },
+      {
+        title: '📊 O Que Você Receberá:',
+        spec: 'includes'
+      },
+      {
+        title: '🚀 Para Quem é a Imersão:',
+        paragraphs: ['Ideal para traders que já operam mas buscam consistência, ou para iniciantes que desejam começar da forma correta, alinhados com o mercado institucional.']
+      }
+    ],
+    infoBox: {
+      title: '✨ Acesso Exclusivo:',
+      paragraphs: [{ strong: 'Após a compra, você receberá o acesso à Hotmart e às instruções para entrar na comunidade de alunos.' }]
+    }
+  },
+  {
+    id: 'mentoria',
+    category: 'programas',
+    anchor: 'mentoria',
+    nav: { label: 'Mentoria', footerLabel: 'Mentoria', icon: 'fa-chalkboard-teacher' },
+    title: 'Mentoria Individual',
+    icon: 'fa-user-graduate',
+    iconVariant: 'mentorship',
+    variant: 'premium',
+    badge: { label: 'Premium', variant: 'premium' },
+    description: 'Programa personalizado e exclusivo para desenvolvimento completo do trader profissional.',
+    features: [
+      'Plano operacional sob medida',
+      'Foco em suas necessidades específicas',
+      `${MENTORIA_MODULE_COUNT} módulos completos + 3 aulas 1x1`
+    ],
+    price: 2799,
+    period: { short: 'programa completo' },
+    booking: { sessions: 3 },
+    priceNote: 'Valor total do programa completo.',
+    specs: {
+      billing: 'Pagamento único',
+      assets: ['Definidos no seu plano operacional'],
+      platforms: ['SpotGamma', 'MenthorQ', 'Bookmap'],
+      support: 'Suporte direto e prioritário com o Danilo',
+      includes: [
+        { strong: 'Plano Operacional Exclusivo:', text: ' Criado para o seu perfil e objetivos.' },
+        { strong: `${IMERSAO_MODULE_COUNT} Módulos do Curso Imersão 2.0:`, text: ' Acesso completo e vitalício ao conteúdo teórico.' },
+        { strong: '3 Aulas Individuais (1x1):', text: ' Sessões focadas nos seus pontos fracos e na otimização da sua estratégia.' },
+        { strong: 'Análise de Performance:', text: ' Análise detalhada do seu desempenho e plano de melhoria contínua.' },
+        { strong: 'Suporte Direto e Prioritário:', text: ' Tenha acesso exclusivo para tirar suas dúvidas sempre que precisar.' }
+      ]
+    },
+    checkout: { provider: 'hotmart', code: 'H95976212G' },
+    sections: [
+      {
+        title: '🎯 Programa Personalizado de Desenvolvimento',
+        paragraphs: ['A Mentoria Individual é o caminho mais rápido para a consistência e o profissionalismo no trading. Desenvolvida e ministrada pessoalmente, este programa foca nas suas necessidades e desafios específicos, garantindo um plano de trading sob medida.']
+      },
+      {
+        title: '✔️ O Que Inclui:',
+        spec: 'includes'
+      },
+      {
+        title: '🚀 Benefícios Chave:',
+        list: [
+          'Acelere a sua curva de aprendizado.',
+          'Superar desafios de forma direcionada.',
+          'Desenvolver a disciplina e a mentalidade de um trader de sucesso.',
+          'Ter um mentor experiente ao seu lado em todas as etapas.'
+        ]
+      },
+      {
+        title: '📚 Ementa Completa:',
+        curriculum: true
+      }
+    ],
+    infoBox: {
+      title: '✨ Um Passo à Frente:',
+      paragraphs: [{ strong: 'Este programa é a sua oportunidade de ter um acompanhamento de perto para alcançar a excelência no mercado.' }]
+    }
+  }
+];
+
+const getProduct = (id) => PRODUCT_CATALOG.find(product => product.id === id) || null;
+
+// ========================================
+// INTERNATIONALIZATION
+// ========================================
+// Messages come from locales/<locale>.js (window.LOCALE_MESSAGES). Product
+// copy is translated by per-locale overrides of the catalog fields. Anything
+// missing falls back to pt-BR and is reported once in the console.
+const DEFAULT_LOCALE = 'pt-BR';
+const SUPPORTED_LOCALES = ['pt-BR', 'en', 'es'];
+
+// Catalog fields that are data rather than copy
+const UNTRANSLATED_FIELDS = ['id', 'category', 'anchor', 'icon', 'iconVariant', 'variant', 'layout', 'ordered', 'spec', 'price', 'renewalMonths', 'booking', 'waitlist', 'checkout', 'topics', 'includedIn'];
+
+// Placeholders available in translated catalog copy, e.g. "{modules} modules"
+const CATALOG_PARAMS = { modules: IMERSAO_MODULE_COUNT, mentoriaModules: MENTORIA_MODULE_COUNT };
+
+const interpolate = (template, params = {}) => template.replace(/\{(\w+)\}/g, (match, name) => (
+  params[name] !== undefined ? params[name] : match
+));
+
+class I18n {
+  constructor() {
+    this.locale = DEFAULT_LOCALE;
+    this.listeners = [];
+    this.reported = new Set();
+    this.cache = new Map();
+  }
+
+  getBundle(locale) {
+    return (window.LOCALE_MESSAGES || {})[locale] || { messages: {} };
+  }
+
+  // Saved override first, then the browser's preferred languages
+  detect() {
+    const saved = storage.get('locale');
+    if (SUPPORTED_LOCALES.includes(saved)) {
+      return saved;
+    }
+
+    const languages = navigator.languages && navigator.languages.length ? navigator.languages : [navigator.language];
+    for (const language of languages) {
+      const locale = this.match(language);
+      if (locale) {
+        return locale;
+      }
+    }
+
+    return DEFAULT_LOCALE;
+  }
+
+  // "es-AR" -> "es", "pt-PT" -> "pt-BR"
+  match(language) {
+    if (!language) {
+      return null;
+    }
+
+    const tag = language.toLowerCase();
+    const base = tag.split('-')[0];
+    return SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === tag)
+      || SUPPORTED_LOCALES.find(locale => locale.split('-')[0].toLowerCase() === base)
+      || null;
+  }
+
+  setLocale(locale, { persist = false } = {}) {
+    const next = SUPPORTED_LOCALES.includes(locale) ? locale : DEFAULT_LOCALE;
+
+    if (persist) {
+      storage.set('locale', next);
+    }
+    if (next === this.locale) {
+      return;
+    }
+
+    this.locale = next;
+    this.listeners.forEach(listener => {
+      try {
+        listener(next);
+      } catch (error) {
+        console.error('Locale listener failed:', error);
+      }
+    });
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  t(key, params = {}) {
+    let template = this.getBundle(this.locale).messages[key];
+
+    if (template === undefined && this.locale !== DEFAULT_LOCALE) {
+      this.reportMissing(key);
+      template = this.getBundle(DEFAULT_LOCALE).messages[key];
+    }
+    if (template === undefined) {
+      this.reportMissing(key, DEFAULT_LOCALE);
+      return key;
+    }
+
+    return interpolate(template, params);
+  }
+
+  // Like t(), but some placeholders are filled with DOM nodes; returns the
+  // children to pass to h(), e.g. i18n.nodes('key', { product: h('strong', {}, title) })
+  nodes(key, nodeParams = {}) {
+    const names = Object.keys(nodeParams);
+    const placeholders = names.reduce((params, name) => {
+      params[name] = `{${name}}`;
+      return params;
+    }, {});
+    const message = this.t(key, placeholders);
+
+    if (!names.length) {
+      return [message];
+    }
+
+    return message
+      .split(new RegExp(`(\\{(?:${names.join('|')})\\})`))
+      .map(part => {
+        const name = part.slice(1, -1);
+        return placeholders[name] === part ? nodeParams[name] : part;
+      });
+  }
+
+  reportMissing(key, locale = this.locale) {
+    const id = `${locale}:${key}`;
+    if (!this.reported.has(id)) {
+      this.reported.add(id);
+      console.warn(locale === DEFAULT_LOCALE
+        ? `[i18n] Missing message "${key}"`
+        : `[i18n] Missing translation "${key}" for ${locale}, using ${DEFAULT_LOCALE}`);
+    }
+  }
+
+  // kind: 'products', 'categories' or 'curriculum'
+  localize(kind, entry) {
+    if (!entry || this.locale === DEFAULT_LOCALE) {
+      return entry;
+    }
+
+    const cacheKey = `${this.locale}:${kind}:${entry.id}`;
+    if (!this.cache.has(cacheKey)) {
+      const catalog = this.getBundle(this.locale).catalog || {};
+      const overrides = (catalog[kind] || {})[entry.id];
+      this.cache.set(cacheKey, this.mergeCopy(entry, overrides, `catalog.${kind}.${entry.id}`));
+    }
+    return this.cache.get(cacheKey);
+  }
+
+  mergeCopy(base, override, path) {
+    if (typeof base === 'string') {
+      if (typeof override === 'string') {
+        return interpolate(override, CATALOG_PARAMS);
+      }
+      this.reportMissing(path);
+      return base;
+    }
+
+    if (Array.isArray(base)) {
+      return base.map((item, index) => this.mergeCopy(item, Array.isArray(override) ? override[index] : undefined, `${path}.${index}`));
+    }
+
+    if (base && typeof base === 'object') {
+      return Object.keys(base).reduce((result, key) => {
+        result[key] = UNTRANSLATED_FIELDS.includes(key)
+          ? base[key]
+          : this.mergeCopy(base[key], override ? override[key] : undefined, `${path}.${key}`);
+        return result;
+      }, {});
+    }
+
+    return base;
+  }
+}
+
+const i18n = new I18n();
+
+const getLocalizedProduct = (id) => i18n.localize('products', getProduct(id));
+
+// ========================================
+// PAYMENT PROVIDERS
+// ========================================
+// Each provider builds its checkout URL from a product's checkout settings
+// and tracking data ({ source, medium, campaign, ref }), and can tell the
+// amount a link charges so links can be checked against the catalog.
+//
+// Neither provider takes the amount from the URL: an InfinitePay link charges
+// what it was issued for and a Hotmart offer has its own price, so any other
+// price (a coupon, a PIX discount) needs a link of its own.
+const INFINITEPAY_HANDLE = 'danilopetri_trader';
+
+const PAYMENT_PROVIDERS = {
+  infinitepay: {
+    name: 'InfinitePay',
+
+    // `amount` is what the link was issued for; the path ends with it:
+    // /<handle>/<code>-300,00. Changing it doesn't change the charge.
+    buildUrl(config) {
+      const host = config.host || 'pay.infinitepay.io';
+      const value = Number(config.amount).toFixed(2).replace('.', ',');
+      return `https://${host}/${config.handle || INFINITEPAY_HANDLE}/${config.code}-${value}`;
+    },
+
+    getAmount(config) {
+      return config.amount;
+    },
+
+    // InfinitePay keeps extra query parameters on the payment record
+    trackingParams(tracking) {
+      const params = {};
+      ['source', 'medium', 'campaign', 'term', 'content'].forEach(key => {
+        if (tracking[key]) {
+          params[`utm_${key}`] = tracking[key];
+        }
+      });
+      if (tracking.ref) {
+        params.ref = tracking.ref;
+      }
+      return params;
+    }
+  },
+
+  hotmart: {
+    name: 'Hotmart',
+
+    // The price lives in the Hotmart offer; `offer` selects an alternative one
+    buildUrl(config) {
+      const url = new URL(`https://pay.hotmart.com/${config.code}`);
+      if (config.offer) {
+        url.searchParams.set('off', config.offer);
+      }
+      return url.toString();
+    },
+
+    // Set in the Hotmart offer, out of reach here
+    getAmount() {
+      return null;
+    },
+
+    trackingParams(tracking) {
+      const params = {};
+      if (tracking.source || tracking.ref) {
+        params.src = tracking.ref || tracking.source;
+      }
+      const sck = [tracking.source, tracking.medium, tracking.campaign].filter(Boolean).join('_');
+      if (sck) {
+        params.sck = sck;
+      }
+      return params;
+    }
+  }
+};
+
+const checkout = {
+  // Ids of products whose links charge something other than the catalog
+  // price; see checkCatalog()
+  invalid: new Set(),
+
+  // Base settings first, then each alternative merged over them. Products in
+  // `invalid` have no options, so they are sold over WhatsApp.
+  getOptions(product) {
+    if (!product || checkout.invalid.has(product.id)) {
+      return [];
+    }
+    return checkout.listOptions(product);
+  },
+
+  listOptions(product) {
+    if (!product || !product.checkout) {
+      return [];
+    }
+
+    const { options = [], ...base } = product.checkout;
+    const provider = PAYMENT_PROVIDERS[base.provider];
+    const defaults = { id: 'default', label: provider ? provider.name : base.provider, price: product.price, ...base };
+
+    return [defaults, ...options.map(option => ({ ...defaults, ...option }))];
+  },
+
+  getOption(product, optionId = 'default') {
+    const options = checkout.getOptions(product);
+    return options.find(option => option.id === optionId) || options[0] || null;
+  },
+
+  buildUrl(product, { option: optionId, tracking = {} } = {}) {
+    const option = checkout.getOption(product, optionId);
+    if (!option) {
+      return null;
+    }
+
+    const provider = PAYMENT_PROVIDERS[option.provider];
+    const url = new URL(provider.buildUrl(option));
+
+    Object.entries(provider.trackingParams(tracking)).forEach(([key, value]) => {
+      url.searchParams.set(key, value);
+    });
+
+    return url.toString();
+  },
+
+  // Returns a list of human-readable problems; empty when every link charges
+  // what the catalog advertises
+  validate(product) {
+    const problems = [];
+
+    checkout.listOptions(product).forEach(option => {
+      const provider = PAYMENT_PROVIDERS[option.provider];
+
+      if (!provider) {
+        problems.push(`${product.id}/${option.id}: unknown payment provider "${option.provider}"`);
+        return;
+      }
+
+      const linkAmount = provider.getAmount(option);
+
+      if (linkAmount === undefined) {
+        problems.push(`${product.id}/${option.id}: ${provider.name} link has no amount`);
+      } else if (linkAmount !== null && Math.abs(linkAmount - option.price) > 0.005) {
+        problems.push(`${product.id}/${option.id}: ${provider.name} link charges ${formatPrice(linkAmount)} but the catalog price is ${formatPrice(option.price)}`);
+      }
+    });
+
+    return problems;
+  },
+
+  // Takes every product with a wrong link out of the online checkout. A
+  // buyer must never be charged something other than the price on the page.
+  checkCatalog() {
+    checkout.invalid.clear();
+    PRODUCT_CATALOG.forEach(product => {
+      const problems = checkout.validate(product);
+      problems.forEach(problem => console.error(`❌ Checkout disabled: ${problem}`));
+      if (problems.length) {
+        checkout.invalid.add(product.id);
+      }
+    });
+  }
+};
+
+checkout.checkCatalog();
+
+// ========================================
+// COUPONS
+// ========================================
+// Promotional pricing from data/coupons.js (window.COUPON_RULES). Coupons
+// never touch PRODUCT_CATALOG: `coupons.applyTo(product)` returns a copy with
+// the discounted price and the checkout link the rule gives for it, so the
+// checkout helpers above work as usual.
+class CouponEngine {
+  constructor(rules = []) {
+    this.rules = rules.map(rule => ({ ...rule, code: CouponEngine.normalize(rule.code) }));
+    this.listeners = [];
+    this.active = null;
+    this.restore();
+  }
+
+  static normalize(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  static discount(rule, price) {
+    const off = rule.type === 'percent' ? price * rule.value / 100 : rule.value;
+    return Math.max(0, Math.round((price - off) * 100) / 100);
+  }
+
+  // "20%" or "R$ 30,00", for messages
+  static describe(rule) {
+    return rule.type === 'percent' ? `${rule.value}%` : formatPrice(rule.value);
+  }
+
+  find(code) {
+    const normalized = CouponEngine.normalize(code);
+    return this.rules.find(rule => rule.code === normalized) || null;
+  }
+
+  isExpired(rule, now = new Date()) {
+    return Boolean(rule.endsAt) && now > new Date(rule.endsAt);
+  }
+
+  // Returns { rule } when the code is valid for the product, otherwise
+  // { error, params } where error names a coupon.error.* message
+  check(code, product, now = new Date()) {
+    const normalized = CouponEngine.normalize(code);
+    const params = { code: normalized, product: product.title };
+    const rule = this.find(normalized);
+
+    if (!normalized) {
+      return { error: 'empty', params };
+    }
+    if (!rule) {
+      return { error: 'notFound', params };
+    }
+    if (rule.startsAt && now < new Date(rule.startsAt)) {
+      return { error: 'notStarted', params: { ...params, date: formatDateTime(new Date(rule.startsAt)) } };
+    }
+    if (this.isExpired(rule, now)) {
+      return { error: 'expired', params: { ...params, date: formatDateTime(new Date(rule.endsAt)) } };
+    }
+    if (rule.products && !rule.products.includes(product.id)) {
+      return { error: 'product', params };
+    }
+    if (!this.canCharge(rule, product)) {
+      return { error: 'unavailable', params };
+    }
+
+    return { rule };
+  }
+
+  // `product` at the rule's price. The rule's link replaces the full-price
+  // ones, alternatives included: it lists its own `options` when there are
+  // discounted ones.
+  static priced(rule, product) {
+    const link = (rule.links || {})[product.id];
+    let checkoutSettings = null;
+
+    if (product.checkout && link) {
+      const { options, ...base } = product.checkout;
+      checkoutSettings = { ...base, ...link };
+    }
+
+    return {
+      ...product,
+      price: CouponEngine.discount(rule, product.price),
+      originalPrice: product.price,
+      coupon: rule.code,
+      couponHint: rule.hint || null,
+      checkout: checkoutSettings
+    };
+  }
+
+  // Products paid online need a link issued for the discounted price; until
+  // the rule has a valid one, the coupon is turned down with a pointer to
+  // WhatsApp and the checkout keeps the full-price link
+  canCharge(rule, product) {
+    if (!checkout.getOptions(product).length) {
+      return true;
+    }
+    return Boolean((rule.links || {})[product.id]) && !checkout.validate(CouponEngine.priced(rule, product)).length;
+  }
+
+  applyTo(product) {
+    if (!product || !this.active) {
+      return product;
+    }
+
+    const { rule } = this.check(this.active, product);
+    return rule ? CouponEngine.priced(rule, product) : product;
+  }
+
+  apply(code, product) {
+    const result = this.check(code, product);
+    if (result.rule) {
+      this.setActive(result.rule.code);
+    }
+    return result;
+  }
+
+  clear() {
+    this.setActive(null);
+  }
+
+  setActive(code) {
+    this.active = code;
+    if (code) {
+      storage.set('coupon', code);
+    } else {
+      storage.remove('coupon');
+    }
+    this.listeners.forEach(listener => listener(code));
+  }
+
+  restore() {
+    const rule = this.find(storage.get('coupon'));
+    if (rule && !this.isExpired(rule)) {
+      this.active = rule.code;
+    } else {
+      storage.remove('coupon');
+    }
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  // Same contract as checkout.validate: a list of problems in the rules file
+  validate() {
+    const problems = [];
+
+    this.rules.forEach(rule => {
+      if (!['percent', 'fixed'].includes(rule.type) || !(rule.value > 0)) {
+        problems.push(`${rule.code}: invalid discount ${rule.type} ${rule.value}`);
+      }
+
+      (rule.products || []).filter(id => !getProduct(id)).forEach(id => {
+        problems.push(`${rule.code}: unknown product "${id}"`);
+      });
+
+      const products = rule.products ? rule.products.map(getProduct).filter(Boolean) : PRODUCT_CATALOG;
+      products.filter(product => !this.canCharge(rule, product)).forEach(product => {
+        if (!(rule.links || {})[product.id]) {
+          problems.push(`${rule.code}: ${product.id} needs a checkout link for the discounted price`);
+          return;
+        }
+        checkout.validate(CouponEngine.priced(rule, product)).forEach(problem => problems.push(`${rule.code}: ${problem}`));
+      });
+    });
+
+    return problems;
+  }
+}
+
+const coupons = new CouponEngine(window.COUPON_RULES || []);
+
+// ========================================
+// CATALOG RENDERING
+// ========================================
+class CatalogRenderer {
+  constructor() {
+    this.productsContainer = document.getElementById('productCatalog');
+    this.navMenu = document.querySelector('[data-catalog-nav]');
+    this.footerList = document.querySelector('[data-catalog-footer]');
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    coupons.validate().forEach(problem => console.warn(`⚠️ Coupon: ${problem}`));
+
+    this.render();
+    this.subscriptions.add(i18n.subscribe(() => this.render()));
+    this.subscriptions.add(coupons.subscribe(() => this.render()));
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  render() {
+    if (this.productsContainer) {
+      setChildren(this.productsContainer, PRODUCT_CATEGORIES
+        .map(category => this.renderCategory(i18n.localize('categories', category))));
+      this.productsContainer.removeAttribute('aria-busy');
+    }
+
+    const navItems = this.getNavItems();
+
+    if (this.navMenu) {
+      setChildren(this.navMenu, navItems.map(item => h('a', {
+        href: `#${item.anchor}`,
+        class: 'scroll-link',
+        role: 'menuitem',
+        tabindex: '-1'
+      }, icon(['fas', item.icon]), h('span', {}, item.label))));
+    }
+
+    if (this.footerList) {
+      setChildren(this.footerList, navItems.map(item => h('li', {},
+        h('a', { href: `#${item.anchor}`, class: 'scroll-link' }, item.footerLabel)
+      )));
+    }
+
+    document.dispatchEvent(new CustomEvent('catalog:render'));
+  }
+
+  // Navigation follows catalog order: a category link first, then any
+  // product that declares its own link.
+  getNavItems() {
+    const items = [];
+
+    PRODUCT_CATEGORIES.map(category => i18n.localize('categories', category)).forEach(category => {
+      if (category.nav) {
+        items.push({ ...category.nav, anchor: category.id });
+      }
+
+      PRODUCT_CATALOG
+        .filter(product => product.category === category.id && product.nav)
+        .map(product => i18n.localize('products', product))
+        .forEach(product => items.push({ ...product.nav, anchor: product.anchor }));
+    });
+
+    return items;
+  }
+
+  renderCategory(category) {
+    const products = PRODUCT_CATALOG
+      .filter(product => product.category === category.id)
+      .map(product => coupons.applyTo(i18n.localize('products', product)));
+
+    return h('div', { class: 'product-category', id: category.id },
+      category.title && h('h3', { class: 'category-title' }, category.title),
+      h('div', { class: ['products-grid', category.layout === 'single' && 'single-product'] },
+        products.map(product => this.renderCard(product))
+      )
+    );
+  }
+
+  renderCard(product) {
+    return h('article', { class: ['product-card', product.variant], dataset: { product: product.id }, id: product.anchor },
+      h('div', { class: 'product-header' },
+        h('div', { class: ['product-icon', product.iconVariant] }, icon(['fas', product.icon])),
+        product.badge && h('div', { class: ['product-badge', product.badge.variant] }, product.badge.label)
+      ),
+      h('h4', {}, product.title),
+      h('p', { class: 'product-description' }, product.description),
+      h('ul', { class: 'product-features' }, product.features.map(feature => h('li', {}, feature))),
+      h('div', { class: 'product-price' },
+        product.originalPrice !== undefined && CatalogRenderer.renderOriginalPrice(formatPrice(product.originalPrice, { cents: false })),
+        h('span', { class: 'price-value' }, formatPrice(product.price, { cents: !Number.isInteger(product.price) })),
+        h('span', { class: 'price-period' }, i18n.t('product.pricePeriod', { period: product.period.short }))
+      ),
+      h('label', { class: 'compare-toggle' },
+        h('input', {
+          type: 'checkbox',
+          dataset: { compare: product.id },
+          'aria-label': i18n.t('compare.toggleLabel', { product: product.title })
+        }),
+        h('span', {}, i18n.t('compare.toggle'))
+      ),
+      h('button', { class: 'btn-primary product-btn', dataset: { product: product.id } },
+        icon('fas fa-info-circle'),
+        h('span', {}, i18n.t('product.learnMore'))
+      )
+    );
+  }
+
+  static renderOriginalPrice(label) {
+    return h('s', { class: 'price-original' },
+      h('span', { class: 'visually-hidden' }, i18n.t('coupon.originalPrice')),
+      ' ',
+      label
+    );
+  }
+
+  static renderRichText(item) {
+    if (typeof item === 'string') {
+      return item;
+    }
+    return [h('strong', {}, item.strong), item.text];
+  }
+
+  static renderModalBody(product) {
+    const rich = CatalogRenderer.renderRichText;
+    const paragraphs = (items = []) => items.map(item => h('p', {}, rich(item)));
+    const list = (items, ordered) => h(ordered ? 'ol' : 'ul', {}, items.map(item => h('li', {}, rich(item))));
+
+    const sections = product.sections.map(section => h('div', { class: 'modal-section' },
+      h('h3', {}, section.title),
+      paragraphs(section.paragraphs),
+      section.list && list(section.list, section.ordered),
+      section.spec && list(product.specs[section.spec]),
+      section.curriculum && CurriculumExplorer.render(product.id),
+      paragraphs(section.closing)
+    ));
+
+    const info = product.infoBox && h('div', { class: 'modal-info-box' },
+      h('h3', {}, product.infoBox.title),
+      product.infoBox.steps && list(product.infoBox.steps, true),
+      paragraphs(product.infoBox.paragraphs),
+      product.infoBox.note && h('p', {}, product.infoBox.note)
+    );
+
+    const withPeriod = (price) => [formatPrice(price), product.period.long].filter(Boolean).join(' ');
+
+    return [
+      sections,
+      info,
+      h('div', { class: 'modal-price-box' },
+        h('h3', {}, i18n.t('product.investment')),
+        h('p', { class: 'price-value' },
+          product.originalPrice !== undefined && CatalogRenderer.renderOriginalPrice(withPeriod(product.originalPrice)),
+          h('strong', {}, withPeriod(product.price))
+        ),
+        h('p', { class: 'price-period' }, product.priceNote)
+      )
+    ];
+  }
+}
+
+// ========================================
+// CURRICULUM EXPLORER
+// ========================================
+// Expandable modules of IMERSAO_CURRICULUM with their lessons and durations,
+// rendered in the modal of products whose sections ask for it. Search looks
+// through module and lesson titles ignoring case and accents; the topic
+// buttons narrow the list to one topic. Both only re-render the module list,
+// so the search box keeps focus while typing.
+const foldText = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+class CurriculumExplorer {
+  // "1h 05min", "45min"
+  static formatMinutes(total) {
+    const hours = Math.floor(total / 60);
+    const minutes = total % 60;
+    return hours ? `${hours}h ${String(minutes).padStart(2, '0')}min` : `${minutes}min`;
+  }
+
+  static getTerms(query) {
+    return foldText(query).split(/\s+/).filter(Boolean);
+  }
+
+  // Modules in `topic` that match every search term, each with the lessons
+  // to show: all of them when the module title matches, otherwise only the
+  // matching ones
+  static filter(modules, { query = '', topic = null } = {}) {
+    const terms = CurriculumExplorer.getTerms(query);
+    const matches = (text) => terms.every(term => foldText(text).includes(term));
+
+    return modules
+      .filter(module => !topic || module.topics.includes(topic))
+      .map(module => ({
+        module,
+        lessons: matches(module.title) ? module.lessons : module.lessons.filter(lesson => matches(lesson.title))
+      }))
+      .filter(result => result.lessons.length);
+  }
+
+  // `text` with every occurrence of the terms wrapped in <mark>
+  static highlight(text, terms) {
+    const folded = foldText(text);
+    // Offsets only line up when folding kept one character per character
+    if (!terms.length || folded.length !== text.length) {
+      return text;
+    }
+
+    const ranges = [];
+    terms.forEach(term => {
+      for (let index = folded.indexOf(term); index !== -1; index = folded.indexOf(term, index + term.length)) {
+        ranges.push([index, index + term.length]);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    const parts = [];
+    let position = 0;
+    ranges.forEach(([start, end]) => {
+      if (end <= position) {
+        return;
+      }
+      start = Math.max(start, position);
+      parts.push(text.slice(position, start), h('mark', {}, text.slice(start, end)));
+      position = end;
+    });
+    parts.push(text.slice(position));
+    return parts.filter(Boolean);
+  }
+
+  static render(productId) {
+    const listId = `curriculum-${productId}`;
+
+    const root = h('div', { class: 'curriculum', dataset: { curriculum: productId } },
+      h('div', { class: 'curriculum-tools' },
+        h('label', { class: 'visually-hidden', for: `${listId}-search` }, i18n.t('curriculum.search')),
+        h('input', {
+          type: 'search',
+          id: `${listId}-search`,
+          class: 'curriculum-search',
+          placeholder: i18n.t('curriculum.searchPlaceholder'),
+          autocomplete: 'off',
+          'aria-controls': listId
+        }),
+        h('div', { class: 'curriculum-topics', role: 'group', 'aria-label': i18n.t('curriculum.topics') },
+          ['', ...CURRICULUM_TOPICS].map(topic => h('button', {
+            type: 'button',
+            class: 'curriculum-topic',
+            'aria-pressed': String(!topic),
+            'aria-controls': listId,
+            dataset: { curriculumTopic: topic }
+          }, i18n.t(`curriculum.topic.${topic || 'all'}`)))
+        )
+      ),
+      h('p', { class: 'curriculum-summary', role: 'status' }),
+      h('ol', { class: 'curriculum-modules', id: listId })
+    );
+
+    CurriculumExplorer.update(root);
+    return root;
+  }
+
+  // Re-renders the summary and module list from the search box and the
+  // pressed topic. Modules stay open across updates; while searching, every
+  // module with a match is open.
+  static update(root) {
+    const productId = root.dataset.curriculum;
+    const query = root.querySelector('.curriculum-search').value;
+    const topic = root.querySelector('[data-curriculum-topic][aria-pressed="true"]').dataset.curriculumTopic || null;
+    const terms = CurriculumExplorer.getTerms(query);
+    const open = new Set([...root.querySelectorAll('.curriculum-module[open]')].map(module => module.dataset.module));
+
+    const modules = IMERSAO_CURRICULUM.map(module => i18n.localize('curriculum', module));
+    const results = CurriculumExplorer.filter(modules, { query, topic });
+    const lessons = results.reduce((count, result) => count + result.lessons.length, 0);
+    const minutes = results.reduce((total, result) => total + result.lessons.reduce((sum, lesson) => sum + lesson.minutes, 0), 0);
+
+    setChildren(root.querySelector('.curriculum-summary'), results.length
+      ? i18n.t('curriculum.summary', { modules: results.length, lessons, duration: CurriculumExplorer.formatMinutes(minutes) })
+      : i18n.t('curriculum.empty'));
+
+    setChildren(root.querySelector('.curriculum-modules'), results.map(({ module, lessons: shown }) => {
+      const number = modules.indexOf(module) + 1;
+      const duration = module.lessons.reduce((sum, lesson) => sum + lesson.minutes, 0);
+
+      return h('li', {},
+        h('details', { class: 'curriculum-module', open: terms.length > 0 || open.has(module.id), dataset: { module: module.id } },
+          h('summary', {},
+            h('span', { class: 'curriculum-module-number', 'aria-hidden': 'true' }, String(number).padStart(2, '0')),
+            h('span', { class: 'curriculum-module-title' }, CurriculumExplorer.highlight(module.title, terms)),
+            h('span', { class: 'curriculum-module-meta' },
+              i18n.t('curriculum.moduleMeta', { lessons: module.lessons.length, duration: CurriculumExplorer.formatMinutes(duration) })
+            )
+          ),
+          h('p', { class: 'curriculum-included' },
+            h('span', {}, i18n.t('curriculum.includedIn')),
+            module.includedIn.map(id => h('span', { class: ['curriculum-badge', id === productId && 'is-current'] }, getLocalizedProduct(id).title))
+          ),
+          h('ol', { class: 'curriculum-lessons' }, shown.map(lesson => h('li', {},
+            h('span', {}, CurriculumExplorer.highlight(lesson.title, terms)),
+            h('span', { class: 'curriculum-lesson-duration' }, CurriculumExplorer.formatMinutes(lesson.minutes))
+          )))
+        )
+      );
+    }));
+
+    return results;
+  }
+
+  constructor() {
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  // Delegated: explorers come and go with the product modal
+  init() {
+    const search = debounce((root) => {
+      const results = CurriculumExplorer.update(root);
+      analytics.track('curriculum_search', {
+        product: root.dataset.curriculum,
+        query: root.querySelector('.curriculum-search').value.trim(),
+        modules: results.length
+      });
+    }, 250);
+
+    this.subscriptions.on(document, 'input', (e) => {
+      if (e.target.classList.contains('curriculum-search')) {
+        search(e.target.closest('.curriculum'));
+      }
+    });
+
+    this.subscriptions.on(document, 'click', (e) => {
+      const button = e.target.closest('[data-curriculum-topic]');
+      if (!button) {
+        return;
+      }
+
+      const root = button.closest('.curriculum');
+      root.querySelectorAll('[data-curriculum-topic]').forEach(item => {
+        item.setAttribute('aria-pressed', String(item === button));
+      });
+      CurriculumExplorer.update(root);
+      analytics.track('curriculum_filter', { product: root.dataset.curriculum, topic: button.dataset.curriculumTopic || 'all' });
+    });
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+}
+
+// ========================================
+// PRODUCT COMPARISON
+// ========================================
+// Lines up the products ticked with "Comparar" on the cards. Rows read the
+// same localized (and discounted) catalog entries the modal renders; the
+// modal lists specs through its `spec` sections, so the two never disagree.
+const COMPARISON_ROWS = [
+  {
+    key: 'price',
+    value: product => product.price,
+    render: product => [
+      product.originalPrice !== undefined && h('s', { class: 'price-original' }, formatPrice(product.originalPrice)),
+      h('strong', {}, formatPrice(product.price)),
+      ' ',
+      i18n.t('product.pricePeriod', { period: product.period.short })
+    ]
+  },
+  { key: 'billing', value: product => product.specs.billing },
+  { key: 'assets', value: product => product.specs.assets },
+  { key: 'platforms', value: product => product.specs.platforms },
+  { key: 'support', value: product => product.specs.support },
+  { key: 'includes', value: product => product.specs.includes }
+];
+
+class ProductComparison {
+  constructor() {
+    this.section = document.getElementById('comparar');
+    this.container = document.getElementById('productComparison');
+    this.bar = document.getElementById('compareBar');
+    this.count = this.bar.querySelector('[data-compare-count]');
+    this.selected = new Set();
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    // Delegated: the cards are re-rendered on language and coupon changes
+    this.subscriptions.on(document, 'change', (e) => {
+      const input = e.target.closest('[data-compare]');
+      if (input) {
+        this.toggle(input.dataset.compare, input.checked);
+      }
+    });
+
+    this.subscriptions.on(document, 'click', (e) => {
+      if (e.target.closest('[data-compare-clear]')) {
+        this.clear();
+        return;
+      }
+
+      const remove = e.target.closest('[data-compare-remove]');
+      if (remove) {
+        this.toggle(remove.dataset.compareRemove, false);
+      }
+    });
+
+    this.subscriptions.add(i18n.subscribe(() => this.render()));
+    this.subscriptions.add(coupons.subscribe(() => this.render()));
+    this.render();
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+    this.bar.hidden = true;
+  }
+
+  toggle(id, selected) {
+    if (selected) {
+      this.selected.add(id);
+    } else {
+      this.selected.delete(id);
+    }
+
+    analytics.track('compare_toggle', { product: id, selected, count: this.selected.size });
+    this.render();
+  }
+
+  clear() {
+    this.selected.clear();
+    this.render();
+  }
+
+  // Catalog order, whatever order the boxes were ticked in
+  getProducts() {
+    return PRODUCT_CATALOG
+      .filter(product => this.selected.has(product.id))
+      .map(product => coupons.applyTo(i18n.localize('products', product)));
+  }
+
+  render() {
+    const products = this.getProducts();
+
+    document.querySelectorAll('[data-compare]').forEach(input => {
+      input.checked = this.selected.has(input.dataset.compare);
+    });
+
+    this.bar.hidden = products.length === 0;
+    this.section.hidden = products.length === 0;
+    this.count.textContent = i18n.t('compare.selected', { count: products.length });
+
+    setChildren(this.container, products.length < 2
+      ? h('p', { class: 'comparison-hint' }, i18n.t('compare.hint'))
+      : this.renderTable(products));
+  }
+
+  renderTable(products) {
+    const header = products.map(product => h('th', { scope: 'col' },
+      h('span', { class: 'comparison-product' }, product.title),
+      h('button', { type: 'button', class: 'btn-secondary product-btn', dataset: { product: product.id } },
+        i18n.t('product.learnMore')
+      ),
+      h('button', {
+        type: 'button',
+        class: 'comparison-remove',
+        dataset: { compareRemove: product.id },
+        'aria-label': i18n.t('compare.remove', { product: product.title })
+      }, icon('fas fa-times'))
+    ));
+
+    const rows = COMPARISON_ROWS.map(row => {
+      const values = products.map(product => JSON.stringify(row.value(product)));
+      const differs = new Set(values).size > 1;
+
+      return h('tr', { class: differs && 'is-different' },
+        h('th', { scope: 'row' },
+          i18n.t(`compare.row.${row.key}`),
+          differs && h('span', { class: 'visually-hidden' }, ` ${i18n.t('compare.differs')}`)
+        ),
+        products.map(product => h('td', {}, this.renderCell(row, product)))
+      );
+    });
+
+    return h('div', { class: 'comparison-scroll', role: 'region', tabindex: '0', 'aria-label': i18n.t('compare.scroll') },
+      h('table', { class: 'comparison-table' },
+        h('caption', { class: 'visually-hidden' }, i18n.t('compare.caption')),
+        h('thead', {}, h('tr', {}, h('td'), header)),
+        h('tbody', {}, rows)
+      )
+    );
+  }
+
+  renderCell(row, product) {
+    if (row.render) {
+      return row.render(product);
+    }
+
+    const value = row.value(product);
+    return Array.isArray(value)
+      ? h('ul', {}, value.map(item => h('li', {}, CatalogRenderer.renderRichText(item))))
+      : CatalogRenderer.renderRichText(value);
+  }
+}
+
+// ========================================
+// RISK CALCULATOR
+// ========================================
+// Position sizing for the Indicador Gamma futures (data/contracts.js,
+// window.FUTURES_CONTRACTS): how many contracts keep a trade's loss at the
+// stop within the risk the visitor sets. Everything is computed in USD, the
+// contracts' currency, and shown in BRL too at the rate the visitor types.
+// The math is PositionSize in lib/position-size.js.
+const FUTURES_CONTRACTS = window.FUTURES_CONTRACTS || [];
+
+// Starting point only; the visitor's own rate is remembered
+const DEFAULT_USD_BRL_RATE = 5.4;
+
+const getContract = (symbol) => FUTURES_CONTRACTS.find(contract => contract.symbol === symbol) || null;
+
+class RiskCalculator {
+  // The micro (or full-size) contract of the same market
+  static getSibling(contract) {
+    return FUTURES_CONTRACTS.find(other => other.group === contract.group && other.symbol !== contract.symbol) || null;
+  }
+
+  constructor() {
+    this.form = document.getElementById('riskCalculator');
+    this.spec = document.getElementById('calcContractSpec');
+    this.output = document.getElementById('calcResult');
+    this.trackResult = debounce(result => {
+      analytics.track('risk_calculator', {
+        contract: result.contract.symbol,
+        contracts: result.contracts,
+        stop_ticks: result.stopTicks
+      });
+    }, 2000);
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    PositionSize.validate(FUTURES_CONTRACTS).forEach(problem => console.warn(`⚠️ Contract: ${problem}`));
+
+    this.renderContracts();
+    this.form.elements.rate.value = formatNumber(storage.get('usdBrlRate', DEFAULT_USD_BRL_RATE));
+
+    this.subscriptions.on(this.form, 'input', () => this.update());
+    this.subscriptions.on(this.form, 'change', (e) => {
+      if (e.target.name === 'rate') {
+        const rate = parseDecimal(e.target.value);
+        if (rate > 0) {
+          storage.set('usdBrlRate', rate);
+        }
+      }
+      this.update();
+    });
+    this.subscriptions.on(this.form, 'submit', (e) => e.preventDefault());
+    this.subscriptions.add(i18n.subscribe(() => this.update()));
+
+    this.update();
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  renderContracts() {
+    setChildren(this.form.elements.contract, FUTURES_CONTRACTS.map(contract => h('option', { value: contract.symbol },
+      `${contract.symbol} · ${contract.name}`
+    )));
+  }
+
+  read() {
+    const { elements } = this.form;
+    const number = name => parseDecimal(elements[name].value);
+
+    return {
+      contract: getContract(elements.contract.value),
+      account: number('account'),
+      currency: elements.currency.value,
+      rate: number('rate'),
+      risk: number('risk'),
+      riskMode: elements.riskMode.value,
+      entry: number('entry'),
+      stop: number('stop'),
+      stopMode: elements.stopMode.value,
+      target: number('target')
+    };
+  }
+
+  update() {
+    const input = this.read();
+    const result = PositionSize.calculate(input);
+
+    this.renderSpec(input.contract);
+    this.renderResult(result, input);
+
+    if (!result.error) {
+      this.trackResult(result);
+    }
+  }
+
+  renderSpec(contract) {
+    setChildren(this.spec, contract && i18n.t('calculator.spec', {
+      exchange: contract.exchange,
+      tick: formatNumber(contract.tickSize, { decimals: contract.decimals }),
+      tickValue: formatPrice(contract.tickValue, { currency: 'USD' }),
+      pointValue: formatPrice(contract.pointValue, { currency: 'USD' })
+    }));
+  }
+
+  // Money in USD, plus BRL when the rate is known
+  formatMoney(usd, rate) {
+    const dollars = formatPrice(usd, { currency: 'USD' });
+    return rate > 0 ? `${dollars} (≈ ${formatPrice(usd * rate)})` : dollars;
+  }
+
+  renderResult(result, input) {
+    if (result.error) {
+      setChildren(this.output, h('p', { class: 'calculator-hint' }, i18n.t(`calculator.error.${result.error}`)));
+      return;
+    }
+
+    const { contract } = result;
+    const money = usd => this.formatMoney(usd, input.rate);
+    const points = value => formatNumber(value, { decimals: contract.decimals });
+    const rows = [
+      ['calculator.result.budget', money(result.budget)],
+      ['calculator.result.stop', i18n.t('calculator.result.stopValue', { ticks: result.stopTicks, points: points(result.stopPoints) })],
+      ['calculator.result.perContract', money(result.riskPerContract)],
+      ['calculator.result.total', money(result.totalRisk)]
+    ];
+
+    if (result.accountShare !== null) {
+      rows.push(['calculator.result.accountShare', `${formatNumber(result.accountShare * 100)}%`]);
+    }
+    if (result.reward) {
+      rows.push(
+        ['calculator.result.target', i18n.t('calculator.result.targetValue', { ticks: result.reward.ticks })],
+        ['calculator.result.ratio', `1 : ${formatNumber(result.reward.ratio)}`],
+        ['calculator.result.profit', money(result.reward.profit)]
+      );
+    }
+
+    const sibling = RiskCalculator.getSibling(contract);
+    const notes = [];
+
+    if (result.rounded) {
+      notes.push(i18n.t('calculator.note.rounded', { ticks: result.stopTicks }));
+    }
+    if (result.contracts === 0) {
+      notes.push(i18n.t('calculator.note.tooSmall', { risk: money(result.riskPerContract) }));
+      if (sibling && sibling.tickValue < contract.tickValue) {
+        notes.push(i18n.t('calculator.note.micro', { symbol: sibling.symbol }));
+      }
+    }
+
+    setChildren(this.output,
+      h('p', { class: 'calculator-contracts' },
+        h('strong', {}, String(result.contracts)),
+        ' ',
+        i18n.t(result.contracts === 1 ? 'calculator.result.contract' : 'calculator.result.contracts', { symbol: contract.symbol })
+      ),
+      h('dl', { class: 'calculator-summary' },
+        rows.map(([label, value]) => [h('dt', {}, i18n.t(label)), h('dd', {}, value)])
+      ),
+      notes.map(note => h('p', { class: 'calculator-note' }, note))
+    );
+  }
+}
+
+// ========================================
+// GEX CALCULATOR
+// ========================================
+// Educational dealer gamma exposure from an option-chain CSV the visitor
+// picks; the file never leaves the browser. Simplifications, spelled out in
+// the section disclaimer:
+//   - dealers are long calls and short puts (the usual public GEX
+//     convention), so call gamma counts positive and put gamma negative
+//   - Black-Scholes gamma with GEX_RATE and no dividends
+//   - GEX is in money per 1% move of the underlying:
+//     gamma × open interest × multiplier × spot² × 1%
+const GEX_RATE = 0.04;
+const GEX_MAX_FILE_SIZE = 5 * 1024 * 1024;
+const GEX_MAX_ERRORS_SHOWN = 20;
+
+// Options expiring on the valuation date still hold half a session
+const GEX_MIN_DAYS = 0.5;
+
+// The flip search reprices the whole chain from -20% to +20% of spot
+const GEX_FLIP_RANGE = 0.2;
+const GEX_FLIP_STEPS = 160;
+
+// Accepted header names per column, compared without case, accents,
+// spaces or punctuation
+const GEX_COLUMNS = {
+  strike: ['strike', 'k', 'exercicio', 'precoexercicio'],
+  type: ['type', 'tipo', 'cp', 'right', 'optiontype'],
+  expiry: ['expiry', 'expiration', 'expirationdate', 'vencimento'],
+  openInterest: ['openinterest', 'oi', 'contratosemaberto'],
+  iv: ['iv', 'impliedvol', 'impliedvolatility', 'vol', 'volatilidade'],
+  spot: ['spot', 'underlying', 'underlyingprice', 'precoativo']
+};
+
+// The chart is exported as PNG, so it carries its own colours instead of
+// reading the stylesheet
+const GEX_CHART = {
+  width: 720,
+  height: 320,
+  margin: { top: 24, right: 16, bottom: 40, left: 64 },
+  colors: {
+    background: '#0a0a0a',
+    positive: '#d4af37',
+    negative: '#e05252',
+    axis: '#555555',
+    text: '#aaaaaa',
+    spot: '#f0f0f0',
+    flip: '#ffd700'
+  }
+};
+
+const normalizeHeader = (name) => name
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]/g, '');
+
+// Whichever of ";", "," or tab appears most in the header line
+const detectCsvDelimiter = (text) => {
+  const firstLine = text.replace(/^\uFEFF/, '').split(/\r?\n/, 1)[0];
+  return [';', ',', '\t']
+    .map(candidate => [candidate, firstLine.split(candidate).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+};
+
+// Splits CSV text into records of strings. Handles quoted fields (so
+// "6000,5" works with a comma delimiter); see detectCsvDelimiter.
+const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectCsvDelimiter(source);
+
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.some(value => value.trim() !== '')) {
+      records.push({ line: recordLine, values: record });
+    }
+    record = [];
+    field = '';
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+  endRecord();
+
+  return records;
+};
+
+// "2025-03-21", "21/03/2025" or "20250321", as a UTC midnight timestamp
+const parseExpiry = (value) => {
+  const text = value.trim();
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})/)
+    || text.match(/^(\d{4})(\d{2})(\d{2})$/);
+  const br = text.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+  const [year, month, day] = match
+    ? [match[1], match[2], match[3]]
+    : br ? [br[3], br[2], br[1]] : [];
+
+  if (!year) {
+    return NaN;
+  }
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  return date.getUTCMonth() === Number(month) - 1 && date.getUTCDate() === Number(day) ? date.getTime() : NaN;
+};
+
+const normalPdf = (x) => Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+
+class GexCalculator {
+  static gamma(spot, strike, years, vol, rate = GEX_RATE) {
+    const sqrtT = Math.sqrt(years);
+    const d1 = (Math.log(spot / strike) + (rate + vol * vol / 2) * years) / (vol * sqrtT);
+    return normalPdf(d1) / (spot * vol * sqrtT);
+  }
+
+  // Turns CSV text into option rows. Returns { error } when the file as a
+  // whole can't be used, otherwise { options, spot, errors } where errors are
+  // { line, key, value } for the rows that were skipped.
+  static readChain(text, { asOf }) {
+    const records = parseCsv(text);
+    const delimiter = detectCsvDelimiter(text);
+    if (records.length < 2) {
+      return { error: 'empty' };
+    }
+
+    const headers = records[0].values.map(normalizeHeader);
+    const columns = {};
+    Object.entries(GEX_COLUMNS).forEach(([column, names]) => {
+      const index = headers.findIndex(header => names.includes(header));
+      if (index !== -1) {
+        columns[column] = index;
+      }
+    });
+
+    const missing = Object.keys(GEX_COLUMNS).filter(column => columns[column] === undefined);
+    if (missing.length) {
+      return { error: 'columns', missing };
+    }
+
+    const options = [];
+    const errors = [];
+    let spot = NaN;
+
+    records.slice(1).forEach(({ line, values }) => {
+      const cell = column => (values[columns[column]] || '').trim();
+      const number = column => parseDecimal(cell(column), { grouping: false });
+      const fail = (key, value = '') => errors.push({ line, key, value });
+
+      // An unquoted "6000,5" splits into two fields
+      if (values.length > headers.length && delimiter === ',') {
+        return fail('decimalComma', values.length);
+      }
+      if (values.length !== headers.length) {
+        return fail('fields', values.length);
+      }
+
+      const strike = number('strike');
+      if (!(strike > 0)) {
+        return fail('strike', cell('strike'));
+      }
+
+      const type = cell('type').toLowerCase();
+      const isCall = ['c', 'call'].includes(type);
+      if (!isCall && !['p', 'put'].includes(type)) {
+        return fail('type', cell('type'));
+      }
+
+      const expiry = parseExpiry(cell('expiry'));
+      if (Number.isNaN(expiry)) {
+        return fail('expiry', cell('expiry'));
+      }
+      const days = (expiry - asOf) / DAY_MS;
+      if (days < 0) {
+        return fail('expired', cell('expiry'));
+      }
+
+      const openInterest = number('openInterest');
+      if (!(openInterest >= 0)) {
+        return fail('openInterest', cell('openInterest'));
+      }
+
+      // 0.18, 18 and 18% are all 18%
+      const ivText = cell('iv');
+      let iv = parseDecimal(ivText.replace('%', ''), { grouping: false });
+      if (ivText.includes('%') || iv > 3) {
+        iv /= 100;
+      }
+      if (!(iv > 0)) {
+        return fail('iv', ivText);
+      }
+
+      // Spot usually repeats on every row; the first value is used
+      if (cell('spot') !== '') {
+        const rowSpot = number('spot');
+        if (!(rowSpot > 0)) {
+          return fail('spot', cell('spot'));
+        }
+        if (Number.isNaN(spot)) {
+          spot = rowSpot;
+        }
+      }
+
+      options.push({
+        strike,
+        isCall,
+        expiry,
+        years: Math.max(days, GEX_MIN_DAYS) / 365,
+        openInterest,
+        iv
+      });
+    });
+
+    if (!options.length) {
+      return { error: 'noRows', errors };
+    }
+    if (Number.isNaN(spot)) {
+      return { error: 'noSpot', errors };
+    }
+
+    return { options, spot, errors };
+  }
+
+  static exposure(option, spot, multiplier) {
+    const gamma = GexCalculator.gamma(spot, option.strike, option.years, option.iv);
+    const gex = gamma * option.openInterest * multiplier * spot * spot * 0.01;
+    return option.isCall ? gex : -gex;
+  }
+
+  static totalAt(options, spot, multiplier) {
+    return options.reduce((sum, option) => sum + GexCalculator.exposure(option, spot, multiplier), 0);
+  }
+
+  // Where total GEX changes sign, taking the crossing closest to spot;
+  // null when the chain stays one-signed over the whole range
+  static findFlip(options, spot, multiplier) {
+    const low = spot * (1 - GEX_FLIP_RANGE);
+    const step = (spot * 2 * GEX_FLIP_RANGE) / GEX_FLIP_STEPS;
+    let previous = null;
+    let flip = null;
+
+    for (let i = 0; i <= GEX_FLIP_STEPS; i++) {
+      const price = low + step * i;
+      const total = GexCalculator.totalAt(options, price, multiplier);
+
+      if (previous && Math.sign(total) !== Math.sign(previous.total) && total !== 0) {
+        const crossing = previous.price + step * (previous.total / (previous.total - total));
+        if (flip === null || Math.abs(crossing - spot) < Math.abs(flip - spot)) {
+          flip = crossing;
+        }
+      }
+      previous = { price, total };
+    }
+
+    return flip;
+  }
+
+  // Aggregates GEX at `spot` by strike and by expiry
+  static calculate(options, { spot, multiplier }) {
+    const byStrike = new Map();
+    const byExpiry = new Map();
+    const add = (map, key, option, gex) => {
+      const entry = map.get(key) || { key, call: 0, put: 0, net: 0 };
+      entry[option.isCall ? 'call' : 'put'] += gex;
+      entry.net += gex;
+      map.set(key, entry);
+    };
+
+    options.forEach(option => {
+      const gex = GexCalculator.exposure(option, spot, multiplier);
+      add(byStrike, option.strike, option, gex);
+      add(byExpiry, option.expiry, option, gex);
+    });
+
+    const strikes = Array.from(byStrike.values()).sort((a, b) => a.key - b.key);
+    const expiries = Array.from(byExpiry.values()).sort((a, b) => a.key - b.key);
+    const callWall = strikes.reduce((best, entry) => (entry.call > (best ? best.call : 0) ? entry : best), null);
+    const putWall = strikes.reduce((best, entry) => (entry.put < (best ? best.put : 0) ? entry : best), null);
+
+    return {
+      spot,
+      strikes,
+      expiries,
+      total: strikes.reduce((sum, entry) => sum + entry.net, 0),
+      callWall: callWall && callWall.key,
+      putWall: putWall && putWall.key,
+      flip: GexCalculator.findFlip(options, spot, multiplier)
+    };
+  }
+
+  // A small chain around `spot` for visitors who want to try the tool
+  // before exporting their own
+  static sampleCsv(asOf, spot = 6000) {
+    const lines = ['strike;type;expiry;open_interest;iv;spot'];
+    [7, 35].forEach(days => {
+      const expiry = new Date(asOf + days * DAY_MS).toISOString().slice(0, 10);
+      for (let strike = spot - 300; strike <= spot + 300; strike += 50) {
+        const distance = (strike - spot) / spot;
+        const iv = (0.16 - distance * 0.4 + distance * distance * 2).toFixed(4).replace('.', ',');
+        const callOi = Math.round(4000 * Math.exp(-((distance - 0.03) ** 2) / 0.0008) + 300);
+        const putOi = Math.round(5000 * Math.exp(-((distance + 0.04) ** 2) / 0.001) + 300);
+        lines.push(`${strike};C;${expiry};${callOi};${iv};${spot}`);
+        lines.push(`${strike};P;${expiry};${putOi};${iv};${spot}`);
+      }
+    });
+    return lines.join('\n');
+  }
+
+  constructor() {
+    this.form = document.getElementById('gexForm');
+    this.status = document.getElementById('gexStatus');
+    this.results = document.getElementById('gexResults');
+    this.summary = document.getElementById('gexSummary');
+    this.chart = document.getElementById('gexChart');
+    this.table = document.getElementById('gexExpiries');
+    this.chain = null;
+    this.file = null;
+    this.text = null;
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.form.elements.asOf.value = localDate();
+
+    this.subscriptions.on(this.form, 'submit', (e) => e.preventDefault());
+    this.subscriptions.on(this.form.elements.file, 'change', (e) => {
+      if (e.target.files.length) {
+        this.load(e.target.files[0]);
+      }
+    });
+    this.subscriptions.on(this.form, 'change', (e) => {
+      if (e.target.name === 'asOf') {
+        this.reload();
+      } else if (e.target.name === 'multiplier' || e.target.name === 'expiry') {
+        this.update();
+      }
+    });
+
+    const dropzone = this.form.querySelector('.gex-dropzone');
+    ['dragenter', 'dragover'].forEach(type => this.subscriptions.on(dropzone, type, (e) => {
+      e.preventDefault();
+      dropzone.classList.add('is-dragging');
+    }));
+    ['dragleave', 'drop'].forEach(type => this.subscriptions.on(dropzone, type, () => {
+      dropzone.classList.remove('is-dragging');
+    }));
+    this.subscriptions.on(dropzone, 'drop', (e) => {
+      e.preventDefault();
+      if (e.dataTransfer.files.length) {
+        this.load(e.dataTransfer.files[0]);
+      }
+    });
+
+    this.subscriptions.on(this.form, 'click', (e) => {
+      const action = e.target.closest('[data-gex-action]');
+      if (!action) {
+        return;
+      }
+      const handlers = {
+        sample: () => downloadFile(GexCalculator.sampleCsv(this.getAsOf()), 'gex-exemplo.csv', 'text/csv'),
+        png: () => this.exportPng(),
+        csv: () => this.exportCsv()
+      };
+      handlers[action.dataset.gexAction]();
+    });
+
+    this.subscriptions.add(i18n.subscribe(() => this.render()));
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  getAsOf() {
+    const asOf = parseExpiry(this.form.elements.asOf.value);
+    return Number.isNaN(asOf) ? parseExpiry(localDate()) : asOf;
+  }
+
+  load(file) {
+    this.file = file;
+    this.form.querySelector('.gex-file-name').textContent = file.name;
+
+    if (file.size > GEX_MAX_FILE_SIZE) {
+      this.chain = { error: 'tooLarge' };
+      this.render();
+      return Promise.resolve();
+    }
+
+    return file.text()
+      .then(text => {
+        this.text = text;
+        this.reload();
+        if (!this.chain.error) {
+          analytics.track('gex_calculator', {
+            options: this.chain.options.length,
+            skipped: this.chain.errors.length
+          });
+        }
+      })
+      .catch(error => {
+        console.warn('⚠️ GEX: could not read file', error);
+        this.chain = { error: 'read' };
+        this.render();
+      });
+  }
+
+  // Re-reads the file text, e.g. after the valuation date changed
+  reload() {
+    if (this.text === null) {
+      return;
+    }
+    this.chain = GexCalculator.readChain(this.text, { asOf: this.getAsOf() });
+    this.renderExpiryOptions();
+    this.update();
+  }
+
+  update() {
+    this.result = null;
+
+    if (this.chain && !this.chain.error) {
+      const multiplier = parseDecimal(this.form.elements.multiplier.value);
+      const expiry = this.form.elements.expiry.value;
+      const options = expiry
+        ? this.chain.options.filter(option => String(option.expiry) === expiry)
+        : this.chain.options;
+
+      this.result = multiplier > 0
+        ? GexCalculator.calculate(options, { spot: this.chain.spot, multiplier })
+        : null;
+    }
+
+    this.render();
+  }
+
+  formatGex(value) {
+    return new Intl.NumberFormat(i18n.locale, { notation: 'compact', maximumFractionDigits: 1 }).format(value);
+  }
+
+  formatLevel(value) {
+    return value === null ? '—' : formatNumber(value);
+  }
+
+  formatExpiry(time) {
+    return new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'medium', timeZone: 'UTC' }).format(time);
+  }
+
+  renderExpiryOptions() {
+    const select = this.form.elements.expiry;
+    const current = select.value;
+    const expiries = this.chain && this.chain.options
+      ? Array.from(new Set(this.chain.options.map(option => option.expiry))).sort((a, b) => a - b)
+      : [];
+
+    setChildren(select,
+      h('option', { value: '' }, i18n.t('gex.expiry.all')),
+      expiries.map(expiry => h('option', { value: expiry }, this.formatExpiry(expiry)))
+    );
+    select.value = expiries.some(expiry => String(expiry) === current) ? current : '';
+    select.disabled = expiries.length < 2;
+  }
+
+  render() {
+    if (!this.chain) {
+      return;
+    }
+
+    this.renderStatus();
+    this.results.hidden = !this.result;
+
+    if (this.result) {
+      this.renderSummary();
+      this.renderChart();
+      this.renderTable();
+    }
+  }
+
+  renderStatus() {
+    const { error, errors = [], options = [] } = this.chain;
+    const messages = [];
+
+    if (error) {
+      messages.push(h('p', { class: 'gex-error' }, i18n.t(`gex.error.${error}`, {
+        missing: (this.chain.missing || []).join(', ')
+      })));
+    } else {
+      messages.push(h('p', {}, i18n.t('gex.loaded', { count: options.length })));
+    }
+
+    if (errors.length) {
+      messages.push(
+        h('p', { class: 'gex-error' }, i18n.t('gex.rowErrors', { count: errors.length })),
+        h('ul', { class: 'gex-row-errors' },
+          errors.slice(0, GEX_MAX_ERRORS_SHOWN).map(({ line, key, value }) => h('li', {},
+            i18n.t(`gex.row.${key}`, { line, value })
+          ))
+        ),
+        errors.length > GEX_MAX_ERRORS_SHOWN && h('p', {}, i18n.t('gex.moreErrors', { count: errors.length - GEX_MAX_ERRORS_SHOWN }))
+      );
+    }
+
+    setChildren(this.status, messages);
+  }
+
+  renderSummary() {
+    const { result } = this;
+    const rows = [
+      ['gex.summary.spot', formatNumber(result.spot)],
+      ['gex.summary.total', this.formatGex(result.total)],
+      ['gex.summary.flip', this.formatLevel(result.flip)],
+      ['gex.summary.callWall', this.formatLevel(result.callWall)],
+      ['gex.summary.putWall', this.formatLevel(result.putWall)]
+    ];
+
+    setChildren(this.summary, rows.map(([label, value]) => h('div', {},
+      h('dt', {}, i18n.t(label)),
+      h('dd', {}, value)
+    )));
+  }
+
+  renderChart() {
+    const { strikes, spot, flip } = this.result;
+    const { width, height, margin, colors } = GEX_CHART;
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    const low = Math.min(strikes[0].key, spot);
+    const high = Math.max(strikes[strikes.length - 1].key, spot);
+    const span = high - low || 1;
+    const x = value => margin.left + ((value - low) / span) * plotWidth;
+
+    const top = Math.max(0, ...strikes.map(entry => entry.net));
+    const bottom = Math.min(0, ...strikes.map(entry => entry.net));
+    const range = top - bottom || 1;
+    const y = value => margin.top + ((top - value) / range) * plotHeight;
+
+    const gaps = strikes.slice(1).map((entry, i) => entry.key - strikes[i].key);
+    const barWidth = Math.max(1, Math.min(24, ((gaps.length ? Math.min(...gaps) : span) / span) * plotWidth * 0.7));
+    const labelEvery = Math.ceil(strikes.length / 8);
+    const text = (props, content) => svg('text', { fill: colors.text, 'font-size': 11, 'font-family': 'Inter, sans-serif', ...props }, content);
+    const marker = (value, color, label) => value !== null && value >= low && value <= high && svg('g', {},
+      svg('line', { x1: x(value), x2: x(value), y1: margin.top, y2: margin.top + plotHeight, stroke: color, 'stroke-dasharray': '4 4' }),
+      text({ x: x(value), y: margin.top - 8, 'text-anchor': 'middle', fill: color }, label)
+    );
+
+    setChildren(this.chart, svg('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      width,
+      height,
+      role: 'img',
+      'aria-labelledby': 'gexChartTitle'
+    },
+      svg('title', { id: 'gexChartTitle' }, i18n.t('gex.chart.title')),
+      svg('rect', { width, height, fill: colors.background }),
+      svg('line', { x1: margin.left, x2: width - margin.right, y1: y(0), y2: y(0), stroke: colors.axis }),
+      text({ x: margin.left - 8, y: y(top) + 4, 'text-anchor': 'end' }, this.formatGex(top)),
+      text({ x: margin.left - 8, y: y(0) + 4, 'text-anchor': 'end' }, '0'),
+      bottom < 0 && text({ x: margin.left - 8, y: y(bottom) + 4, 'text-anchor': 'end' }, this.formatGex(bottom)),
+      strikes.map((entry, i) => [
+        svg('rect', {
+          x: x(entry.key) - barWidth / 2,
+          y: y(Math.max(entry.net, 0)),
+          width: barWidth,
+          height: Math.abs(y(entry.net) - y(0)),
+          fill: entry.net >= 0 ? colors.positive : colors.negative
+        }, svg('title', {}, `${formatNumber(entry.key)}: ${this.formatGex(entry.net)}`)),
+        i % labelEvery === 0 && text({ x: x(entry.key), y: height - margin.bottom + 18, 'text-anchor': 'middle' }, formatNumber(entry.key, { decimals: 0 }))
+      ]),
+      marker(spot, colors.spot, i18n.t('gex.chart.spot')),
+      marker(flip, colors.flip, i18n.t('gex.chart.flip'))
+    ));
+  }
+
+  renderTable() {
+    setChildren(this.table,
+      h('caption', {}, i18n.t('gex.table.caption')),
+      h('thead', {}, h('tr', {},
+        ['gex.table.expiry', 'gex.table.calls', 'gex.table.puts', 'gex.table.net']
+          .map(key => h('th', { scope: 'col' }, i18n.t(key)))
+      )),
+      h('tbody', {}, this.chain.options && this.expiryTotals().map(entry => h('tr', {},
+        h('th', { scope: 'row' }, this.formatExpiry(entry.key)),
+        h('td', {}, this.formatGex(entry.call)),
+        h('td', {}, this.formatGex(entry.put)),
+        h('td', { class: entry.net < 0 ? 'is-negative' : null }, this.formatGex(entry.net))
+      )))
+    );
+  }
+
+  // The expiry table always lists every expiry, whatever the chart shows
+  expiryTotals() {
+    const multiplier = parseDecimal(this.form.elements.multiplier.value);
+    return this.form.elements.expiry.value
+      ? GexCalculator.calculate(this.chain.options, { spot: this.chain.spot, multiplier }).expiries
+      : this.result.expiries;
+  }
+
+  getExportName(extension) {
+    const base = this.file ? this.file.name.replace(/\.[^.]+$/, '') : 'gex';
+    return `${base}-gex.${extension}`;
+  }
+
+  exportCsv() {
+    const lines = ['strike,call_gex,put_gex,net_gex']
+      .concat(this.result.strikes.map(entry => [entry.key, entry.call, entry.put, entry.net]
+        .map(value => Number(value.toFixed(2)))
+        .join(',')));
+    downloadFile(lines.join('\n'), this.getExportName('csv'), 'text/csv');
+    analytics.track('gex_export', { format: 'csv' });
+  }
+
+  exportPng() {
+    const { width, height } = GEX_CHART;
+    const source = new XMLSerializer().serializeToString(this.chart.querySelector('svg'));
+    const url = URL.createObjectURL(new Blob([source], { type: 'image/svg+xml' }));
+
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = reject;
+      image.src = url;
+    })
+      .then(image => new Promise(resolve => {
+        // Twice the size so the PNG stays sharp on high-density screens
+        const canvas = h('canvas', { width: width * 2, height: height * 2 });
+        canvas.getContext('2d').drawImage(image, 0, 0, width * 2, height * 2);
+        canvas.toBlob(resolve, 'image/png');
+      }))
+      .then(blob => {
+        downloadFile(blob, this.getExportName('png'));
+        analytics.track('gex_export', { format: 'png' });
+      })
+      .catch(error => console.warn('⚠️ GEX: PNG export failed', error))
+      .finally(() => URL.revokeObjectURL(url));
+  }
+}
+
+// ========================================
+// SAMPLE REPORT
+// ========================================
+// Hero widget showing what a Relatório Gamma looks like: the session price
+// against the day's key levels. data/gamma-sample.json holds delayed,
+// illustrative reports per asset, one price every `session.interval` minutes
+// from `session.start` (New York time), and names the product each asset's
+// "Quero o relatório completo" button opens.
+const SAMPLE_REPORT_URL = 'data/gamma-sample.json';
+
+// Drawing order of the levels; the legend buttons hide and show them
+const SAMPLE_REPORT_LEVELS = ['callWall', 'hvl', 'zeroGamma', 'putWall'];
+
+// Colours are set on the SVG itself, like the GEX chart
+const SAMPLE_REPORT_CHART = {
+  width: 640,
+  height: 280,
+  margin: { top: 16, right: 96, bottom: 28, left: 16 },
+  colors: {
+    price: '#d4af37',
+    axis: '#555555',
+    text: '#aaaaaa',
+    guide: '#f0f0f0',
+    callWall: '#4caf50',
+    hvl: '#64b5f6',
+    zeroGamma: '#f0f0f0',
+    putWall: '#e05252'
+  }
+};
+
+class SampleReport {
+  constructor(modalManager) {
+    this.modalManager = modalManager;
+    this.container = document.getElementById('sampleReport');
+    this.assetButtons = document.getElementById('sampleReportAssets');
+    this.dateInput = document.getElementById('sampleReportDate');
+    this.chart = document.getElementById('sampleReportChart');
+    this.legend = document.getElementById('sampleReportLegend');
+    this.readout = document.getElementById('sampleReportReadout');
+    this.cta = this.container.querySelector('[data-sample-report-cta]');
+    this.data = null;
+    this.symbol = null;
+    this.date = null;
+    this.pointer = null;
+    this.hiddenLevels = new Set();
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.subscriptions.on(this.assetButtons, 'click', (e) => {
+      const button = e.target.closest('[data-symbol]');
+      if (button) {
+        this.select(button.dataset.symbol, this.date);
+      }
+    });
+    this.subscriptions.on(this.dateInput, 'change', () => this.select(this.symbol, this.dateInput.value));
+    this.subscriptions.on(this.legend, 'click', (e) => {
+      const button = e.target.closest('[data-level]');
+      if (button) {
+        this.toggleLevel(button.dataset.level);
+      }
+    });
+    this.subscriptions.on(this.cta, 'click', () => {
+      const asset = this.getAsset();
+      if (asset) {
+        analytics.track('sample_report_cta', { asset: asset.symbol, product: asset.product });
+        this.modalManager.openModal(asset.product, { invoker: this.cta });
+      }
+    });
+
+    // The chart is re-rendered on every change, so these are delegated
+    this.subscriptions.on(this.chart, 'pointermove', (e) => this.handlePointer(e));
+    this.subscriptions.on(this.chart, 'pointerleave', () => this.setPointer(null));
+    this.subscriptions.on(this.chart, 'keydown', (e) => this.handleKeydown(e));
+
+    this.subscriptions.add(i18n.subscribe(() => this.render()));
+
+    this.load();
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  load() {
+    return fetch(SAMPLE_REPORT_URL)
+      .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+      .then(data => {
+        this.data = data;
+        this.select(data.assets[0].symbol, null, { track: false });
+      })
+      .catch(error => {
+        console.warn('⚠️ Sample report: could not load the levels', error);
+        this.chart.removeAttribute('aria-busy');
+        setChildren(this.chart, h('p', { class: 'loading-fallback', role: 'status' }, i18n.t('sampleReport.error')));
+        this.cta.hidden = true;
+        this.dateInput.disabled = true;
+      });
+  }
+
+  getAsset() {
+    return this.data ? this.data.assets.find(asset => asset.symbol === this.symbol) : null;
+  }
+
+  getReport() {
+    const asset = this.getAsset();
+    return asset ? asset.reports.find(report => report.date === this.date) : null;
+  }
+
+  // Picks the report of `date`, or the latest one before it (weekends and
+  // holidays have no report); without a date, the most recent report
+  select(symbol, date, { track = true } = {}) {
+    if (!this.data) {
+      return;
+    }
+
+    const asset = this.data.assets.find(entry => entry.symbol === symbol) || this.data.assets[0];
+    const reports = asset.reports.slice().sort((a, b) => a.date.localeCompare(b.date));
+    const report = date
+      ? reports.filter(entry => entry.date <= date).pop() || reports[0]
+      : reports[reports.length - 1];
+
+    this.symbol = asset.symbol;
+    this.date = report.date;
+    this.requestedDate = date;
+    this.pointer = null;
+
+    this.dateInput.min = reports[0].date;
+    this.dateInput.max = reports[reports.length - 1].date;
+    this.dateInput.value = report.date;
+
+    if (track) {
+      analytics.track('sample_report_view', { asset: asset.symbol, date: report.date });
+    }
+    this.render();
+  }
+
+  toggleLevel(level) {
+    if (this.hiddenLevels.has(level)) {
+      this.hiddenLevels.delete(level);
+    } else {
+      this.hiddenLevels.add(level);
+    }
+    this.render();
+  }
+
+  formatPrice(value) {
+    return formatNumber(value, { decimals: this.getAsset().decimals });
+  }
+
+  formatDate(date) {
+    return new Intl.DateTimeFormat(i18n.locale, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(`${date}T00:00:00Z`));
+  }
+
+  // "09:30" plus `index` intervals
+  getTime(index) {
+    const { start, interval } = this.data.session;
+    const [hours, minutes] = start.split(':').map(Number);
+    const total = hours * 60 + minutes + index * interval;
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  render() {
+    const asset = this.getAsset();
+    const report = this.getReport();
+    if (!report) {
+      return;
+    }
+
+    setChildren(this.assetButtons, this.data.assets.map(entry => h('button', {
+      type: 'button',
+      class: 'sample-report-asset',
+      'aria-pressed': String(entry.symbol === asset.symbol),
+      title: entry.name,
+      dataset: { symbol: entry.symbol }
+    }, entry.symbol)));
+
+    setChildren(this.legend, SAMPLE_REPORT_LEVELS.map(level => h('li', {},
+      h('button', {
+        type: 'button',
+        class: ['sample-report-level', `sample-report-level-${level}`],
+        'aria-pressed': String(!this.hiddenLevels.has(level)),
+        dataset: { level }
+      },
+        h('span', { class: 'sample-report-level-name' }, i18n.t(`sampleReport.level.${level}`)),
+        ' ',
+        h('strong', {}, this.formatPrice(report.levels[level]))
+      )
+    )));
+
+    this.chart.removeAttribute('aria-busy');
+    this.renderChart(report);
+    this.renderReadout();
+  }
+
+  renderChart(report) {
+    const { width, height, margin, colors } = SAMPLE_REPORT_CHART;
+    const { prices, levels } = report;
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+
+    // Hidden levels keep their room so toggling doesn't rescale the chart
+    const values = prices.concat(SAMPLE_REPORT_LEVELS.map(level => levels[level]));
+    const padding = (Math.max(...values) - Math.min(...values)) * 0.08 || 1;
+    const low = Math.min(...values) - padding;
+    const high = Math.max(...values) + padding;
+
+    this.x = index => margin.left + (index / (prices.length - 1)) * plotWidth;
+    this.y = value => margin.top + ((high - value) / (high - low)) * plotHeight;
+
+    const text = (props, content) => svg('text', { fill: colors.text, 'font-size': 11, 'font-family': 'Inter, sans-serif', ...props }, content);
+    const timeLabels = prices.map((price, index) => index).filter(index => index % 8 === 0);
+
+    this.guide = svg('g', { 'aria-hidden': 'true' });
+
+    setChildren(this.chart, svg('svg', {
+      viewBox: `0 0 ${width} ${height}`,
+      role: 'img',
+      tabindex: 0,
+      'aria-label': i18n.t('sampleReport.chart', { asset: this.getAsset().name, date: this.formatDate(report.date) }),
+      'aria-describedby': 'sampleReportReadout'
+    },
+      svg('line', { x1: margin.left, x2: margin.left + plotWidth, y1: margin.top + plotHeight, y2: margin.top + plotHeight, stroke: colors.axis }),
+      timeLabels.map(index => text({ x: this.x(index), y: height - 8, 'text-anchor': 'middle' }, this.getTime(index))),
+      SAMPLE_REPORT_LEVELS.filter(level => !this.hiddenLevels.has(level)).map(level => svg('g', {},
+        svg('line', {
+          x1: margin.left,
+          x2: margin.left + plotWidth,
+          y1: this.y(levels[level]),
+          y2: this.y(levels[level]),
+          stroke: colors[level],
+          'stroke-dasharray': '6 4'
+        }),
+        text({ x: margin.left + plotWidth + 6, y: this.y(levels[level]) + 4, fill: colors[level] }, i18n.t(`sampleReport.level.${level}`))
+      )),
+      svg('polyline', {
+        points: prices.map((price, index) => `${this.x(index)},${this.y(price)}`).join(' '),
+        fill: 'none',
+        stroke: colors.price,
+        'stroke-width': 2,
+        'stroke-linejoin': 'round'
+      }),
+      this.guide
+    ));
+
+    this.renderPointer();
+  }
+
+  renderPointer() {
+    const report = this.getReport();
+    const { margin, height, colors } = SAMPLE_REPORT_CHART;
+
+    setChildren(this.guide, this.pointer !== null && [
+      svg('line', { x1: this.x(this.pointer), x2: this.x(this.pointer), y1: margin.top, y2: height - margin.bottom, stroke: colors.guide, 'stroke-opacity': 0.4 }),
+      svg('circle', { cx: this.x(this.pointer), cy: this.y(report.prices[this.pointer]), r: 4, fill: colors.price })
+    ]);
+  }
+
+  // Close of the session, or the price under the pointer / keyboard cursor
+  renderReadout() {
+    const report = this.getReport();
+    const index = this.pointer === null ? report.prices.length - 1 : this.pointer;
+    const key = this.pointer === null ? 'sampleReport.readout.close' : 'sampleReport.readout.point';
+
+    setChildren(this.readout,
+      i18n.t(key, { time: this.getTime(index), price: this.formatPrice(report.prices[index]) }),
+      this.requestedDate && this.requestedDate !== report.date && [
+        ' ',
+        h('span', { class: 'sample-report-nearest' }, i18n.t('sampleReport.nearest', { date: this.formatDate(report.date) }))
+      ]
+    );
+  }
+
+  setPointer(index) {
+    if (index === this.pointer || !this.getReport()) {
+      return;
+    }
+    this.pointer = index;
+    this.renderPointer();
+    this.renderReadout();
+  }
+
+  handlePointer(e) {
+    const chart = this.chart.querySelector('svg');
+    const report = this.getReport();
+    if (!chart || !report) {
+      return;
+    }
+
+    const { width, margin } = SAMPLE_REPORT_CHART;
+    const rect = chart.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) / rect.width) * width;
+    const ratio = (x - margin.left) / (width - margin.left - margin.right);
+    this.setPointer(Math.min(report.prices.length - 1, Math.max(0, Math.round(ratio * (report.prices.length - 1)))));
+  }
+
+  handleKeydown(e) {
+    const report = this.getReport();
+    if (!report) {
+      return;
+    }
+
+    const last = report.prices.length - 1;
+    const current = this.pointer === null ? last : this.pointer;
+    const moves = {
+      ArrowLeft: Math.max(0, current - 1),
+      ArrowRight: Math.min(last, current + 1),
+      Home: 0,
+      End: last
+    };
+
+    if (e.key in moves) {
+      e.preventDefault();
+      this.setPointer(moves[e.key]);
+    } else if (e.key === 'Escape') {
+      this.setPointer(null);
+    }
+  }
+}
+
+// ========================================
+// MARKET HOURS
+// ========================================
+// US session times for the clock in the hero, from MarketCalendar
+// (lib/market-calendar.js) and the holidays and early closes in
+// data/market-calendar.js. The visitor's browser shows the session instants
+// in their own zone.
+const marketCalendar = new MarketCalendar(window.MARKET_CALENDAR);
+
+// Status of both sessions and the countdown to the next report, refreshed
+// every MARKET_CLOCK_INTERVAL while the page is visible
+const MARKET_CLOCK_INTERVAL = 15000;
+
+class MarketClock {
+  constructor() {
+    this.sessions = document.getElementById('marketClockSessions');
+    this.note = document.getElementById('marketClockNote');
+    this.timer = null;
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    const { date } = MarketCalendar.wallClock(Date.now());
+    if (!marketCalendar.covers(date.slice(0, 4))) {
+      console.warn(`⚠️ Market calendar: no holidays for ${date.slice(0, 4)} in data/market-calendar.js`);
+    }
+
+    this.subscriptions.on(document, 'visibilitychange', () => (document.hidden ? this.stop() : this.start()));
+    this.subscriptions.add(i18n.subscribe(() => this.render()));
+    this.start();
+  }
+
+  destroy() {
+    this.stop();
+    this.subscriptions.dispose();
+  }
+
+  start() {
+    this.stop();
+    this.render();
+    this.timer = setInterval(() => this.render(), MARKET_CLOCK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  // "2d 4h", "3h 05min", "12min"
+  formatDuration(ms) {
+    const minutes = Math.max(1, Math.ceil(ms / MINUTE_MS));
+    const days = Math.floor(minutes / 1440);
+    const hours = Math.floor((minutes % 1440) / 60);
+    const rest = minutes % 60;
+
+    if (days) {
+      return `${days}d ${hours}h`;
+    }
+    return hours ? `${hours}h ${String(rest).padStart(2, '0')}min` : `${rest}min`;
+  }
+
+  // Local time, with the weekday when it isn't today
+  formatTime(time, now) {
+    const sameDay = new Date(time).toDateString() === new Date(now).toDateString();
+    return new Intl.DateTimeFormat(i18n.locale, {
+      weekday: sameDay ? undefined : 'short',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).format(time);
+  }
+
+  describe(status, now) {
+    const time = status.closes || status.opens;
+    if (!time) {
+      return '';
+    }
+    return i18n.t(status.closes ? 'marketClock.closes' : 'marketClock.opens', {
+      duration: this.formatDuration(time - now),
+      time: this.formatTime(time, now)
+    });
+  }
+
+  render() {
+    const now = Date.now();
+    const cash = marketCalendar.getCashStatus(now);
+    const globex = marketCalendar.getGlobexStatus(now);
+    const delivery = marketCalendar.getNextDelivery(now);
+    const row = (label, status) => [
+      h('dt', {}, i18n.t(label)),
+      h('dd', {},
+        h('span', { class: ['market-status', `is-${status.state}`] }, i18n.t(`marketClock.state.${status.state}`)),
+        ' ',
+        this.describe(status, now)
+      )
+    ];
+
+    setChildren(this.sessions,
+      row('marketClock.cash', cash),
+      row('marketClock.globex', globex),
+      delivery && [
+        h('dt', {}, i18n.t('marketClock.report')),
+        h('dd', {}, i18n.t('marketClock.delivery', {
+          duration: this.formatDuration(delivery - now),
+          time: this.formatTime(delivery, now)
+        }))
+      ]
+    );
+
+    const { date } = MarketCalendar.wallClock(now);
+    const holiday = marketCalendar.getHoliday(date);
+    const earlyClose = marketCalendar.getEarlyClose(date);
+    const zone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    setChildren(this.note,
+      i18n.t('marketClock.timezone', { zone: zone.replace(/_/g, ' ') }),
+      holiday && [' ', i18n.t('marketClock.holiday', { name: holiday.name })],
+      earlyClose && [' ', i18n.t('marketClock.earlyClose', {
+        name: earlyClose.name,
+        time: this.formatTime(MarketCalendar.toUtc(date, earlyClose.close), now)
+      })]
+    );
+  }
+}
+
+// ========================================
+// CALENDAR FILES
+// ========================================
+// Minimal RFC 5545 writer for the .ics downloads (renewal reminders, booked
+// sessions). Events are either all-day (`date: 'YYYY-MM-DD'`) or timed
+// (`start`/`end` as UTC timestamps); `alarms` are display reminders with an
+// RFC 5545 duration relative to the start, e.g. { trigger: '-P3D' }, and
+// `status` is an optional STATUS value such as TENTATIVE.
+const ICS_PRODUCT_ID = '-//Danilo Petri Trader//Site//PT';
+
+const icsEscape = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a space,
+// without splitting a multi-byte character
+const icsFold = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+
+  Array.from(line).forEach(char => {
+    const limit = parts.length ? 74 : 75;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  });
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+const icsDate = (date) => date.replace(/-/g, '');
+const icsTime = (time) => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const buildCalendar = (events, { name } = {}) => {
+  const stamp = icsTime(Date.now());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${ICS_PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    name && `X-WR-CALNAME:${icsEscape(name)}`
+  ];
+
+  events.forEach(event => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      event.date
+        ? [`DTSTART;VALUE=DATE:${icsDate(event.date)}`, `DTEND;VALUE=DATE:${icsDate(MarketCalendar.addDays(event.date, 1))}`]
+        : [`DTSTART:${icsTime(event.start)}`, `DTEND:${icsTime(event.end)}`],
+      `SUMMARY:${icsEscape(event.summary)}`,
+      event.status && `STATUS:${event.status}`,
+      event.description && `DESCRIPTION:${icsEscape(event.description)}`,
+      event.url && `URL:${event.url}`,
+      (event.alarms || []).map(alarm => [
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:${alarm.trigger}`,
+        `DESCRIPTION:${icsEscape(alarm.description || event.summary)}`,
+        'END:VALARM'
+      ]),
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.flat(Infinity).filter(Boolean).map(icsFold).join('\r\n')}\r\n`;
+};
+
+// Stable per event, so importing an updated file replaces events instead of
+// duplicating them
+const icsUid = (...parts) => `${parts.join('-')}@${location.hostname || 'danilopetritrader'}`;
+
+// ========================================
+// SUBSCRIPTION TRACKER
+// ========================================
+// "Minha assinatura": clients note when they bought a product with
+// `renewalMonths` and get the upcoming renewal dates, an .ics with
+// reminders and a shortcut to the product's checkout. Entries live in
+// localStorage only ('subscriptions'), one per product.
+const SUBSCRIPTION_STORAGE_KEY = 'subscriptions';
+const SUBSCRIPTION_UPCOMING = 4;
+
+// Renewals exported to the calendar file: two years of a quarterly plan
+const SUBSCRIPTION_CALENDAR_RENEWALS = 8;
+const SUBSCRIPTION_REMINDER_DAYS = [1, 3, 7];
+
+// Renewals keep the purchase day, or the month's last day when it is
+// shorter (purchase on Nov 30 renews on Feb 28)
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+
+class SubscriptionTracker {
+  // The next `count` renewals on or after `today`
+  static getRenewals(subscription, today, count) {
+    const product = getProduct(subscription.product);
+    const renewals = [];
+
+    for (let period = 1; renewals.length < count; period++) {
+      const date = addMonths(subscription.purchased, period * product.renewalMonths);
+      if (date >= today) {
+        renewals.push(date);
+      }
+    }
+    return renewals;
+  }
+
+  static getProducts() {
+    return PRODUCT_CATALOG.filter(product => product.renewalMonths);
+  }
+
+  constructor(modalManager) {
+    this.modalManager = modalManager;
+    this.form = document.getElementById('subscriptionForm');
+    this.error = document.getElementById('subscriptionError');
+    this.list = document.getElementById('subscriptionList');
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.form.elements.purchased.max = localDate();
+
+    this.subscriptions.on(this.form, 'submit', (e) => {
+      e.preventDefault();
+      this.save();
+    });
+    this.subscriptions.on(this.form, 'input', () => this.setError(null));
+    this.subscriptions.on(this.list, 'click', (e) => {
+      const button = e.target.closest('[data-subscription-action]');
+      if (button) {
+        this.handleAction(button.dataset.subscriptionAction, button.dataset.product, button);
+      }
+    });
+    this.subscriptions.add(i18n.subscribe(() => {
+      this.renderProducts();
+      this.render();
+    }));
+
+    this.renderProducts();
+    this.render();
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  // Saved entries whose product is still sold as a subscription
+  getSaved() {
+    const saved = storage.get(SUBSCRIPTION_STORAGE_KEY, []);
+    return (Array.isArray(saved) ? saved : [])
+      .filter(entry => entry && getProduct(entry.product) && getProduct(entry.product).renewalMonths && /^\d{4}-\d{2}-\d{2}$/.test(entry.purchased));
+  }
+
+  setSaved(entries) {
+    if (entries.length) {
+      storage.set(SUBSCRIPTION_STORAGE_KEY, entries);
+    } else {
+      storage.remove(SUBSCRIPTION_STORAGE_KEY);
+    }
+  }
+
+  setError(key) {
+    const input = this.form.elements.purchased;
+    setChildren(this.error, key && i18n.t(key));
+    if (key) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  save() {
+    const { product, purchased, reminder } = this.form.elements;
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(purchased.value)) {
+      this.setError('subscription.error.date');
+      purchased.focus();
+      return;
+    }
+    if (purchased.value > localDate()) {
+      this.setError('subscription.error.future');
+      purchased.focus();
+      return;
+    }
+
+    const entry = {
+      product: product.value,
+      purchased: purchased.value,
+      reminderDays: Number(reminder.value)
+    };
+    this.setSaved(this.getSaved().filter(saved => saved.product !== entry.product).concat(entry));
+    analytics.track('subscription_saved', { product: entry.product });
+
+    this.form.reset();
+    this.render();
+  }
+
+  handleAction(action, productId, button) {
+    const entry = this.getSaved().find(saved => saved.product === productId);
+    if (!entry) {
+      return;
+    }
+
+    if (action === 'renew') {
+      analytics.track('subscription_renew', { product: productId });
+      this.modalManager.startCheckout(productId, { invoker: button });
+    } else if (action === 'calendar') {
+      downloadFile(this.buildCalendar(entry), `renovacao-${productId}.ics`, 'text/calendar');
+      analytics.track('subscription_calendar', { product: productId });
+    } else if (action === 'remove') {
+      this.setSaved(this.getSaved().filter(saved => saved.product !== productId));
+      this.render();
+      this.form.elements.product.focus();
+    }
+  }
+
+  buildCalendar(entry) {
+    const product = getLocalizedProduct(entry.product);
+    const url = `${location.origin}${location.pathname}${ModalRouter.productHash(entry.product)}`;
+    const summary = i18n.t('subscription.calendar.summary', { product: product.title });
+    const reminder = i18n.t('subscription.calendar.reminder', { product: product.title, days: entry.reminderDays });
+
+    const events = SubscriptionTracker.getRenewals(entry, localDate(), SUBSCRIPTION_CALENDAR_RENEWALS).map(date => ({
+      uid: icsUid('renewal', entry.product, date),
+      date,
+      summary,
+      description: i18n.t('subscription.calendar.description', { product: product.title, price: formatPrice(product.price), url }),
+      url,
+      alarms: [
+        { trigger: `-P${entry.reminderDays}D`, description: reminder },
+        { trigger: 'PT9H', description: summary }
+      ]
+    }));
+
+    return buildCalendar(events, { name: summary });
+  }
+
+  renderProducts() {
+    const select = this.form.elements.product;
+    const current = select.value;
+    setChildren(select, SubscriptionTracker.getProducts().map(product => h('option', { value: product.id },
+      getLocalizedProduct(product.id).title
+    )));
+    if (current) {
+      select.value = current;
+    }
+
+    const reminder = this.form.elements.reminder;
+    const days = reminder.value || '3';
+    setChildren(reminder, SUBSCRIPTION_REMINDER_DAYS.map(count => h('option', { value: count },
+      i18n.t('subscription.reminder.days', { days: count })
+    )));
+    reminder.value = days;
+  }
+
+  formatDate(date, style = 'long') {
+    return new Intl.DateTimeFormat(i18n.locale, { dateStyle: style, timeZone: 'UTC' }).format(new Date(`${date}T00:00:00Z`));
+  }
+
+  render() {
+    const today = localDate();
+    const saved = this.getSaved();
+
+    if (!saved.length) {
+      setChildren(this.list, h('p', { class: 'subscription-empty' }, i18n.t('subscription.empty')));
+      return;
+    }
+
+    setChildren(this.list, saved.map(entry => {
+      const product = getLocalizedProduct(entry.product);
+      const renewals = SubscriptionTracker.getRenewals(entry, today, SUBSCRIPTION_UPCOMING);
+      const days = daysBetween(today, renewals[0]);
+      const due = days <= entry.reminderDays;
+
+      return h('article', { class: ['subscription-card', due && 'is-due'] },
+        h('h3', {}, product.title),
+        h('p', { class: 'subscription-purchased' }, i18n.t('subscription.purchased', { date: this.formatDate(entry.purchased) })),
+        h('p', { class: 'subscription-next' },
+          i18n.t('subscription.next'),
+          ' ',
+          h('strong', {}, this.formatDate(renewals[0])),
+          ' ',
+          h('span', { class: 'subscription-countdown' }, days === 0
+            ? i18n.t('subscription.today')
+            : i18n.t('subscription.inDays', { days }))
+        ),
+        h('p', { class: 'subscription-upcoming-label' }, i18n.t('subscription.upcoming')),
+        h('ol', { class: 'subscription-upcoming' }, renewals.slice(1).map(date => h('li', {}, this.formatDate(date, 'medium')))),
+        h('div', { class: 'subscription-actions' },
+          h('button', { type: 'button', class: 'btn-primary', dataset: { subscriptionAction: 'renew', product: entry.product } },
+            icon('fas fa-rotate'),
+            h('span', {}, i18n.t('subscription.renew'))
+          ),
+          h('button', { type: 'button', class: 'btn-secondary', dataset: { subscriptionAction: 'calendar', product: entry.product } },
+            icon('fas fa-calendar-plus'),
+            h('span', {}, i18n.t('subscription.calendar'))
+          ),
+          h('button', {
+            type: 'button',
+            class: 'subscription-remove',
+            'aria-label': i18n.t('subscription.removeLabel', { product: product.title }),
+            dataset: { subscriptionAction: 'remove', product: entry.product }
+          }, i18n.t('subscription.remove'))
+        )
+      );
+    }));
+  }
+}
+
+// ========================================
+// MENTORIA BOOKING
+// ========================================
+// Students of the Mentoria Individual pick their 1x1 sessions in
+// #bookingDialog, opened from the product modal of products with `booking`.
+// Nothing is reserved here: the choice goes to Danilo as a WhatsApp message
+// and into the student's calendar as a tentative .ics invite.
+//
+// Slots come from an availability source, any object with
+//   getSlots({ from, to }) → Promise<[{ id, start, end, timeZone }]>
+// where start/end are UTC timestamps and timeZone is the mentor's zone.
+// LocalAvailability reads data/mentoria-availability.json and expands it with
+// MentoriaAvailability (lib/mentoria-availability.js); a calendar backend can
+// replace it in the registry without touching the dialog.
+const BOOKING_PRODUCT = 'mentoria';
+const BOOKING_AVAILABILITY_URL = 'data/mentoria-availability.json';
+class LocalAvailability {
+  constructor(url = BOOKING_AVAILABILITY_URL) {
+    this.url = url;
+    this.request = null;
+  }
+
+  // Fetched again on every call, past the HTTP cache and the service worker,
+  // so a slot booked since the dialog opened is gone when the student
+  // confirms. Calls made while a request is in flight share it.
+  load() {
+    if (!this.request) {
+      this.request = fetch(this.url, { cache: 'no-store' })
+        .then(response => (response.ok ? response.json() : Promise.reject(new Error(`HTTP ${response.status}`))))
+        .finally(() => {
+          this.request = null;
+        });
+    }
+    return this.request;
+  }
+
+  getSlots(range) {
+    return this.load().then(data => MentoriaAvailability.expand(data, range));
+  }
+}
+
+class MentoriaBooking {
+  constructor(source) {
+    this.source = source;
+    this.element = document.getElementById('bookingDialog');
+    this.slotsContainer = document.getElementById('bookingSlots');
+    this.status = document.getElementById('bookingStatus');
+    this.error = document.getElementById('bookingError');
+    this.whatsappLink = this.element.querySelector('[data-booking-action="whatsapp"]');
+    this.calendarButton = this.element.querySelector('[data-booking-action="calendar"]');
+    this.max = getProduct(BOOKING_PRODUCT).booking.sessions;
+    this.slots = [];
+    this.selected = [];
+    this.errorKey = null;
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.subscriptions.on(this.element, 'dialog:open', () => {
+      analytics.track('booking_open', { product: BOOKING_PRODUCT });
+      this.load();
+    });
+    this.subscriptions.on(this.slotsContainer, 'change', (e) => {
+      if (e.target.name === 'slot') {
+        this.toggle(e.target.value, e.target.checked);
+      }
+    });
+    this.subscriptions.on(this.calendarButton, 'click', () => this.confirm('calendar'));
+    this.subscriptions.on(this.whatsappLink, 'click', (e) => {
+      // The href only serves copy/long-press; the chat opens once the
+      // selection has been checked against fresh availability
+      e.preventDefault();
+      if (this.selected.length && !this.errorKey) {
+        this.confirm('whatsapp');
+      }
+    });
+    this.subscriptions.add(i18n.subscribe(() => this.render()));
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  load() {
+    this.slotsContainer.setAttribute('aria-busy', 'true');
+    setChildren(this.slotsContainer, h('p', { class: 'booking-loading' }, i18n.t('booking.loading')));
+
+    return this.source.getSlots({ from: Date.now() })
+      .then(slots => {
+        this.slots = slots;
+        this.selected = this.selected.filter(slot => slots.some(available => available.id === slot.id));
+        this.errorKey = null;
+        this.render();
+      })
+      .catch(error => {
+        console.warn('⚠️ Booking: could not load availability', error);
+        this.slots = [];
+        this.errorKey = 'load';
+        this.render();
+      })
+      .finally(() => this.slotsContainer.removeAttribute('aria-busy'));
+  }
+
+  toggle(id, checked) {
+    const slot = this.slots.find(entry => entry.id === id);
+    this.selected = this.selected.filter(entry => entry.id !== id);
+    if (checked && slot) {
+      this.selected = this.selected.concat(slot).sort((a, b) => a.start - b.start);
+    }
+    this.errorKey = MentoriaAvailability.validate(this.selected, this.slots, this.max);
+    this.render();
+  }
+
+  // Re-reads availability before handing the selection over, in case a slot
+  // was taken meanwhile
+  confirm(channel) {
+    return this.source.getSlots({ from: Date.now() })
+      .then(slots => {
+        this.slots = slots;
+        this.errorKey = MentoriaAvailability.validate(this.selected, slots, this.max);
+        if (this.errorKey) {
+          // Taken slots leave the selection; the message stays until the next pick
+          this.selected = this.selected.filter(slot => slots.some(available => available.id === slot.id));
+          this.render();
+          return;
+        }
+
+        if (channel === 'calendar') {
+          downloadFile(this.buildCalendar(), 'mentoria-aulas-1x1.ics', 'text/calendar');
+        } else {
+          window.open(buildWhatsAppUrl(this.buildMessage()), '_blank', 'noopener');
+        }
+        analytics.track('booking_confirm', { channel, sessions: this.selected.length });
+      })
+      .catch(error => console.warn('⚠️ Booking: could not confirm', error));
+  }
+
+  formatDay(time, timeZone) {
+    return new Intl.DateTimeFormat(i18n.locale, { weekday: 'long', day: 'numeric', month: 'long', timeZone }).format(time);
+  }
+
+  formatTime(time, timeZone) {
+    return new Intl.DateTimeFormat(i18n.locale, { hour: '2-digit', minute: '2-digit', timeZone }).format(time);
+  }
+
+  // In the mentor's time zone, which is how Danilo reads his agenda
+  buildMessage() {
+    return [
+      i18n.t('booking.whatsapp.intro'),
+      ...this.selected.map((slot, index) => i18n.t('booking.whatsapp.slot', {
+        index: index + 1,
+        date: this.formatDay(slot.start, slot.timeZone),
+        start: this.formatTime(slot.start, slot.timeZone),
+        end: this.formatTime(slot.end, slot.timeZone),
+        zone: slot.timeZone.replace(/_/g, ' ')
+      })),
+      i18n.t('booking.whatsapp.outro')
+    ].join('\n');
+  }
+
+  buildCalendar() {
+    const total = this.selected.length;
+    return buildCalendar(this.selected.map((slot, index) => ({
+      uid: icsUid('mentoria', slot.id),
+      start: slot.start,
+      end: slot.end,
+      status: 'TENTATIVE',
+      summary: i18n.t('booking.calendar.summary', { index: index + 1, total }),
+      description: i18n.t('booking.calendar.description'),
+      alarms: [{ trigger: '-P1D' }, { trigger: '-PT1H' }]
+    })), { name: i18n.t('booking.calendar.name') });
+  }
+
+  render() {
+    const conflicts = slot => this.selected.some(entry => entry.id !== slot.id && MentoriaAvailability.overlaps(entry, slot));
+    const isSelected = slot => this.selected.some(entry => entry.id === slot.id);
+    const full = this.selected.length >= this.max;
+
+    if (this.errorKey !== 'load') {
+      const days = new Map();
+      this.slots.forEach(slot => {
+        const day = new Date(slot.start).toDateString();
+        days.set(day, (days.get(day) || []).concat(slot));
+      });
+
+      setChildren(this.slotsContainer, this.slots.length
+        ? Array.from(days.values()).map(slots => h('fieldset', { class: 'booking-day' },
+          h('legend', {}, this.formatDay(slots[0].start)),
+          slots.map(slot => {
+            const selected = isSelected(slot);
+            const blocked = !selected && conflicts(slot);
+            return h('label', { class: ['booking-slot', selected && 'is-selected'] },
+              h('input', {
+                type: 'checkbox',
+                name: 'slot',
+                value: slot.id,
+                checked: selected,
+                disabled: !selected && (full || blocked)
+              }),
+              h('span', { class: 'booking-slot-time' }, `${this.formatTime(slot.start)}–${this.formatTime(slot.end)}`),
+              h('span', { class: 'booking-slot-duration' }, i18n.t('booking.duration', { minutes: Math.round((slot.end - slot.start) / MINUTE_MS) })),
+              blocked && h('span', { class: 'booking-slot-note' }, i18n.t('booking.conflict'))
+            );
+          })
+        ))
+        : h('p', { class: 'booking-empty' }, i18n.t('booking.empty')));
+    }
+
+    setChildren(this.status,
+      i18n.t('booking.selected', { count: this.selected.length, max: this.max }),
+      ' ',
+      i18n.t('booking.timezone', { zone: Intl.DateTimeFormat().resolvedOptions().timeZone.replace(/_/g, ' ') })
+    );
+
+    setChildren(this.error, this.errorKey && [
+      i18n.t(`booking.error.${this.errorKey}`),
+      this.errorKey === 'load' && [' ', h('a', {
+        href: buildWhatsAppUrl(i18n.t('booking.whatsapp.fallback')),
+        target: '_blank',
+        rel: 'noopener',
+        dataset: { cta: 'whatsapp-booking' }
+      }, i18n.t('loading.contact'))]
+    ]);
+
+    const ready = this.selected.length > 0 && !this.errorKey;
+    this.calendarButton.disabled = !ready;
+    this.whatsappLink.href = ready ? buildWhatsAppUrl(this.buildMessage()) : '#';
+    this.whatsappLink.setAttribute('aria-disabled', String(!ready));
+  }
+}
+
+// ========================================
+// LEAD CAPTURE
+// ========================================
+// Contact form for visitors who aren't ready for a WhatsApp chat: in the CTA
+// section and, for products marked `waitlist`, in place of the checkout in
+// the product modal. Every submission is written to a queue in IndexedDB
+// first and removed once LEADS_CONFIG.endpoint accepts it, so leads sent
+// offline or during an outage go out later (on the next visit, when the
+// connection comes back, or on a backoff timer). Queue entries and the
+// leadsSent record (what went out in the last dedupeDays) are keyed by a
+// SHA-256 hash of email + phone + product, not the contact details;
+// leadsSent is cleared when marketing consent is revoked.
+//
+// The endpoint receives the lead as JSON with an Idempotency-Key header: a
+// retry can repeat a delivery whose response was lost. An endpoint on
+// another host must also be allowed by connect-src in index.html. Until
+// `endpoint` is set the forms are not rendered: the CTA section keeps its
+// WhatsApp button and waitlist products offer the waitlist over WhatsApp.
+const LEADS_CONFIG = {
+  endpoint: null, // required, e.g. '/api/leads'
+  timeoutMs: 10000,
+  retryMs: 30 * 1000, // first retry; doubles per failed attempt up to maxRetryMs
+  maxRetryMs: 60 * MINUTE_MS,
+  dedupeDays: 30 // the same email + phone + product is only sent once in this window
+};
+
+// Stored with each lead; bump when lead.consent changes
+const LEADS_CONSENT_VERSION = 1;
+
+const LEADS_DB = { name: 'dpt-leads', version: 1, store: 'queue' };
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+// Area codes (DDD) in use in Brazil
+const BR_AREA_CODES = [
+  11, 12, 13, 14, 15, 16, 17, 18, 19, 21, 22, 24, 27, 28, 31, 32, 33, 34, 35, 37, 38,
+  41, 42, 43, 44, 45, 46, 47, 48, 49, 51, 53, 54, 55, 61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79, 81, 82, 83, 84, 85, 86, 87, 88, 89, 91, 92, 93, 94, 95, 96, 97, 98, 99
+];
+
+// A Brazilian phone in any usual notation ("(11) 95830-0001",
+// "+55 11 958300001", "011 95830 0001") → { e164, display }, or null.
+// Mobiles have 9 digits starting with 9, landlines 8 starting with 2–5.
+const parseBrazilianPhone = (input) => {
+  let digits = String(input).replace(/\D/g, '');
+  if (digits.length > 11 && digits.startsWith('55')) {
+    digits = digits.slice(2);
+  } else if (digits.length > 10 && digits.startsWith('0')) {
+    digits = digits.slice(1);
+  }
+
+  const area = digits.slice(0, 2);
+  const number = digits.slice(2);
+  const valid = BR_AREA_CODES.includes(Number(area))
+    && (number.length === 9 ? number[0] === '9' : number.length === 8 && /^[2-5]/.test(number));
+
+  return valid
+    ? { e164: `+55${digits}`, display: `(${area}) ${number.slice(0, -4)}-${number.slice(-4)}` }
+    : null;
+};
+
+// Promise wrapper around the IndexedDB store of unsent leads, keyed by their
+// dedupe key. Falls back to localStorage where IndexedDB can't be opened
+// (some private browsing modes).
+class LeadQueue {
+  constructor() {
+    this.opening = null;
+  }
+
+  open() {
+    if (!this.opening) {
+      this.opening = new Promise(resolve => {
+        if (!window.indexedDB) {
+          resolve(null);
+          return;
+        }
+        const request = indexedDB.open(LEADS_DB.name, LEADS_DB.version);
+        request.onupgradeneeded = () => request.result.createObjectStore(LEADS_DB.store, { keyPath: 'key' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          console.warn('⚠️ Leads: IndexedDB unavailable, queueing in localStorage', request.error);
+          resolve(null);
+        };
+      });
+    }
+    return this.opening;
+  }
+
+  // `operation` runs on the object store; `fallback` maps the stored array
+  run(mode, operation, fallback) {
+    return this.open().then(db => {
+      if (!db) {
+        const entries = fallback(storage.get('leadQueue', []));
+        if (mode === 'readwrite') {
+          storage.set('leadQueue', entries);
+        }
+        return entries;
+      }
+
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction(LEADS_DB.store, mode);
+        const request = operation(transaction.objectStore(LEADS_DB.store));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    });
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll(), entries => entries);
+  }
+
+  put(entry) {
+    return this.run('readwrite', store => store.put(entry), entries => entries.filter(item => item.key !== entry.key).concat(entry));
+  }
+
+  delete(key) {
+    return this.run('readwrite', store => store.delete(key), entries => entries.filter(item => item.key !== key));
+  }
+}
+
+class LeadCapture {
+  // { errors: { field: messageKey }, lead } where lead is null while invalid
+  static validate(values) {
+    const name = (values.name || '').trim().replace(/\s+/g, ' ');
+    const email = (values.email || '').trim().toLowerCase();
+    const phone = parseBrazilianPhone(values.phone || '');
+    const errors = {};
+
+    if (name.length < 2) {
+      errors.name = 'lead.error.name';
+    }
+    if (!email) {
+      errors.email = 'lead.error.emailRequired';
+    } else if (!EMAIL_PATTERN.test(email)) {
+      errors.email = 'lead.error.email';
+    }
+    if (!(values.phone || '').trim()) {
+      errors.phone = 'lead.error.phoneRequired';
+    } else if (!phone) {
+      errors.phone = 'lead.error.phone';
+    }
+    if (!values.consent) {
+      errors.consent = 'lead.error.consent';
+    }
+
+    return {
+      errors,
+      lead: Object.keys(errors).length ? null : { name, email, phone: phone.e164, product: values.product || null }
+    };
+  }
+
+  // The forms are only offered once LEADS_CONFIG.endpoint is set
+  static isEnabled() {
+    return Boolean(LEADS_CONFIG.endpoint);
+  }
+
+  // crypto.subtle (for dedupeKey) only exists on pages served over HTTPS
+  static canHash() {
+    return Boolean(window.crypto && window.crypto.subtle);
+  }
+
+  // Hex SHA-256 of email + phone + product
+  static dedupeKey(lead) {
+    const text = [lead.email, lead.phone, lead.product || ''].join('|');
+    return crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+      .then(hash => Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join(''));
+  }
+
+  static readForm(form) {
+    const { elements } = form;
+    return {
+      name: elements.name.value,
+      email: elements.email.value,
+      phone: elements.phone.value,
+      product: elements.product.value,
+      consent: elements.consent.checked
+    };
+  }
+
+  // `product` fixes the product (waitlist forms); otherwise the visitor may
+  // pick one. `values` restores what was typed when re-rendering in another
+  // language. Ids are prefixed so several forms can be on the page.
+  static renderForm({ idPrefix, source, product = null, values = {}, labelledBy = null }) {
+    const id = (name) => `${idPrefix}-${name}`;
+    const error = (name) => h('p', { class: 'lead-error', id: id(`${name}-error`) });
+    const control = (name, props) => ({
+      id: id(name),
+      name,
+      'aria-describedby': id(`${name}-error`),
+      ...props
+    });
+    const field = (name, input) => h('div', { class: 'lead-field' },
+      h('label', { for: id(name) }, i18n.t(`lead.${name}`)),
+      input,
+      error(name)
+    );
+
+    return h('form', { class: 'lead-form', novalidate: true, 'aria-labelledby': labelledBy, dataset: { leadSource: source } },
+      field('name', h('input', control('name', { type: 'text', autocomplete: 'name', required: true, value: values.name }))),
+      field('email', h('input', control('email', { type: 'email', autocomplete: 'email', required: true, value: values.email }))),
+      field('phone', h('input', control('phone', {
+        type: 'tel',
+        autocomplete: 'tel-national',
+        inputmode: 'tel',
+        placeholder: i18n.t('lead.phonePlaceholder'),
+        required: true,
+        value: values.phone
+      }))),
+      product
+        ? h('input', { type: 'hidden', name: 'product', value: product.id })
+        : field('product', h('select', control('product', {}),
+          h('option', { value: '' }, i18n.t('lead.productAny')),
+          PRODUCT_CATALOG.map(entry => h('option', { value: entry.id, selected: entry.id === values.product }, getLocalizedProduct(entry.id).title))
+        )),
+      h('div', { class: 'lead-consent' },
+        h('label', {},
+          h('input', control('consent', { type: 'checkbox', required: true, checked: values.consent })),
+          h('span', {}, i18n.t('lead.consent'))
+        ),
+        error('consent')
+      ),
+      h('button', { type: 'submit', class: 'btn-primary lead-submit' },
+        icon('fas fa-paper-plane'),
+        h('span', {}, i18n.t(product ? 'lead.waitlist.submit' : 'lead.submit'))
+      ),
+      h('p', { class: 'lead-status', role: 'status' })
+    );
+  }
+
+  constructor(attribution = null, queue = new LeadQueue()) {
+    this.attribution = attribution;
+    this.queue = queue;
+    this.container = document.getElementById('leadCapture');
+    this.flushing = Promise.resolve();
+    this.retryTimer = null;
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.subscriptions.add(consent.subscribe((current, previous) => {
+      if (ConsentStore.isRevoked('marketing', current, previous)) {
+        storage.remove('leadsSent');
+      }
+    }));
+
+    // Without an endpoint the CTA keeps only its WhatsApp button
+    this.container.hidden = !LeadCapture.isEnabled();
+    if (this.container.hidden) {
+      return;
+    }
+
+    this.render();
+    this.subscriptions.add(i18n.subscribe(() => this.render()));
+
+    // Delegated: waitlist forms are rendered in the product modal
+    this.subscriptions.on(document, 'submit', (e) => {
+      if (e.target.classList.contains('lead-form')) {
+        this.handleSubmit(e);
+      }
+    });
+    this.subscriptions.on(document, 'input', (e) => {
+      const form = e.target.closest('.lead-form');
+      if (form && e.target.name) {
+        this.setError(form, e.target.name, null);
+      }
+    });
+    this.subscriptions.on(document, 'focusout', (e) => {
+      const phone = e.target.name === 'phone' && e.target.closest('.lead-form') && parseBrazilianPhone(e.target.value);
+      if (phone) {
+        e.target.value = phone.display;
+      }
+    });
+
+    this.subscriptions.on(window, 'online', () => this.flush());
+    this.flush();
+  }
+
+  destroy() {
+    clearTimeout(this.retryTimer);
+    this.subscriptions.dispose();
+  }
+
+  render() {
+    const form = this.container.querySelector('.lead-form');
+    const values = form ? LeadCapture.readForm(form) : {};
+    if (form) {
+      form.remove();
+    }
+    this.container.append(LeadCapture.renderForm({ idPrefix: 'lead', source: 'cta', values, labelledBy: 'leadCaptureTitle' }));
+  }
+
+  setError(form, name, key) {
+    const control = form.elements[name];
+    if (!control || control.type === 'hidden') {
+      return;
+    }
+    const message = form.querySelector(`#${control.getAttribute('aria-describedby')}`);
+    if (key) {
+      control.setAttribute('aria-invalid', 'true');
+    } else {
+      control.removeAttribute('aria-invalid');
+    }
+    message.textContent = key ? i18n.t(key) : '';
+  }
+
+  setStatus(form, key, { params = {}, error = false } = {}) {
+    const status = form.querySelector('.lead-status');
+    status.classList.toggle('is-error', error);
+    status.textContent = key ? i18n.t(key, params) : '';
+  }
+
+  handleSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const source = form.dataset.leadSource;
+    const { errors, lead } = LeadCapture.validate(LeadCapture.readForm(form));
+
+    ['name', 'email', 'phone', 'consent'].forEach(name => this.setError(form, name, errors[name]));
+    if (!lead) {
+      this.setStatus(form, 'lead.status.invalid', { error: true });
+      form.querySelector('[aria-invalid="true"]').focus();
+      return;
+    }
+
+    const track = (status) => analytics.track('lead_submit', { source, product: lead.product, status });
+
+    if (!LeadCapture.canHash()) {
+      this.setStatus(form, 'lead.status.unsupported', { error: true });
+      track('unsupported');
+      return;
+    }
+
+    const button = form.querySelector('.lead-submit');
+    button.disabled = true;
+    this.setStatus(form, 'lead.status.sending');
+
+    return LeadCapture.dedupeKey(lead)
+      .then(key => {
+        if (this.wasSent(key)) {
+          return 'duplicate';
+        }
+
+        const now = new Date().toISOString();
+        const entry = {
+          key,
+          attempts: 0,
+          nextAttempt: 0,
+          lead: {
+            id: generateOrderReference(),
+            ...lead,
+            source,
+            locale: i18n.locale,
+            page: window.location.pathname,
+            attribution: this.attribution ? this.attribution.getTracking() : {},
+            consent: { version: LEADS_CONSENT_VERSION, text: i18n.t('lead.consent'), acceptedAt: now },
+            createdAt: now
+          }
+        };
+
+        return this.queue.put(entry)
+          .then(() => this.flush())
+          .then(results => results[key] || 'queued');
+      })
+      .catch(error => {
+        console.warn('⚠️ Leads: could not queue', error);
+        return 'rejected';
+      })
+      .then(status => {
+        button.disabled = false;
+        track(status);
+
+        if (status === 'duplicate') {
+          this.setStatus(form, 'lead.status.duplicate');
+          return;
+        }
+        if (status === 'rejected') {
+          this.setStatus(form, 'lead.status.rejected', { error: true });
+          return;
+        }
+
+        const product = lead.product && getLocalizedProduct(lead.product);
+        const sentKey = source === 'waitlist' ? 'lead.status.waitlist' : 'lead.status.sent';
+        this.setStatus(form, status === 'sent' ? sentKey : 'lead.status.queued', { params: { product: product ? product.title : '' } });
+        ['name', 'email', 'phone'].forEach(name => {
+          form.elements[name].value = '';
+        });
+        form.elements.consent.checked = false;
+      });
+  }
+
+  wasSent(key) {
+    const sentAt = storage.get('leadsSent', {})[key];
+    return Boolean(sentAt) && Date.now() - sentAt < LEADS_CONFIG.dedupeDays * DAY_MS;
+  }
+
+  markSent(key) {
+    const cutoff = Date.now() - LEADS_CONFIG.dedupeDays * DAY_MS;
+    const sent = storage.get('leadsSent', {});
+    Object.keys(sent).filter(item => sent[item] < cutoff).forEach(item => delete sent[item]);
+    storage.set('leadsSent', { ...sent, [key]: Date.now() });
+  }
+
+  // Sends every queued lead that is due, one at a time; flushes started
+  // meanwhile wait for this one. Resolves to { key: 'sent' | 'queued' | 'rejected' }.
+  flush() {
+    this.flushing = this.flushing.then(() => this.deliverDue());
+    return this.flushing;
+  }
+
+  deliverDue() {
+    clearTimeout(this.retryTimer);
+    const results = {};
+
+    // Nothing goes out without an endpoint; offline, the 'online' event
+    // starts the next attempt
+    if (!LEADS_CONFIG.endpoint || navigator.onLine === false) {
+      return Promise.resolve(results);
+    }
+
+    return this.queue.getAll()
+      .then(entries => entries
+        .filter(entry => entry.nextAttempt <= Date.now())
+        .reduce((chain, entry) => chain.then(() => this.send(entry).then(status => {
+          results[entry.key] = status;
+        })), Promise.resolve()))
+      .then(() => this.queue.getAll())
+      .then(remaining => {
+        if (remaining.length) {
+          const next = Math.min(...remaining.map(entry => entry.nextAttempt));
+          this.retryTimer = setTimeout(() => this.flush(), Math.max(next - Date.now(), 1000));
+        }
+        return results;
+      })
+      .catch(error => {
+        console.warn('⚠️ Leads: queue unavailable', error);
+        return results;
+      });
+  }
+
+  send(entry) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), LEADS_CONFIG.timeoutMs);
+
+    return fetch(LEADS_CONFIG.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idempotency-Key': entry.lead.id },
+      body: JSON.stringify(entry.lead),
+      signal: controller.signal
+    })
+      .then(response => {
+        if (response.ok) {
+          return 'sent';
+        }
+        // Other client errors would fail the same way on every retry
+        if (response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)) {
+          return 'rejected';
+        }
+        throw new Error(`HTTP ${response.status}`);
+      })
+      .catch(error => {
+        console.warn(`⚠️ Leads: delivery failed, retrying later (attempt ${entry.attempts + 1})`, error);
+        return 'queued';
+      })
+      .then(status => {
+        clearTimeout(timeout);
+
+        if (status === 'queued') {
+          const delay = Math.min(LEADS_CONFIG.retryMs * 2 ** entry.attempts, LEADS_CONFIG.maxRetryMs);
+          return this.queue.put({ ...entry, attempts: entry.attempts + 1, nextAttempt: Date.now() + delay }).then(() => status);
+        }
+
+        if (status === 'sent') {
+          this.markSent(entry.key);
+        } else {
+          console.warn(`⚠️ Leads: endpoint rejected lead ${entry.lead.id}`);
+        }
+        analytics.track(status === 'sent' ? 'lead_delivered' : 'lead_rejected', {
+          source: entry.lead.source,
+          product: entry.lead.product,
+          attempts: entry.attempts + 1
+        });
+        return this.queue.delete(entry.key).then(() => status);
+      });
+  }
+}
+
+// ========================================
+// CONSENT (LGPD)
+// ========================================
+// Visitor choices per category, persisted with CONSENT_VERSION: bumping the
+// version (e.g. after a policy change) discards old answers and shows the
+// banner again. Code that loads scripts or stores identifiers must check
+// `consent.has()` or wait on `consent.whenGranted()` first.
+const CONSENT_VERSION = 1;
+
+// Labels and descriptions are the consent.<category>.* messages
+const CONSENT_CATEGORIES = ['necessary', 'analytics', 'marketing'];
+
+class ConsentStore {
+  constructor() {
+    this.listeners = [];
+    this.state = this.load();
+  }
+
+  load() {
+    const saved = storage.get('consent');
+    return saved && saved.version === CONSENT_VERSION ? saved : null;
+  }
+
+  hasDecided() {
+    return this.state !== null;
+  }
+
+  has(category) {
+    if (category === 'necessary') {
+      return true;
+    }
+    return Boolean(this.state && this.state.categories[category]);
+  }
+
+  getCategories() {
+    return CONSENT_CATEGORIES.reduce((categories, category) => {
+      categories[category] = this.has(category);
+      return categories;
+    }, {});
+  }
+
+  update(choices) {
+    const previous = this.getCategories();
+
+    this.state = {
+      version: CONSENT_VERSION,
+      categories: {
+        necessary: true,
+        analytics: Boolean(choices.analytics),
+        marketing: Boolean(choices.marketing)
+      },
+      updatedAt: new Date().toISOString()
+    };
+    storage.set('consent', this.state);
+
+    const current = this.getCategories();
+    this.listeners.forEach(listener => {
+      try {
+        listener(current, previous);
+      } catch (error) {
+        console.error('Consent listener failed:', error);
+      }
+    });
+  }
+
+  // listener(current, previous) runs after every change; returns an unsubscribe
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  whenGranted(category) {
+    return new Promise(resolve => {
+      if (this.has(category)) {
+        resolve();
+        return;
+      }
+      const unsubscribe = this.subscribe(() => {
+        if (this.has(category)) {
+          unsubscribe();
+          resolve();
+        }
+      });
+    });
+  }
+
+  static isRevoked(category, current, previous) {
+    return previous[category] && !current[category];
+  }
+}
+
+const consent = new ConsentStore();
+
+// Removes first-party cookies set by third-party tags on our domain
+const clearCookies = (names) => {
+  const domainParts = window.location.hostname.split('.');
+  const domains = ['', ...domainParts.map((_, index) => `; domain=.${domainParts.slice(index).join('.')}`)];
+
+  document.cookie.split(';').map(cookie => cookie.split('=')[0].trim()).forEach(cookie => {
+    if (names.some(name => cookie === name || cookie.startsWith(`${name}_`))) {
+      domains.forEach(domain => {
+        document.cookie = `${cookie}=; Max-Age=0; path=/${domain}`;
+      });
+    }
+  });
+};
+
+// ========================================
+// ANALYTICS
+// ========================================
+// Components emit funnel events into the `analytics` bus; adapters deliver
+// them to GA4/dataLayer, Meta Pixel, the console or a collection endpoint.
+// Events are held until an adapter finishes loading, and adapter failures are
+// caught and logged so tracking can never break the page. A new adapter host
+// also has to be allowed by the Content-Security-Policy in index.html.
+const ANALYTICS_CONFIG = {
+  ga4MeasurementId: null, // e.g. 'G-XXXXXXXXXX'; null pushes to an existing dataLayer (GTM)
+  metaPixelId: null,
+  endpoint: null, // e.g. '/api/events' for local testing
+  maxQueuedEvents: 100
+};
+
+const loadScript = (src) => new Promise((resolve, reject) => {
+  const script = document.createElement('script');
+  script.src = src;
+  script.async = true;
+  script.onload = resolve;
+  script.onerror = () => reject(new Error(`Failed to load ${src}`));
+  document.head.appendChild(script);
+});
+
+class Analytics {
+  constructor() {
+    this.adapters = [];
+    this.backlog = [];
+
+    consent.subscribe((current, previous) => this.handleConsentChange(current, previous));
+  }
+
+  // Adapter shape: { name, load?() -> Promise|void, send(event) }. Adapters
+  // registered with a consent category only receive events while it's granted.
+  use(adapter, { consent: category = null } = {}) {
+    const entry = { adapter, category, ready: false, failed: false, pending: [...this.backlog] };
+    this.adapters.push(entry);
+
+    Promise.resolve()
+      .then(() => adapter.load && adapter.load())
+      .then(() => {
+        entry.ready = true;
+        entry.pending.splice(0).forEach(event => this.deliver(entry, event));
+      })
+      .catch(error => {
+        entry.failed = true;
+        entry.pending = [];
+        console.warn(`Analytics adapter "${adapter.name}" disabled:`, error);
+      });
+
+    return this;
+  }
+
+  track(name, params = {}) {
+    const event = { name, params, timestamp: new Date().toISOString() };
+
+    // Kept for adapters registered later (bounded)
+    this.backlog.push(event);
+    if (this.backlog.length > ANALYTICS_CONFIG.maxQueuedEvents) {
+      this.backlog.shift();
+    }
+
+    this.adapters.forEach(entry => {
+      if (entry.failed || !this.isAllowed(entry)) {
+        return;
+      }
+      if (entry.ready) {
+        this.deliver(entry, event);
+      } else if (entry.pending.length < ANALYTICS_CONFIG.maxQueuedEvents) {
+        entry.pending.push(event);
+      }
+    });
+  }
+
+  isAllowed(entry) {
+    return !entry.category || consent.has(entry.category);
+  }
+
+  // Revoking stops delivery right away and drops anything still queued
+  handleConsentChange(current, previous) {
+    const revoked = ['analytics', 'marketing'].filter(category => ConsentStore.isRevoked(category, current, previous));
+    if (revoked.length === 0) {
+      return;
+    }
+
+    this.backlog = [];
+    this.adapters
+      .filter(entry => revoked.includes(entry.category))
+      .forEach(entry => {
+        entry.pending = [];
+      });
+
+    if (revoked.includes('analytics')) {
+      clearCookies(['_ga', '_gid', '_gat']);
+    }
+    if (revoked.includes('marketing')) {
+      clearCookies(['_fbp', '_fbc']);
+    }
+  }
+
+  deliver(entry, event) {
+    if (!this.isAllowed(entry)) {
+      return;
+    }
+
+    try {
+      entry.adapter.send(event);
+    } catch (error) {
+      console.warn(`Analytics adapter "${entry.adapter.name}" failed on "${event.name}":`, error);
+    }
+  }
+}
+
+const analyticsAdapters = {
+  // GA4 through gtag.js when a measurement id is set, otherwise plain
+  // dataLayer pushes for a Tag Manager container
+  dataLayer({ measurementId = null } = {}) {
+    return {
+      name: 'dataLayer',
+      load() {
+        window.dataLayer = window.dataLayer || [];
+        if (!measurementId) {
+          return null;
+        }
+        window.gtag = window.gtag || function gtag() { window.dataLayer.push(arguments); };
+        window.gtag('js', new Date());
+        window.gtag('config', measurementId);
+        return loadScript(`https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(measurementId)}`);
+      },
+      send(event) {
+        if (measurementId) {
+          window.gtag('event', event.name, event.params);
+        } else {
+          window.dataLayer.push({ event: event.name, ...event.params });
+        }
+      }
+    };
+  },
+
+  metaPixel({ pixelId }) {
+    // Funnel events with a standard Meta equivalent
+    const standardEvents = {
+      modal_open: 'ViewContent',
+      buy_click: 'InitiateCheckout',
+      cta_click: 'Contact'
+    };
+
+    return {
+      name: 'metaPixel',
+      load() {
+        if (!window.fbq) {
+          const fbq = function fbq() {
+            fbq.callMethod ? fbq.callMethod.apply(fbq, arguments) : fbq.queue.push(arguments);
+          };
+          fbq.push = fbq;
+          fbq.loaded = true;
+          fbq.version = '2.0';
+          fbq.queue = [];
+          window.fbq = fbq;
+          window._fbq = fbq;
+        }
+        window.fbq('init', pixelId);
+        window.fbq('track', 'PageView');
+        return loadScript('https://connect.facebook.net/en_US/fbevents.js');
+      },
+      send(event) {
+        const standard = standardEvents[event.name];
+        if (standard) {
+          window.fbq('track', standard, event.params);
+        } else {
+          window.fbq('trackCustom', event.name, event.params);
+        }
+      }
+    };
+  },
+
+  console() {
+    return {
+      name: 'console',
+      send(event) {
+        console.debug(`📊 ${event.name}`, event.params);
+      }
+    };
+  },
+
+  // POSTs each event as JSON; sendBeacon survives the tab closing on checkout
+  endpoint({ url }) {
+    return {
+      name: 'endpoint',
+      send(event) {
+        const body = JSON.stringify({ ...event, page: window.location.pathname });
+        const queued = navigator.sendBeacon && navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }));
+        if (!queued) {
+          fetch(url, { method: 'POST', body, headers: { 'Content-Type': 'application/json' }, keepalive: true })
+            .catch(error => console.warn('Analytics endpoint unreachable:', error));
+        }
+      }
+    };
+  }
+};
+
+const analytics = new Analytics();
+
+// Scroll-depth milestones and clicks on [data-cta] links
+class EngagementTracker {
+  constructor() {
+    this.milestones = [25, 50, 75, 100];
+    this.reached = new Set();
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.subscriptions.on(window, 'scroll', throttle(() => this.checkScrollDepth(), 250));
+
+    this.subscriptions.on(document, 'click', (e) => {
+      const link = e.target.closest('[data-cta]');
+      if (link) {
+        analytics.track('cta_click', {
+          cta: link.dataset.cta,
+          label: link.textContent.trim(),
+          href: link.getAttribute('href')
+        });
+      }
+    });
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  checkScrollDepth() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const depth = scrollable > 0 ? Math.round((window.scrollY / scrollable) * 100) : 100;
+
+    this.milestones.forEach(milestone => {
+      if (depth >= milestone && !this.reached.has(milestone)) {
+        this.reached.add(milestone);
+        analytics.track('scroll_depth', { percent: milestone });
+      }
+    });
+  }
+}
+
+// ========================================
+// WEB VITALS
+// ========================================
+// Field measurements of LCP, CLS and INP taken with PerformanceObserver, the
+// way Google's web-vitals library defines them: CLS is the worst burst of
+// layout shifts (session windows), INP the slowest interaction, or the 98th
+// percentile past 50 interactions. Values are final when the page is hidden,
+// so that is when listeners get { name, value, rating }; a later hide
+// reports again only the metrics that changed.
+const WEB_VITALS_THRESHOLDS = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500]
+};
+
+class WebVitals {
+  static supports(type) {
+    return typeof PerformanceObserver !== 'undefined'
+      && (PerformanceObserver.supportedEntryTypes || []).includes(type);
+  }
+
+  static rate(name, value) {
+    const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+    if (value <= good) {
+      return 'good';
+    }
+    return value <= poor ? 'needs-improvement' : 'poor';
+  }
+
+  constructor() {
+    this.values = {};
+    this.reported = {};
+    this.listeners = [];
+    this.shifts = { session: 0, first: 0, last: 0 };
+    this.interactions = new Map();
+    this.init();
+  }
+
+  init() {
+    this.observe('largest-contentful-paint', entries => {
+      this.values.LCP = entries[entries.length - 1].startTime;
+    });
+
+    if (this.observe('layout-shift', entries => entries.forEach(entry => this.addLayoutShift(entry)))) {
+      this.values.CLS = 0;
+    }
+
+    this.observe('event', entries => entries.forEach(entry => this.addInteraction(entry)), { durationThreshold: 40 });
+    this.observe('first-input', entries => entries.forEach(entry => this.addInteraction(entry)));
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') {
+        this.flush();
+      }
+    });
+    window.addEventListener('pagehide', () => this.flush());
+  }
+
+  observe(type, callback, options = {}) {
+    if (!WebVitals.supports(type)) {
+      return false;
+    }
+
+    try {
+      new PerformanceObserver(list => callback(list.getEntries())).observe({ type, buffered: true, ...options });
+      return true;
+    } catch (error) {
+      console.warn(`Web vitals: cannot observe "${type}":`, error);
+      return false;
+    }
+  }
+
+  // Shifts less than 1s apart form a session, capped at 5s
+  addLayoutShift(entry) {
+    if (entry.hadRecentInput) {
+      return;
+    }
+
+    const shifts = this.shifts;
+    if (shifts.session && entry.startTime - shifts.last < 1000 && entry.startTime - shifts.first < 5000) {
+      shifts.session += entry.value;
+    } else {
+      shifts.session = entry.value;
+      shifts.first = entry.startTime;
+    }
+    shifts.last = entry.startTime;
+
+    this.values.CLS = Math.max(this.values.CLS, shifts.session);
+  }
+
+  // An interaction (a tap is pointerdown + pointerup + click) is as slow as
+  // its slowest event
+  addInteraction(entry) {
+    if (!entry.interactionId) {
+      return;
+    }
+
+    this.interactions.set(entry.interactionId, Math.max(this.interactions.get(entry.interactionId) || 0, entry.duration));
+
+    const durations = [...this.interactions.values()].sort((a, b) => b - a);
+    this.values.INP = durations[Math.min(durations.length - 1, Math.floor(durations.length / 50))];
+  }
+
+  flush() {
+    Object.keys(this.values).forEach(name => {
+      const value = name === 'CLS'
+        ? Math.round(this.values[name] * 1000) / 1000
+        : Math.round(this.values[name]);
+
+      if (this.reported[name] === value) {
+        return;
+      }
+
+      this.reported[name] = value;
+      const metric = { name, value, rating: WebVitals.rate(name, value) };
+      this.listeners.forEach(listener => {
+        try {
+          listener(metric);
+        } catch (error) {
+          console.error('Web vitals listener failed:', error);
+        }
+      });
+    });
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+}
+
+const webVitals = new WebVitals();
+
+// ========================================
+// CAMPAIGN ATTRIBUTION
+// ========================================
+// Reads utm_*, ref and fbclid from the landing URL and keeps both the first
+// and the latest touch in localStorage for ATTRIBUTION_TTL_DAYS, so the
+// campaign (and affiliate ref) travels into checkout links and WhatsApp.
+class AttributionTracker {
+  constructor() {
+    this.touches = { firstTouch: null, lastTouch: null };
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.touches = consent.has('marketing') ? this.load() : { firstTouch: null, lastTouch: null };
+    this.capture();
+    this.decorateWhatsAppLinks();
+    this.subscriptions.add(i18n.subscribe(() => this.decorateWhatsAppLinks()));
+
+    this.subscriptions.add(consent.subscribe((current, previous) => {
+      if (current.marketing) {
+        this.save();
+      } else if (ConsentStore.isRevoked('marketing', current, previous)) {
+        this.touches = { firstTouch: null, lastTouch: null };
+        storage.remove('attribution');
+      }
+    }));
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  // Campaign and affiliate identifiers stay in memory until marketing
+  // consent is given
+  save() {
+    if (consent.has('marketing')) {
+      storage.set('attribution', this.touches);
+    }
+  }
+
+  load() {
+    const saved = storage.get('attribution', {});
+    const now = Date.now();
+    const valid = (touch) => (touch && touch.expiresAt > now ? touch : null);
+
+    return {
+      firstTouch: valid(saved.firstTouch),
+      lastTouch: valid(saved.lastTouch)
+    };
+  }
+
+  capture() {
+    const params = new URLSearchParams(window.location.search);
+    const touch = {};
+
+    ATTRIBUTION_PARAMS.forEach(param => {
+      const value = params.get(param);
+      if (value) {
+        touch[param] = value.slice(0, 100);
+      }
+    });
+
+    if (Object.keys(touch).length === 0) {
+      this.save();
+      return;
+    }
+
+    const now = Date.now();
+    touch.landingPage = window.location.pathname;
+    touch.referrer = document.referrer ? new URL(document.referrer).hostname : null;
+    touch.capturedAt = new Date(now).toISOString();
+    touch.expiresAt = now + ATTRIBUTION_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+    this.touches = {
+      firstTouch: this.touches.firstTouch || touch,
+      lastTouch: touch
+    };
+    this.save();
+  }
+
+  // Last touch wins, but an affiliate ref from the first touch is kept when
+  // the visitor later returns through an untagged campaign
+  getTracking() {
+    const { firstTouch, lastTouch } = this.touches;
+    if (!lastTouch) {
+      return {};
+    }
+
+    return {
+      source: lastTouch.utm_source,
+      medium: lastTouch.utm_medium,
+      campaign: lastTouch.utm_campaign,
+      term: lastTouch.utm_term,
+      content: lastTouch.utm_content,
+      fbclid: lastTouch.fbclid,
+      ref: lastTouch.ref || (firstTouch && firstTouch.ref)
+    };
+  }
+
+  // One line for WhatsApp messages, e.g. "instagram / stories / black-friday (ref: ANA10)"
+  describe() {
+    const tracking = this.getTracking();
+    const campaign = [tracking.source, tracking.medium, tracking.campaign].filter(Boolean).join(' / ');
+    const ref = tracking.ref ? `ref: ${tracking.ref}` : '';
+
+    if (campaign && ref) {
+      return `${campaign} (${ref})`;
+    }
+    return campaign || ref || null;
+  }
+
+  decorateWhatsAppLinks() {
+    const origin = this.describe();
+
+    document.querySelectorAll('[data-whatsapp-cta]').forEach(link => {
+      const message = link.dataset.whatsappCta || i18n.t('cta.whatsappMessage');
+      link.href = buildWhatsAppUrl(origin ? `${message}\n\n${i18n.t('whatsapp.origin', { origin })}` : message);
+    });
+  }
+}
+
+// ========================================
+// LOADING MANAGEMENT
+// ========================================
+// Nothing blocks the page: static copy is in the markup, and parts rendered
+// by script.js start as skeletons (`[aria-busy="true"]` containers holding a
+// `[data-skeleton]` placeholder) that their component replaces. A skeleton
+// still there LOADING_TIMEOUT after navigation (a component failed, a script
+// never arrived) gives way to a message pointing to WhatsApp.
+const LOADING_TIMEOUT = 8000;
+
+class LoadingManager {
+  constructor() {
+    this.timer = null;
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    const elapsed = window.performance ? performance.now() : 0;
+    this.timer = setTimeout(() => this.expirePlaceholders(), Math.max(0, LOADING_TIMEOUT - elapsed));
+  }
+
+  destroy() {
+    clearTimeout(this.timer);
+    this.subscriptions.dispose();
+  }
+
+  expirePlaceholders() {
+    document.querySelectorAll('[aria-busy="true"]').forEach(container => {
+      if (!container.querySelector('[data-skeleton]')) {
+        return;
+      }
+
+      container.removeAttribute('aria-busy');
+      setChildren(container, h('p', { class: 'loading-fallback', role: 'status' },
+        i18n.t('loading.failed'),
+        ' ',
+        h('a', { href: buildWhatsAppUrl(i18n.t('cta.whatsappMessage')), target: '_blank', rel: 'noopener', dataset: { cta: 'whatsapp-fallback' } },
+          i18n.t('loading.contact')
+        )
+      ));
+      analytics.track('loading_timeout', { container: container.id || null });
+    });
+  }
+}
+
+// ========================================
+// HEADER MANAGEMENT
+// ========================================
+// Hides the header while scrolling down and brings it back on the way up,
+// and spies on the catalog sections linked from the products menu and the
+// footer: the link of the section being read gets `aria-current` and
+// `.is-active`. The current section is `activeSection` and is announced with
+// a `section:change` event on document (detail: { section }).
+const HEADER_SCROLLED_AT = 100;
+const HEADER_SCROLL_TOLERANCE = 8;
+
+class HeaderManager {
+  constructor() {
+    this.header = document.getElementById('header');
+    this.lastScrollY = window.scrollY;
+    this.activeSection = null;
+    this.observer = null;
+    this.sections = [];
+    this.visibleSections = new Set();
+    this.holdTimer = null;
+    this.isHeld = false;
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.subscriptions.on(window, 'scroll', throttle(() => this.handleScroll(), 10));
+
+    // Menu and footer links are re-rendered with the catalog
+    this.subscriptions.on(document, 'catalog:render', () => this.observeSections());
+    this.observeSections();
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+    clearTimeout(this.holdTimer);
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    this.header.classList.remove('is-hidden', 'is-scrolled');
+  }
+
+  handleScroll() {
+    // Scrolls while a dialog holds the page (DialogManager) aren't the visitor's
+    if (document.documentElement.classList.contains('scroll-locked')) {
+      return;
+    }
+
+    const currentScrollY = window.scrollY;
+    const delta = currentScrollY - this.lastScrollY;
+
+    this.header.classList.toggle('is-scrolled', currentScrollY > HEADER_SCROLLED_AT);
+
+    if (Math.abs(delta) >= HEADER_SCROLL_TOLERANCE) {
+      const hide = delta > 0 && currentScrollY > this.header.offsetHeight && this.canHide();
+      this.header.classList.toggle('is-hidden', hide);
+      this.lastScrollY = currentScrollY;
+    }
+
+    // Above the first spied section nothing is current
+    if (this.sections.length && currentScrollY + this.getOffset() < this.sections[0].offsetTop) {
+      this.setActiveSection(null);
+    }
+  }
+
+  // Never hide under the visitor's hands or eyes
+  canHide() {
+    return !this.isHeld
+      && !prefersReducedMotion()
+      && !this.header.contains(document.activeElement)
+      && !this.header.querySelector('.dropdown-content.show, .nav.is-open');
+  }
+
+  // Space the header takes once shown; transforms do not change offsetHeight,
+  // so this holds while it is collapsed too
+  getOffset() {
+    return this.header.offsetHeight;
+  }
+
+  // Keeps the header shown during programmatic scrolling, so scrolling to a
+  // section lands below it instead of under a header that reappears later
+  holdVisible() {
+    this.isHeld = true;
+    this.header.classList.remove('is-hidden');
+
+    clearTimeout(this.holdTimer);
+    const release = () => {
+      clearTimeout(this.holdTimer);
+      window.removeEventListener('scrollend', release);
+      this.isHeld = false;
+      this.lastScrollY = window.scrollY;
+    };
+    window.addEventListener('scrollend', release);
+    // Fallback for browsers without the scrollend event
+    this.holdTimer = setTimeout(release, 1000);
+  }
+
+  getSpiedLinks() {
+    return Array.from(document.querySelectorAll('[data-catalog-nav] a[href^="#"], [data-catalog-footer] a[href^="#"]'));
+  }
+
+  observeSections() {
+    if (this.observer) {
+      this.observer.disconnect();
+    }
+    if (!('IntersectionObserver' in window)) {
+      return;
+    }
+
+    const ids = [...new Set(this.getSpiedLinks().map(link => link.getAttribute('href').slice(1)))];
+    this.sections = ids
+      .map(id => document.getElementById(id))
+      .filter(Boolean)
+      .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    this.visibleSections.clear();
+
+    // A band just below the header: the section crossing it is the one read
+    this.observer = new IntersectionObserver(entries => this.handleIntersections(entries), {
+      rootMargin: `-${this.getOffset()}px 0px -55% 0px`
+    });
+    this.sections.forEach(section => this.observer.observe(section));
+
+    this.updateLinks();
+  }
+
+  handleIntersections(entries) {
+    entries.forEach(entry => {
+      if (entry.isIntersecting) {
+        this.visibleSections.add(entry.target);
+      } else {
+        this.visibleSections.delete(entry.target);
+      }
+    });
+
+    // Between two sections the last one stays current
+    const current = this.sections.find(section => this.visibleSections.has(section));
+    if (current) {
+      this.setActiveSection(current.id);
+    }
+  }
+
+  setActiveSection(id) {
+    if (id === this.activeSection) {
+      return;
+    }
+
+    this.activeSection = id;
+    this.updateLinks();
+    document.dispatchEvent(new CustomEvent('section:change', { detail: { section: id } }));
+  }
+
+  updateLinks() {
+    this.getSpiedLinks().forEach(link => {
+      const active = link.getAttribute('href') === `#${this.activeSection}`;
+      link.classList.toggle('is-active', active);
+      if (active) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+}
+
+// ========================================
+// DROPDOWN MANAGEMENT
+// ========================================
+// Implements the WAI-ARIA menu button pattern for `.dropdown` elements:
+// roving tabindex over [role="menuitem"], arrow/Home/End keys, type-ahead,
+// closing on Tab-out, and hover intent where a precise pointer exists.
+// On small screens the same nav becomes an off-canvas drawer opened by
+// `.nav-toggle`; the menus inside it keep the same keyboard behavior.
+const MENU_HOVER_OPEN_DELAY = 120;
+const MENU_HOVER_CLOSE_DELAY = 300;
+const MENU_TYPEAHEAD_RESET = 500;
+const MOBILE_NAV_QUERY = '(max-width: 768px)';
+const HOVER_POINTER_QUERY = '(hover: hover) and (pointer: fine)';
+
+class DropdownManager {
+  constructor() {
+    this.dropdowns = document.querySelectorAll('.dropdown');
+    this.activeDropdown = null;
+    this.nav = document.getElementById('siteNav');
+    this.navToggle = document.querySelector('.nav-toggle');
+    this.navBackdrop = document.querySelector('.nav-backdrop');
+    this.mobileQuery = window.matchMedia(MOBILE_NAV_QUERY);
+    this.hoverQuery = window.matchMedia(HOVER_POINTER_QUERY);
+    this.hoverTimer = null;
+    this.typeahead = { buffer: '', timer: null };
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.dropdowns.forEach(dropdown => {
+      const button = dropdown.querySelector('.dropdown-btn');
+      const content = dropdown.querySelector('.dropdown-content');
+      
+      if (button && content) {
+        this.subscriptions.on(button, 'click', (e) => this.toggleDropdown(e, dropdown));
+        this.subscriptions.on(button, 'keydown', (e) => this.handleButtonKeydown(e, dropdown));
+        this.subscriptions.on(content, 'keydown', (e) => this.handleMenuKeydown(e, dropdown));
+
+        this.subscriptions.on(content, 'click', (e) => {
+          const item = e.target.closest('[role="menuitem"]');
+          if (item) {
+            analytics.track('menu_item_select', {
+              menu: button.id,
+              item: item.textContent.trim(),
+              target: item.getAttribute('href')
+            });
+            this.closeDropdown(dropdown);
+            this.closeDrawer();
+          }
+        });
+
+        // Tab (or a click) moving focus out of the dropdown closes it
+        this.subscriptions.on(dropdown, 'focusout', (e) => {
+          if (!dropdown.contains(e.relatedTarget)) {
+            this.closeDropdown(dropdown);
+          }
+        });
+
+        this.subscriptions.on(dropdown, 'pointerenter', (e) => this.handleHover(e, dropdown, true));
+        this.subscriptions.on(dropdown, 'pointerleave', (e) => this.handleHover(e, dropdown, false));
+      }
+    });
+
+    // Close dropdowns when clicking outside
+    this.subscriptions.on(document, 'click', (e) => {
+      if (this.activeDropdown && !e.target.closest('.dropdown')) {
+        this.closeAllDropdowns();
+      }
+    });
+
+    this.initDrawer();
+  }
+
+  destroy() {
+    this.closeDrawer();
+    this.closeAllDropdowns();
+    clearTimeout(this.hoverTimer);
+    clearTimeout(this.typeahead.timer);
+    this.subscriptions.dispose();
+  }
+
+  initDrawer() {
+    if (!this.nav || !this.navToggle) {
+      return;
+    }
+
+    this.subscriptions.on(this.navToggle, 'click', () => {
+      if (this.isDrawerOpen()) {
+        this.closeDrawer();
+      } else {
+        this.openDrawer();
+      }
+    });
+
+    document.querySelectorAll('[data-nav-close]').forEach(element => {
+      this.subscriptions.on(element, 'click', () => this.closeDrawer({ returnFocus: true }));
+    });
+
+    this.subscriptions.on(this.nav, 'keydown', (e) => {
+      if (e.key === 'Escape' && this.isDrawerOpen()) {
+        this.closeDrawer({ returnFocus: true });
+      }
+    });
+
+    this.subscriptions.on(this.nav, 'focusout', (e) => {
+      if (this.isDrawerOpen() && !this.nav.contains(e.relatedTarget) && e.relatedTarget !== this.navToggle) {
+        this.closeDrawer();
+      }
+    });
+
+    // Back on a wide screen the nav is inline again
+    this.subscriptions.on(this.mobileQuery, 'change', () => this.closeDrawer());
+  }
+
+  getItems(dropdown) {
+    return Array.from(dropdown.querySelectorAll('[role="menuitem"]'));
+  }
+
+  // Roving tabindex: only the focused item is in the tab sequence
+  focusItem(dropdown, index) {
+    const items = this.getItems(dropdown);
+    if (!items.length) {
+      return;
+    }
+
+    const target = (index + items.length) % items.length;
+    items.forEach((item, i) => {
+      item.tabIndex = i === target ? 0 : -1;
+    });
+    items[target].focus();
+  }
+
+  handleButtonKeydown(e, dropdown) {
+    if (e.key === 'Enter' || e.key === ' ' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      this.openDropdown(dropdown, { focus: 'first' });
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.openDropdown(dropdown, { focus: 'last' });
+    } else if (e.key === 'Escape' && this.activeDropdown === dropdown) {
+      e.stopPropagation();
+      this.closeDropdown(dropdown);
+    }
+  }
+
+  handleMenuKeydown(e, dropdown) {
+    const items = this.getItems(dropdown);
+    const current = items.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        this.focusItem(dropdown, current + 1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        this.focusItem(dropdown, current - 1);
+        break;
+      case 'Home':
+        e.preventDefault();
+        this.focusItem(dropdown, 0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.focusItem(dropdown, items.length - 1);
+        break;
+      case 'Escape':
+        e.preventDefault();
+        e.stopPropagation();
+        this.closeDropdown(dropdown, { returnFocus: true });
+        break;
+      case ' ':
+        // Space activates a link menu item like Enter does
+        if (current !== -1) {
+          e.preventDefault();
+          items[current].click();
+        }
+        break;
+      default:
+        if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+          this.handleTypeahead(dropdown, e.key, current);
+        }
+    }
+  }
+
+  // Typing letters jumps to the next item starting with them
+  handleTypeahead(dropdown, character, current) {
+    clearTimeout(this.typeahead.timer);
+    this.typeahead.buffer += character.toLowerCase();
+    this.typeahead.timer = setTimeout(() => {
+      this.typeahead.buffer = '';
+    }, MENU_TYPEAHEAD_RESET);
+
+    const items = this.getItems(dropdown);
+    const buffer = this.typeahead.buffer;
+    // A repeated single letter cycles through the matches
+    const start = buffer.length === 1 ? current + 1 : Math.max(current, 0);
+
+    for (let offset = 0; offset < items.length; offset++) {
+      const index = (start + offset) % items.length;
+      if (items[index].textContent.trim().toLowerCase().startsWith(buffer)) {
+        this.focusItem(dropdown, index);
+        return;
+      }
+    }
+  }
+
+  // Hover intent: short delays so a pointer crossing the header does not
+  // flash the menu. Touch and the mobile drawer use clicks only.
+  handleHover(e, dropdown, entering) {
+    if (e.pointerType === 'touch' || !this.hoverQuery.matches || this.mobileQuery.matches) {
+      return;
+    }
+
+    clearTimeout(this.hoverTimer);
+    this.hoverTimer = setTimeout(() => {
+      if (entering && this.activeDropdown !== dropdown) {
+        this.closeAllDropdowns();
+        this.openDropdown(dropdown, { via: 'hover' });
+      } else if (!entering && this.activeDropdown === dropdown && dropdown.dataset.openedBy === 'hover') {
+        this.closeDropdown(dropdown);
+      }
+    }, entering ? MENU_HOVER_OPEN_DELAY : MENU_HOVER_CLOSE_DELAY);
+  }
+
+  toggleDropdown(event, dropdown) {
+    event.preventDefault();
+    event.stopPropagation();
+
+    const isOpen = this.activeDropdown === dropdown;
+
+    // A click on a menu that hover opened keeps it open
+    if (isOpen && dropdown.dataset.openedBy === 'hover') {
+      dropdown.dataset.openedBy = 'click';
+      return;
+    }
+
+    this.closeAllDropdowns();
+    
+    if (!isOpen) {
+      this.openDropdown(dropdown);
+    }
+  }
+
+  // focus: 'first', 'last' or null to leave focus on the button
+  openDropdown(dropdown, { focus = null, via = 'click' } = {}) {
+    const button = dropdown.querySelector('.dropdown-btn');
+    const content = dropdown.querySelector('.dropdown-content');
+
+    if (this.activeDropdown !== dropdown) {
+      this.closeAllDropdowns();
+      content.classList.add('show');
+      button.setAttribute('aria-expanded', 'true');
+      dropdown.dataset.openedBy = via;
+      this.activeDropdown = dropdown;
+      analytics.track('menu_open', { menu: button.id, via });
+    }
+
+    if (focus) {
+      this.focusItem(dropdown, focus === 'last' ? -1 : 0);
+    }
+  }
+
+  closeDropdown(dropdown, { returnFocus = false } = {}) {
+    const button = dropdown.querySelector('.dropdown-btn');
+    const content = dropdown.querySelector('.dropdown-content');
+    
+    content.classList.remove('show');
+    button.setAttribute('aria-expanded', 'false');
+    delete dropdown.dataset.openedBy;
+    
+    if (this.activeDropdown === dropdown) {
+      this.activeDropdown = null;
+    }
+    if (returnFocus) {
+      button.focus();
+    }
+  }
+
+  closeAllDropdowns() {
+    this.dropdowns.forEach(dropdown => {
+      this.closeDropdown(dropdown);
+    });
+  }
+
+  isDrawerOpen() {
+    return Boolean(this.nav) && this.nav.classList.contains('is-open');
+  }
+
+  openDrawer() {
+    this.nav.classList.add('is-open');
+    this.navToggle.setAttribute('aria-expanded', 'true');
+    this.navBackdrop.hidden = false;
+    analytics.track('menu_open', { menu: 'mobile-nav', via: 'click' });
+
+    const [first] = getFocusableElements(this.nav);
+    if (first) {
+      first.focus();
+    }
+  }
+
+  closeDrawer({ returnFocus = false } = {}) {
+    if (!this.isDrawerOpen()) {
+      return;
+    }
+
+    this.closeAllDropdowns();
+    this.nav.classList.remove('is-open');
+    this.navToggle.setAttribute('aria-expanded', 'false');
+    this.navBackdrop.hidden = true;
+
+    if (returnFocus) {
+      this.navToggle.focus();
+    }
+  }
+}
+
+// ========================================
+// SMOOTH SCROLLING
+// ========================================
+class SmoothScroller {
+  constructor(headerManager = null, dropdownManager = null) {
+    this.headerManager = headerManager;
+    this.dropdownManager = dropdownManager;
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    // Delegated so links re-rendered by the catalog keep working
+    this.subscriptions.on(document, 'click', (e) => {
+      const link = e.target.closest('.scroll-link');
+      if (link) {
+        this.handleClick(e, link);
+      }
+    });
+  }
+
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  handleClick(event, link) {
+    const targetId = link.getAttribute('href');
+
+    // Product routes (#/produto/...) are handled by ModalRouter
+    if (ModalRouter.isProductHash(targetId)) {
+      return;
+    }
+
+    event.preventDefault();
+    
+    const targetElement = this.getSection(targetId);
+    
+    if (targetElement) {
+      // Keep section links shareable without a native jump
+      if (window.location.hash !== targetId) {
+        history.pushState(null, '', targetId);
+      }
+
+      this.scrollToSection(targetElement);
+    }
+  }
+
+  getSection(hash) {
+    if (!hash || hash.length < 2 || ModalRouter.isProductHash(hash)) {
+      return null;
+    }
+    return document.getElementById(decodeURIComponent(hash.slice(1)));
+  }
+
+  scrollToSection(targetElement) {
+    // Close any open dropdowns
+    if (this.dropdownManager) {
+      this.dropdownManager.closeAllDropdowns();
+    }
+    
+    // Calculate offset for the sticky header, kept shown while scrolling
+    const headerHeight = this.headerManager
+      ? this.headerManager.getOffset()
+      : document.getElementById('header').offsetHeight;
+    const targetPosition = targetElement.offsetTop - headerHeight - 20;
+
+    if (this.headerManager) {
+      this.headerManager.holdVisible();
+    }
+    
+    window.scrollTo({
+      top: targetPosition,
+      behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+    });
+    
+    // Add highlight effect
+    this.highlightElement(targetElement);
+
+    analytics.track('section_reached', { section: targetElement.id });
+  }
+
+  // The glow is a CSS animation; re-adding the class restarts it
+  highlightElement(element) {
+    element.classList.remove('is-highlighted');
+    void element.offsetWidth;
+    element.classList.add('is-highlighted');
+    element.addEventListener('animationend', () => element.classList.remove('is-highlighted'), { once: true });
+  }
+}
+
 // ========================================
-// LOADING MANAGEMENT
+// DIALOGS
 // ========================================
-class LoadingManager {
+// Modal dialogs on top of the `.modal` markup:
+//   <div class="modal" id="..." role="dialog" aria-modal="true" aria-labelledby="..." aria-hidden="true">
+// Open dialogs form a stack: only the top one reacts to Escape and Tab, the
+// rest of the page is `inert`, and closing returns focus to whatever opened
+// it. Each dialog dispatches `dialog:open` and `dialog:close`
+// (detail: { reason }) on its element.
+//
+// Markup needs no code: `data-dialog-open="<id>"` on a trigger opens the
+// dialog, `data-dialog-close` inside it (overlay, close button) closes it.
+class Dialog {
+  constructor(element, manager) {
+    this.element = element;
+    this.manager = manager;
+    this.invoker = null;
+    this.isOpen = false;
+  }
+
+  open({ invoker = document.activeElement } = {}) {
+    if (this.isOpen) {
+      return;
+    }
+
+    this.invoker = invoker;
+    this.isOpen = true;
+    this.element.classList.add('show');
+    this.element.setAttribute('aria-hidden', 'false');
+    this.manager.push(this);
+    this.focusInitial();
+    this.element.dispatchEvent(new CustomEvent('dialog:open'));
+  }
+
+  // reason: 'escape', 'overlay', 'button' or whatever the caller passes
+  close(reason = 'api') {
+    if (!this.isOpen) {
+      return;
+    }
+
+    this.isOpen = false;
+    this.element.classList.remove('show');
+    this.element.setAttribute('aria-hidden', 'true');
+    this.manager.remove(this);
+    this.element.dispatchEvent(new CustomEvent('dialog:close', { detail: { reason } }));
+    this.restoreFocus();
+  }
+
+  // [data-autofocus] first, then the first focusable element, then the dialog
+  focusInitial() {
+    const target = this.element.querySelector('[data-autofocus]')
+      || getFocusableElements(this.element)[0]
+      || this.element;
+
+    if (target === this.element) {
+      this.element.setAttribute('tabindex', '-1');
+    }
+    target.focus();
+  }
+
+  restoreFocus() {
+    const invoker = this.invoker;
+    this.invoker = null;
+
+    if (invoker && invoker !== document.body && document.contains(invoker)) {
+      invoker.focus();
+    }
+  }
+}
+
+class DialogManager {
+  constructor() {
+    this.dialogs = new Map();
+    this.stack = [];
+    this.scrollY = 0;
+    this.init();
+  }
+
+  init() {
+    // A single listener for every dialog; it does nothing while none is open
+    document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    document.addEventListener('click', (e) => this.handleClick(e));
+  }
+
+  register(element) {
+    if (!this.dialogs.has(element)) {
+      this.dialogs.set(element, new Dialog(element, this));
+    }
+    return this.dialogs.get(element);
+  }
+
+  get(id) {
+    const element = document.getElementById(id);
+    return element ? this.register(element) : null;
+  }
+
+  get top() {
+    return this.stack[this.stack.length - 1] || null;
+  }
+
+  push(dialog) {
+    this.stack.push(dialog);
+    this.update();
+  }
+
+  remove(dialog) {
+    this.stack = this.stack.filter(item => item !== dialog);
+    this.update();
+  }
+
+  update() {
+    this.updateInert();
+    this.updateScrollLock();
+  }
+
+  // Everything outside the top dialog is inert, including lower dialogs
+  updateInert() {
+    document.querySelectorAll('[data-dialog-inert]').forEach(element => {
+      element.removeAttribute('inert');
+      element.removeAttribute('data-dialog-inert');
+    });
+
+    const top = this.top;
+    if (!top) {
+      return;
+    }
+
+    for (let node = top.element; node.parentElement && node !== document.body; node = node.parentElement) {
+      Array.from(node.parentElement.children).forEach(sibling => {
+        if (sibling !== node && !sibling.hasAttribute('inert')) {
+          sibling.setAttribute('inert', '');
+          sibling.setAttribute('data-dialog-inert', '');
+        }
+      });
+    }
+  }
+
+  // A class on the root element (see html.scroll-locked in style.css) rather
+  // than pinning the body at an offset, which needs an inline `top`; the
+  // position is put back on unlock in case the browser moved it meanwhile
+  updateScrollLock() {
+    const root = document.documentElement;
+    const locked = root.classList.contains('scroll-locked');
+
+    if (this.stack.length && !locked) {
+      this.scrollY = window.scrollY;
+      root.classList.add('scroll-locked');
+    } else if (!this.stack.length && locked) {
+      root.classList.remove('scroll-locked');
+      window.scrollTo({ top: this.scrollY, behavior: 'instant' });
+    }
+  }
+
+  handleKeydown(e) {
+    const top = this.top;
+    if (!top) {
+      return;
+    }
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      top.close('escape');
+    } else if (e.key === 'Tab') {
+      this.trapFocus(e, top);
+    }
+  }
+
+  // Computed on every Tab because dialog content changes while it is open
+  trapFocus(e, dialog) {
+    const focusable = getFocusableElements(dialog.element);
+
+    if (!focusable.length) {
+      e.preventDefault();
+      dialog.element.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const inside = dialog.element.contains(document.activeElement);
+
+    if (e.shiftKey && (!inside || document.activeElement === first)) {
+      last.focus();
+      e.preventDefault();
+    } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+      first.focus();
+      e.preventDefault();
+    }
+  }
+
+  handleClick(e) {
+    const opener = e.target.closest('[data-dialog-open]');
+    if (opener) {
+      const dialog = this.get(opener.dataset.dialogOpen);
+      if (dialog) {
+        e.preventDefault();
+        dialog.open({ invoker: opener });
+      }
+      return;
+    }
+
+    const closer = e.target.closest('[data-dialog-close]');
+    const element = closer && closer.closest('[role="dialog"]');
+    if (element && this.dialogs.has(element)) {
+      this.dialogs.get(element).close(closer.classList.contains('modal-overlay') ? 'overlay' : 'button');
+    }
+  }
+}
+
+const dialogs = new DialogManager();
+
+// ========================================
+// MODAL MANAGEMENT
+// ========================================
+class ModalManager {
+  constructor(attribution = null) {
+    this.attribution = attribution;
+    this.modal = document.getElementById('productModal');
+    this.modalTitle = document.getElementById('modalTitle');
+    this.modalContent = document.getElementById('modalContent');
+    this.dialog = dialogs.register(this.modal);
+    this.buyBtn = document.querySelector('.modal-buy-btn');
+    this.buyLabel = this.buyBtn ? this.buyBtn.querySelector('span') : null;
+    this.currentProduct = null;
+    this.selectedOption = null;
+    this.openedAt = 0;
+    this.converted = false;
+    this.couponFeedback = null;
+    
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  get isOpen() {
+    return this.dialog.isOpen;
+  }
+
+  init() {
+    // Delegated so cards re-rendered by the catalog keep working
+    this.subscriptions.on(document, 'click', (e) => {
+      const button = e.target.closest('.product-btn');
+      if (button) {
+        this.openModal(button.dataset.product, { invoker: button });
+      }
+    });
+
+    // Re-translate the open product, unless the checkout step is showing
+    this.subscriptions.add(i18n.subscribe(() => {
+      if (this.isOpen && !this.modalContent.querySelector('.checkout-step')) {
+        this.renderProduct(this.getCurrentProduct());
+      }
+    }));
+
+    this.subscriptions.on(this.modalContent, 'submit', (e) => {
+      if (e.target.classList.contains('coupon-form')) {
+        this.handleCouponSubmit(e);
+      }
+    });
+    this.subscriptions.on(this.modalContent, 'click', (e) => {
+      if (e.target.closest('[data-coupon-remove]')) {
+        this.handleCouponRemove();
+      }
+    });
+
+    // Escape, the overlay and the close button all end up here
+    this.subscriptions.on(this.modal, 'dialog:close', (e) => this.handleClosed(e.detail.reason));
+
+    // Payment alternatives (PIX, installments...) rendered by renderCheckoutOptions
+    this.subscriptions.on(this.modalContent, 'change', (e) => {
+      if (e.target.name === 'checkoutOption') {
+        this.selectedOption = e.target.value;
+      }
+    });
+
+    // Handle buy button click
+    if (this.buyBtn) {
+      this.subscriptions.on(this.buyBtn, 'click', (e) => this.handleBuyClick(e));
+    }
+  }
+
+  destroy() {
+    this.closeModal();
+    this.subscriptions.dispose();
+  }
+
+  openModal(product, { invoker } = {}) {
+    if (!this.isOpen) {
+      const entry = coupons.applyTo(getLocalizedProduct(product));
+
+      if (entry) {
+        this.selectedOption = null;
+        this.couponFeedback = null;
+        this.renderProduct(entry);
+        this.buyBtn.hidden = Boolean(entry.waitlist);
+        
+        this.currentProduct = product;
+        this.openedAt = Date.now();
+        this.converted = false;
+        this.dialog.open({ invoker });
+
+        this.modal.dispatchEvent(new CustomEvent('modal:open', { detail: { product } }));
+        analytics.track('modal_open', { product, price: entry.price, coupon: entry.coupon || null });
+      }
+    }
+  }
+
+  // The open product as sold right now: translated, with any coupon applied
+  getCurrentProduct() {
+    return coupons.applyTo(getLocalizedProduct(this.currentProduct));
+  }
+
+  renderProduct(entry) {
+    // What was typed in a waitlist form survives a change of language
+    const leadForm = this.modalContent.querySelector('.lead-form');
+    const leadValues = leadForm ? LeadCapture.readForm(leadForm) : {};
+
+    this.modalTitle.textContent = entry.title;
+    setChildren(this.modalContent, CatalogRenderer.renderModalBody(entry));
+    if (entry.booking) {
+      this.modalContent.append(h('p', { class: 'modal-booking' },
+        h('button', { type: 'button', class: 'btn-secondary', dataset: { dialogOpen: 'bookingDialog' } },
+          icon('fas fa-calendar-check'),
+          h('span', {}, i18n.t('booking.open'))
+        )
+      ));
+    }
+    if (entry.waitlist) {
+      this.modalContent.append(h('div', { class: 'modal-waitlist' },
+        h('h3', { id: 'waitlistTitle' }, i18n.t('lead.waitlist.title')),
+        h('p', {}, i18n.t('lead.waitlist.text', { product: entry.title })),
+        LeadCapture.isEnabled()
+          ? LeadCapture.renderForm({ idPrefix: 'waitlist', source: 'waitlist', product: entry, values: leadValues, labelledBy: 'waitlistTitle' })
+          : h('a', {
+            href: buildWhatsAppUrl(this.withOrigin([i18n.t('lead.waitlist.message', { product: entry.title })])),
+            class: 'btn-primary',
+            target: '_blank',
+            rel: 'noopener',
+            dataset: { cta: 'whatsapp-waitlist' }
+          }, icon('fab fa-whatsapp'), h('span', {}, i18n.t('lead.waitlist.whatsapp')))
+      ));
+    } else {
+      this.renderCheckoutOptions(entry);
+      this.renderCouponForm(entry);
+    }
+    this.buyLabel.textContent = i18n.t(checkout.getOptions(entry).length ? 'modal.buy' : 'modal.contact');
+  }
+
+  closeModal() {
+    this.dialog.close();
+  }
+
+  handleClosed(reason) {
+    const product = this.currentProduct;
+    this.currentProduct = null;
+    this.modal.dispatchEvent(new CustomEvent('modal:close', { detail: { product } }));
+    analytics.track('modal_close', {
+      product,
+      reason,
+      time_spent_seconds: Math.round((Date.now() - this.openedAt) / 1000),
+      bought: this.converted
+    });
+  }
+
+  renderCheckoutOptions(product) {
+    const options = checkout.getOptions(product);
+    if (!options.some(option => option.id === this.selectedOption)) {
+      this.selectedOption = options.length ? options[0].id : null;
+    }
+
+    if (options.length < 2) {
+      return;
+    }
+
+    this.modalContent.append(h('fieldset', { class: 'checkout-options' },
+      h('legend', {}, i18n.t('checkout.options')),
+      options.map(option => h('label', { class: 'checkout-option' },
+        h('input', { type: 'radio', name: 'checkoutOption', value: option.id, checked: option.id === this.selectedOption }),
+        h('span', {}, option.label),
+        h('strong', {}, formatPrice(option.price))
+      ))
+    ));
+  }
+
+  renderCouponForm(product) {
+    const feedback = this.couponFeedback;
+    const invalid = Boolean(feedback && feedback.error);
+
+    this.modalContent.append(h('form', { class: 'coupon-form', novalidate: true },
+      h('label', { for: 'couponCode' }, i18n.t('coupon.label')),
+      h('div', { class: 'coupon-field' },
+        h('input', {
+          type: 'text',
+          id: 'couponCode',
+          name: 'coupon',
+          value: product.coupon || '',
+          placeholder: i18n.t('coupon.placeholder'),
+          autocomplete: 'off',
+          autocapitalize: 'characters',
+          spellcheck: 'false',
+          'aria-describedby': 'couponFeedback',
+          'aria-invalid': invalid && 'true'
+        }),
+        h('button', { type: 'submit', class: 'btn-secondary' }, i18n.t('coupon.apply')),
+        product.coupon && h('button', { type: 'button', class: 'coupon-remove', 'data-coupon-remove': true }, i18n.t('coupon.remove'))
+      ),
+      h('p', { id: 'couponFeedback', class: ['coupon-feedback', invalid && 'is-error'], role: 'status' },
+        feedback && i18n.t(feedback.key, feedback.params)
+      ),
+      product.coupon && product.couponHint && h('p', { class: 'coupon-hint' }, product.couponHint)
+    ));
+  }
+
+  handleCouponSubmit(e) {
+    e.preventDefault();
+
+    const code = e.target.elements.coupon.value;
+    const result = coupons.apply(code, getLocalizedProduct(this.currentProduct));
+
+    this.couponFeedback = result.rule
+      ? { key: 'coupon.applied', params: { code: result.rule.code, discount: CouponEngine.describe(result.rule) } }
+      : { key: `coupon.error.${result.error}`, params: result.params, error: true };
+
+    analytics.track('coupon_apply', {
+      product: this.currentProduct,
+      code: CouponEngine.normalize(code),
+      valid: Boolean(result.rule),
+      reason: result.error || null
+    });
+
+    this.renderProduct(this.getCurrentProduct());
+
+    // Keep what was typed so an invalid code can be corrected
+    const input = this.modalContent.querySelector('#couponCode');
+    if (!result.rule) {
+      input.value = code;
+    }
+    input.focus();
+  }
+
+  handleCouponRemove() {
+    analytics.track('coupon_remove', { product: this.currentProduct, code: coupons.active });
+    coupons.clear();
+    this.couponFeedback = { key: 'coupon.removed', params: {} };
+    this.renderProduct(this.getCurrentProduct());
+    this.modalContent.querySelector('#couponCode').focus();
+  }
+
+  handleBuyClick(e) {
+    e.preventDefault();
+    this.purchase();
+  }
+
+  // Opens the product and goes straight to its payment link, as a click on
+  // the buy button would (renewals from the subscription tracker)
+  startCheckout(productId, { invoker } = {}) {
+    this.openModal(productId, { invoker });
+    if (this.currentProduct === productId) {
+      this.purchase();
+    }
+  }
+
+  purchase() {
+    const product = this.getCurrentProduct();
+    if (!product || product.waitlist) {
+      return;
+    }
+
+    const option = checkout.getOption(product, this.selectedOption);
+    const order = this.recordOrder(product, option);
+
+    this.converted = true;
+    analytics.track('buy_click', {
+      product: product.id,
+      option: order.option,
+      price: order.price,
+      coupon: order.coupon,
+      reference: order.reference
+    });
+
+    // Without a payment link the sale happens over WhatsApp
+    if (!option) {
+      window.open(buildWhatsAppUrl(this.buildContactMessage(product, order)), '_blank', 'noopener');
+      return;
+    }
+
+    const checkoutUrl = checkout.buildUrl(product, { option: option.id, tracking: this.getTracking() });
+    window.open(checkoutUrl, '_blank', 'noopener');
+    this.showCheckoutStep(product, order, checkoutUrl);
+  }
+
+  recordOrder(product, option) {
+    const order = {
+      reference: generateOrderReference(),
+      product: product.id,
+      title: product.title,
+      option: option ? option.id : null,
+      optionLabel: option && option.id !== 'default' ? option.label : null,
+      price: option ? option.price : product.price,
+      coupon: product.coupon || null,
+      attribution: this.getTracking(),
+      createdAt: new Date().toISOString()
+    };
+
+    const orders = storage.get('orders', []);
+    storage.set('orders', [order, ...orders].slice(0, MAX_STORED_ORDERS));
+
+    return order;
+  }
+
+  getTracking() {
+    return this.attribution ? this.attribution.getTracking() : {};
+  }
+
+  // Appends the campaign origin so the team can credit the sale
+  withOrigin(lines) {
+    const origin = this.attribution ? this.attribution.describe() : null;
+    return (origin ? [...lines, i18n.t('whatsapp.origin', { origin })] : lines).join('\n');
+  }
+
+  formatOrderPrice(product, order) {
+    const price = [formatPrice(order.price), product.period.long].filter(Boolean).join(' ');
+    return order.optionLabel ? `${price} (${order.optionLabel})` : price;
+  }
+
+  buildReceiptMessage(product, order) {
+    return this.withOrigin([
+      i18n.t('whatsapp.receipt.greeting'),
+      '',
+      i18n.t('whatsapp.receipt.product', { product: product.title }),
+      i18n.t('whatsapp.receipt.price', { price: this.formatOrderPrice(product, order) }),
+      i18n.t('whatsapp.receipt.date', { date: formatDateTime(new Date(order.createdAt)) }),
+      ...(order.coupon ? [i18n.t('whatsapp.coupon', { code: order.coupon })] : []),
+      i18n.t('whatsapp.receipt.reference', { reference: order.reference })
+    ]);
+  }
+
+  buildContactMessage(product, order) {
+    return this.withOrigin([
+      i18n.t('whatsapp.contact.greeting', { product: product.title, price: this.formatOrderPrice(product, order) }),
+      '',
+      ...(order.coupon ? [i18n.t('whatsapp.coupon', { code: order.coupon })] : []),
+      i18n.t('whatsapp.contact.reference', { reference: order.reference })
+    ]);
+  }
+
+  // Second step of the purchase: the payment page is open in another tab and
+  // the buyer still has to send the receipt so the team can release access.
+  showCheckoutStep(product, order, checkoutUrl) {
+    const receiptUrl = buildWhatsAppUrl(this.buildReceiptMessage(product, order));
+
+    const summary = [
+      ['checkout.summary.product', product.title],
+      ['checkout.summary.price', this.formatOrderPrice(product, order)],
+      ['checkout.summary.date', formatDateTime(new Date(order.createdAt))],
+      ['checkout.summary.reference', h('code', {}, order.reference)]
+    ];
+
+    setChildren(this.modalContent, h('div', { class: 'modal-section checkout-step' },
+      h('h3', {}, i18n.t('checkout.started.title')),
+      h('p', {}, i18n.nodes('checkout.started.text', { product: h('strong', {}, product.title) })),
+      h('dl', { class: 'checkout-summary' },
+        summary.map(([label, value]) => [h('dt', {}, i18n.t(label)), h('dd', {}, value)])
+      ),
+      h('div', { class: 'checkout-actions' },
+        h('a', {
+          href: receiptUrl,
+          class: 'btn-primary checkout-whatsapp',
+          target: '_blank',
+          rel: 'noopener',
+          dataset: { cta: 'whatsapp-receipt' }
+        }, icon('fab fa-whatsapp'), h('span', {}, i18n.t('checkout.sendReceipt'))),
+        h('a', { href: checkoutUrl, class: 'btn-secondary', target: '_blank', rel: 'noopener' },
+          icon('fas fa-external-link-alt'),
+          h('span', {}, i18n.t('checkout.reopen'))
+        )
+      )
+    ));
+
+    this.buyBtn.hidden = true;
+
+    const whatsappLink = this.modalContent.querySelector('.checkout-whatsapp');
+    if (whatsappLink) {
+      whatsappLink.focus();
+    }
+  }
+}
+
+// ========================================
+// CONSENT BANNER
+// ========================================
+class ConsentBanner {
+  constructor() {
+    this.banner = document.getElementById('consentBanner');
+    this.dialog = document.getElementById('consentModal');
+    this.form = document.getElementById('consentForm');
+    this.options = document.getElementById('consentOptions');
+    this.preferences = dialogs.register(this.dialog);
+    this.subscriptions = new Subscriptions();
+    this.init();
+  }
+
+  init() {
+    this.renderOptions();
+    this.subscriptions.add(i18n.subscribe(() => this.renderOptions()));
+    this.activateResources();
+    this.subscriptions.add(consent.subscribe(() => this.activateResources()));
+
+    if (!consent.hasDecided()) {
+      this.banner.hidden = false;
+    }
+
+    this.subscriptions.on(this.banner, 'click', (e) => {
+      const button = e.target.closest('[data-consent-action]');
+      if (button) {
+        this.handleAction(button.dataset.consentAction);
+      }
+    });
+
+    this.subscriptions.on(document, 'click', (e) => {
+      if (e.target.closest('[data-consent-open]')) {
+        e.preventDefault();
+        this.openPreferences();
+      }
+    });
+
+    this.subscriptions.on(this.form, 'submit', (e) => {
+      e.preventDefault();
+      const checked = (category) => this.form.querySelector(`input[value="${category}"]`).checked;
+      this.decide({ analytics: checked('analytics'), marketing: checked('marketing') });
+      this.closePreferences();
+    });
+  }
+
+  destroy() {
+    this.closePreferences();
+    this.subscriptions.dispose();
+  }
+
+  renderOptions() {
+    setChildren(this.options, CONSENT_CATEGORIES.map(category => h('label', { class: 'consent-option' },
+      h('input', {
+        type: 'checkbox',
+        name: 'consentCategory',
+        value: category,
+        checked: category === 'necessary',
+        disabled: category === 'necessary'
+      }),
+      h('span', {},
+        h('strong', {}, i18n.t(`consent.${category}.label`)),
+        h('small', {}, i18n.t(`consent.${category}.description`))
+      )
+    )));
+    this.syncOptions();
+  }
+
+  syncOptions() {
+    const categories = consent.getCategories();
+    this.form.querySelectorAll('input[name="consentCategory"]').forEach(input => {
+      input.checked = categories[input.value];
+    });
+  }
+
+  handleAction(action) {
+    if (action === 'accept-all') {
+      this.decide({ analytics: true, marketing: true });
+    } else if (action === 'reject') {
+      this.decide({ analytics: false, marketing: false });
+    } else if (action === 'preferences') {
+      this.openPreferences();
+    }
+  }
+
+  decide(choices) {
+    consent.update(choices);
+    this.banner.hidden = true;
+  }
+
+  openPreferences() {
+    this.syncOptions();
+    this.preferences.open();
+  }
+
+  closePreferences() {
+    this.preferences.close();
+  }
+
+  // Third-party resources are declared inert in the markup
+  // (<link data-consent="marketing" data-href="...">) and enabled here
+  activateResources() {
+    document.querySelectorAll('link[data-consent][data-href]').forEach(link => {
+      if (consent.has(link.dataset.consent) && !link.getAttribute('href')) {
+        link.href = link.dataset.href;
+      }
+    });
+  }
+}
+
+// ========================================
+// LANGUAGE SWITCHER
+// ========================================
+// Static copy in index.html is marked with data-i18n="key" (text) and
+// data-i18n-attr="attribute:key" (attributes); dynamic copy re-renders
+// through i18n.subscribe in each component.
+class LocaleSwitcher {
   constructor() {
-    this.overlay = document.getElementById('loadingOverlay');
+    this.select = document.getElementById('languageSelect');
+    this.metaDescription = document.querySelector('meta[name="description"]');
+    this.subscriptions = new Subscriptions();
     this.init();
   }
 
-  init() {
-    // Hide loading overlay when page is fully loaded
-    window.addEventListener('load', () => {
-      setTimeout(() => this.hide(), 500);
-    });
+  init() {
+    if (this.select) {
+      setChildren(this.select, SUPPORTED_LOCALES.map(locale => h('option', { value: locale, lang: locale },
+        i18n.getBundle(locale).name || locale
+      )));
+
+      this.subscriptions.on(this.select, 'change', () => {
+        analytics.track('locale_change', { from: i18n.locale, to: this.select.value });
+        i18n.setLocale(this.select.value, { persist: true });
+      });
+    }
+
+    this.subscriptions.add(i18n.subscribe(() => this.translatePage()));
+    this.translatePage();
   }
 
-  show() {
-    if (this.overlay) {
-      this.overlay.classList.remove('hide');
-    }
+  destroy() {
+    this.subscriptions.dispose();
   }
 
-  hide() {
-    if (this.overlay) {
-      this.overlay.classList.add('hide');
-      setTimeout(() => {
-        this.overlay.style.display = 'none';
-      }, 500);
+  translatePage() {
+    document.documentElement.lang = i18n.locale;
+    document.title = i18n.t('meta.title');
+    if (this.metaDescription) {
+      this.metaDescription.setAttribute('content', i18n.t('meta.description'));
+    }
+    if (this.select) {
+      this.select.value = i18n.locale;
     }
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = i18n.t(element.dataset.i18n);
+    });
+
+    document.querySelectorAll('[data-i18n-attr]').forEach(element => {
+      element.dataset.i18nAttr.split(';').forEach(pair => {
+        const [attribute, key] = pair.split(':').map(part => part.trim());
+        element.setAttribute(attribute, i18n.t(key));
+      });
+    });
   }
 }
 
 // ========================================
-// HEADER MANAGEMENT
+// MODAL ROUTING
 // ========================================
-class HeaderManager {
-  constructor() {
-    this.header = document.getElementById('header');
-    this.lastScrollY = window.scrollY;
+// Product modals are addressable as #/produto/<id> (or ?produto=<id> on
+// landing). Opening a modal pushes a history entry so the back button closes
+// it; plain section anchors such as #relatorios stay with SmoothScroller.
+class ModalRouter {
+  static isProductHash(hash) {
+    return /^#\/produto\//.test(hash || '');
+  }
+
+  static productHash(product) {
+    return `#/produto/${product}`;
+  }
+
+  constructor(modalManager, smoothScroller) {
+    this.modalManager = modalManager;
+    this.smoothScroller = smoothScroller;
+    this.isNavigating = false;
+    this.closingFromUi = false;
+    this.subscriptions = new Subscriptions();
     this.init();
   }
 
   init() {
-    window.addEventListener('scroll', throttle(() => this.handleScroll(), 10));
+    this.subscriptions.on(this.modalManager.modal, 'modal:open', (e) => this.handleOpen(e.detail.product));
+    this.subscriptions.on(this.modalManager.modal, 'modal:close', () => this.handleClose());
+    this.subscriptions.on(window, 'popstate', () => this.handlePopState());
+
+    this.resolveInitialRoute();
   }
 
-  handleScroll() {
-    const currentScrollY = window.scrollY;
-    
-    if (currentScrollY > 100) {
-      this.header.style.background = 'rgba(10, 10, 10, 0.98)';
-      this.header.style.backdropFilter = 'blur(20px)';
-    } else {
-      this.header.style.background = 'rgba(10, 10, 10, 0.95)';
-      this.header.style.backdropFilter = 'blur(20px)';
+  destroy() {
+    this.subscriptions.dispose();
+  }
+
+  getRoutedProduct() {
+    const match = window.location.hash.match(/^#\/produto\/([\w-]+)$/);
+    const product = match ? match[1] : new URLSearchParams(window.location.search).get('produto');
+    return product && getProduct(product) ? product : null;
+  }
+
+  resolveInitialRoute() {
+    const product = this.getRoutedProduct();
+
+    if (product) {
+      // Land on the page itself first so "back" closes the modal instead of
+      // leaving the site
+      const url = new URL(window.location.href);
+      url.searchParams.delete('produto');
+      url.hash = '';
+      history.replaceState(null, '', url.pathname + url.search);
+      this.modalManager.openModal(product);
+      return;
+    }
+
+    const section = this.smoothScroller.getSection(window.location.hash);
+    if (section) {
+      this.smoothScroller.scrollToSection(section);
     }
+  }
+
+  handleOpen(product) {
+    if (this.getRoutedProduct() !== product) {
+      history.pushState({ modal: product }, '', ModalRouter.productHash(product));
+    }
+  }
+
+  handleClose() {
+    // Closed from the UI: drop the modal entry we pushed
+    if (!this.isNavigating && history.state && history.state.modal) {
+      this.closingFromUi = true;
+      history.back();
+    }
+  }
+
+  handlePopState() {
+    const product = this.getRoutedProduct();
+    const wasOpen = this.modalManager.isOpen;
+    // The popstate of our own history.back(): the modal is already closed and
+    // the visitor stays where they were reading
+    const closedFromUi = this.closingFromUi;
+    this.closingFromUi = false;
 
-    this.lastScrollY = currentScrollY;
+    this.isNavigating = true;
+    try {
+      if (wasOpen && this.modalManager.currentProduct !== product) {
+        this.modalManager.closeModal();
+      }
+
+      if (product && !this.modalManager.isOpen) {
+        this.modalManager.openModal(product);
+        return;
+      }
+    } finally {
+      this.isNavigating = false;
+    }
+
+    // Only scroll for section entries, not when the modal just closed
+    if (!wasOpen && !closedFromUi) {
+      const section = this.smoothScroller.getSection(window.location.hash);
+      if (section) {
+        this.smoothScroller.scrollToSection(section);
+      }
+    }
   }
 }
 
 // ========================================
-// DROPDOWN MANAGEMENT
+// SERVICE WORKER
 // ========================================
-class DropdownManager {
+// Registers sw.js (offline app shell, see the notes there). A new version
+// waits until the visitor accepts the update toast; the page then reloads
+// once the new worker takes over.
+const SERVICE_WORKER_URL = 'sw.js';
+
+class ServiceWorkerManager {
+  static isSupported() {
+    const { protocol, hostname } = window.location;
+    return 'serviceWorker' in navigator
+      && (protocol === 'https:' || hostname === 'localhost' || hostname === '127.0.0.1');
+  }
+
   constructor() {
-    this.dropdowns = document.querySelectorAll('.dropdown');
-    this.activeDropdown = null;
+    this.toast = document.getElementById('updateToast');
+    this.registration = null;
+    this.reloading = false;
+    this.subscriptions = new Subscriptions();
     this.init();
   }
 
   init() {
-    this.dropdowns.forEach(dropdown => {
-      const button = dropdown.querySelector('.dropdown-btn');
-      const content = dropdown.querySelector('.dropdown-content');
-      
-      if (button && content) {
-        button.addEventListener('click', (e) => this.toggleDropdown(e, dropdown));
-        
-        // Keyboard navigation
-        button.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            this.toggleDropdown(e, dropdown);
-          }
-        });
-
-        // Close on escape
-        content.addEventListener('keydown', (e) => {
-          if (e.key === 'Escape') {
-            this.closeDropdown(dropdown);
-            button.focus();
-          }
-        });
+    this.subscriptions.on(this.toast, 'click', (e) => {
+      if (e.target.closest('[data-update-reload]')) {
+        this.applyUpdate();
+      } else if (e.target.closest('[data-update-dismiss]')) {
+        this.toast.hidden = true;
       }
     });
 
-    // Close dropdowns when clicking outside
-    document.addEventListener('click', (e) => {
-      if (!e.target.closest('.dropdown')) {
-        this.closeAllDropdowns();
-      }
-    });
+    if (!ServiceWorkerManager.isSupported()) {
+      return;
+    }
 
-    // Close dropdowns on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        this.closeAllDropdowns();
+    this.subscriptions.on(navigator.serviceWorker, 'controllerchange', () => {
+      if (this.reloading) {
+        window.location.reload();
       }
     });
+
+    navigator.serviceWorker.register(SERVICE_WORKER_URL)
+      .then(registration => this.watch(registration))
+      .catch(error => console.warn('Service worker registration failed:', error));
   }
 
-  toggleDropdown(event, dropdown) {
-    event.preventDefault();
-    event.stopPropagation();
-    
-    const button = dropdown.querySelector('.dropdown-btn');
-    const content = dropdown.querySelector('.dropdown-content');
-    const isOpen = content.classList.contains('show');
-    
-    // Close all other dropdowns
-    this.closeAllDropdowns();
-    
-    if (!isOpen) {
-      this.openDropdown(dropdown);
-    }
+  destroy() {
+    this.subscriptions.dispose();
+    this.toast.hidden = true;
   }
 
-  openDropdown(dropdown) {
-    const button = dropdown.querySelector('.dropdown-btn');
-    const content = dropdown.querySelector('.dropdown-content');
-    
-    content.classList.add('show');
-    button.setAttribute('aria-expanded', 'true');
-    this.activeDropdown = dropdown;
-    
-    // Focus first menu item
-    const firstMenuItem = content.querySelector('a');
-    if (firstMenuItem) {
-      setTimeout(() => firstMenuItem.focus(), 100);
+  watch(registration) {
+    this.registration = registration;
+
+    // Only an update when a previous version already controls the page
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdate();
     }
+
+    this.subscriptions.on(registration, 'updatefound', () => {
+      // Already past installing when another tab moved it along
+      const worker = registration.installing;
+      if (!worker) {
+        return;
+      }
+      this.subscriptions.on(worker, 'statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showUpdate();
+        }
+      });
+    });
   }
 
-  closeDropdown(dropdown) {
-    const button = dropdown.querySelector('.dropdown-btn');
-    const content = dropdown.querySelector('.dropdown-content');
-    
-    content.classList.remove('show');
-    button.setAttribute('aria-expanded', 'false');
-    
-    if (this.activeDropdown === dropdown) {
-      this.activeDropdown = null;
-    }
+  showUpdate() {
+    this.toast.hidden = false;
+    analytics.track('pwa_update_available');
   }
 
-  closeAllDropdowns() {
-    this.dropdowns.forEach(dropdown => {
-      this.closeDropdown(dropdown);
-    });
+  applyUpdate() {
+    const waiting = this.registration && this.registration.waiting;
+    this.toast.hidden = true;
+
+    if (!waiting) {
+      window.location.reload();
+      return;
+    }
+
+    this.reloading = true;
+    analytics.track('pwa_update_accepted');
+    waiting.postMessage({ type: 'SKIP_WAITING' });
   }
 }
 
-// ========================================
-// SMOOTH SCROLLING
-// ========================================
-class SmoothScroller {
+// Tells the visitor the site works offline and how to still buy
+class OfflineNotice {
   constructor() {
+    this.notice = document.getElementById('offlineNotice');
+    this.subscriptions = new Subscriptions();
     this.init();
   }
 
   init() {
-    document.querySelectorAll('.scroll-link').forEach(link => {
-      link.addEventListener('click', (e) => this.handleClick(e));
-    });
+    this.subscriptions.on(window, 'online', () => this.update());
+    this.subscriptions.on(window, 'offline', () => this.update());
+    this.update();
   }
 
-  handleClick(event) {
-    event.preventDefault();
-    
-    const targetId = event.currentTarget.getAttribute('href');
-    const targetElement = document.querySelector(targetId);
-    
-    if (targetElement) {
-      // Close any open dropdowns
-      const dropdownManager = window.dropdownManager;
-      if (dropdownManager) {
-        dropdownManager.closeAllDropdowns();
-      }
-      
-      // Calculate offset for fixed header
-      const headerHeight = document.getElementById('header').offsetHeight;
-      const targetPosition = targetElement.offsetTop - headerHeight - 20;
-      
-      window.scrollTo({
-        top: targetPosition,
-        behavior: 'smooth'
-      });
-      
-      // Add highlight effect
-      this.highlightElement(targetElement);
-    }
+  destroy() {
+    this.subscriptions.dispose();
+    this.notice.hidden = true;
   }
 
-  highlightElement(element) {
-    element.style.transition = 'box-shadow 0.3s ease';
-    element.style.boxShadow = '0 0 0 3px rgba(212, 175, 55, 0.5)';
-    
-    setTimeout(() => {
-      element.style.boxShadow = 'none';
-      setTimeout(() => {
-        element.style.transition = '';
-      }, 300);
-    }, 2000);
+  update() {
+    this.notice.hidden = navigator.onLine;
   }
 }
 
 // ========================================
-// MODAL MANAGEMENT
+// COMPONENT REGISTRY
 // ========================================
-class ModalManager {
-  constructor() {
-    this.modal = document.getElementById('productModal');
-    this.modalTitle = document.getElementById('modalTitle');
-    this.modalContent = document.getElementById('modalContent');
-    this.closeBtn = document.querySelector('.modal-close');
-    this.overlay = document.querySelector('.modal-overlay');
-    this.buyBtn = document.querySelector('.modal-buy-btn');
-    this.productButtons = document.querySelectorAll('.product-btn');
-    this.isOpen = false;
-    this.focusableElements = null;
-    this.firstFocusableElement = null;
-    this.lastFocusableElement = null;
-    
-    // Payment links for each product
-    this.paymentLinks = {
-      "gamma-indices": "https://pay.infinitepay.io/danilopetri_trader/VC1D-5wgZ9JkIvb-300,00",
-      "gamma-cripto": "https://link.infinitepay.io/danilopetri_trader/VC1D-9zjvyg6L-299,99",
-      "indicador-gamma": "https://pay.infinitepay.io/danilopetri_trader/VC1D-6qDIKOF6F-300,00",
-      "imersao": "https://pay.hotmart.com/B99375401O",
-      "mentoria": "https://pay.hotmart.com/H95976212G"
-    };
-    
-    this.productContents = {
-      "gamma-indices": {
-        title: "Relatório Gamma - Índices",
-        content: `
-          <div class="modal-section">
-            <h3>📈 Informação Profissional ao Seu Alcance</h3>
-            <p>Nosso Relatório de Posicionamento Gamma é um material profundo e detalhado, projetado para oferecer insights valiosos sobre o mercado. Ele traz um acompanhamento diário das posições dos market makers e de outros grandes players, em todas as classes de ativos.</p>
-          </div>
-          <div class="modal-section">
-            <h3>📊 Dados Tratados por Especialistas:</h3>
-            <ul>
-              <li><strong>Posicionamento Gamma</strong> para os ativos SPX, Nasdaq e VIX</li>
-              <li><strong>Principais Suportes e Resistências</strong> identificados para cada dia de negociação</li>
-              <li><strong>Análises técnicas complementares</strong> baseadas em fluxo institucional</li>
-            </ul>
-          </div>
-          <div class="modal-section">
-            <h3>🎯 Para Day Trade e Position Trading:</h3>
-            <p>Extraia o melhor dos dois mundos operacionais, com dados precisos que ajudam você a tomar decisões informadas e estratégicas em qualquer timeframe.</p>
-          </div>
-          <div class="modal-section">
-            <h3>💎 Diferenciais:</h3>
-            <ul>
-              <li>Relatórios enviados diariamente antes da abertura do mercado</li>
-              <li>Análise baseada em dados reais de posicionamento institucional</li>
-              <li>Suporte técnico via Telegram para esclarecimentos</li>
-              <li>Histórico de assertividade comprovada</li>
-            </ul>
-            <p><strong>Com esse relatório, você terá em mãos as mesmas informações utilizadas pelos maiores fundos de investimento, permitindo que você opere com a confiança de um profissional.</strong></p>
-          </div>
-          <div class="modal-info-box">
-            <h3>📋 Instruções de Compra e Recebimento dos Relatórios:</h3>
-            <ol>
-              <li><strong>Efetue o pagamento do produto</strong></li>
-              <li><strong>Enviar comprovante pelo WhatsApp do Danilo</strong></li>
-              <li><strong>Receber o produto</strong></li>
-            </ol>
-            <p>Havendo dúvidas, entre em contato com a equipe</p>
-          </div>
-          <div class="modal-price-box">
-            <h3>💰 Investimento:</h3>
-            <p class="price-value"><strong>R$ 300,00 por trimestre</strong></p>
-            <p class="price-period">Trabalhamos apenas com assinaturas trimestrais para garantir consistência nos resultados.</p>
-          </div>
-        `
-      },
-      "gamma-cripto": {
-        title: "Relatório Gamma - Cripto",
-        content: `
-          <div class="modal-section">
-            <h3>🚀 Informação Profissional para Criptomoedas</h3>
-            <p>Nosso Relatório especializado em Criptomoedas e Commodities aplica a mesma metodologia gamma utilizada pelos grandes fundos, adaptada para os mercados de Bitcoin, Euro e Ouro.</p>
-          </div>
-          <div class="modal-section">
-            <h3>📊 Dados Tratados por Especialistas:</h3>
-            <ul>
-              <li><strong>Posicionamento Gamma</strong> para Bitcoin, Euro e Ouro</li>
-              <li><strong>Principais Suportes e Resistências</strong> para operações diárias</li>
-              <li><strong>Análise de correlações</strong> entre os ativos monitorados</li>
-              <li><strong>Fluxo institucional</strong> em tempo real</li>
-            </ul>
-          </div>
-          <div class="modal-section">
-            <h3>⚡ Para Day Trade e Position Trading:</h3>
-            <p>Opere com segurança nos mercados mais voláteis, tendo sempre à disposição os níveis mais importantes calculados através da metodologia Gamma.</p>
-          </div>
-          <div class="modal-section">
-            <h3>🎯 Mercados Cobertos:</h3>
-            <ul>
-              <li><strong>Bitcoin (BTC)</strong> - Principal criptomoeda mundial</li>
-              <li><strong>Euro (EUR)</strong> - Moeda de referência global</li>
-              <li><strong>Ouro (Gold)</strong> - Ativo de proteção tradicional</li>
-            </ul>
-          </div>
-          <div class="modal-info-box">
-            <h3>📋 Instruções de Compra e Recebimento dos Relatórios:</h3>
-            <ol>
-              <li><strong>Efetue o pagamento do produto</strong></li>
-              <li><strong>Enviar comprovante pelo WhatsApp do Danilo</strong></li>
-              <li><strong>Receber o produto</strong></li>
-            </ol>
-            <p>Havendo dúvidas, entre em contato com a equipe</p>
-          </div>
-          <div class="modal-price-box">
-            <h3>💰 Investimento:</h3>
-            <p class="price-value"><strong>R$ 300,00 por trimestre</strong></p>
-            <p class="price-period">Assinatura trimestral para máxima consistência nos resultados.</p>
-          </div>
-        `
-      },
-      "indicador-gamma": {
-        title: "Indicador Gamma",
-        content: `
-          <div class="modal-section">
-            <h3>🛠️ Ferramenta Profissional de Trading</h3>
-            <p>O Indicador Gamma é a ferramenta indispensável para qualquer trader que deseja um operacional vencedor. Ele identifica, de forma automática e precisa, as melhores regiões para tomada de risco, alinhando suas operações com os maiores players do mercado.</p>
-          </div>
-          <div class="modal-section">
-            <h3>🎯 Para Traders Profissionais:</h3>
-            <ul>
-              <li>Maximize seus lucros com zonas de alvo identificadas com precisão</li>
-              <li>Reduza drawdowns através de pontos de reversão calculados</li>
-              <li>Opere alinhado com o fluxo institucional</li>
-            </ul>
-          </div>
-          <div class="modal-section">
-            <h3>📚 Para Traders Iniciantes:</h3>
-            <ul>
-              <li>Reduza os riscos operando nas zonas mais seguras</li>
-              <li>Aprenda através de sinais visuais claros</li>
-              <li>Desenvolva disciplina operacional</li>
-            </ul>
-          </div>
-          <div class="modal-section">
-            <h3>📈 Ativos Suportados:</h3>
-            <ul>
-              <li><strong>ES & MES</strong> - S&P 500 Futures</li>
-              <li><strong>NQ & MNQ</strong> - Nasdaq Futures</li>
-              <li><strong>GC & MGC</strong> - Gold Futures</li>
-              <li><strong>MTB</strong> - Treasury Bond</li>
-              <li><strong>CL & MCL</strong> - Crude Oil</li>
-            </ul>
-          </div>
-          <div class="modal-section">
-            <h3>💻 Plataformas Disponíveis:</h3>
-            <ul>
-              <li><strong>NinjaTrader</strong> - Versão completa com alertas</li>
-              <li><strong>Bookmap</strong> - Integração com order flow</li>
-            </ul>
-          </div>
-          <div class="modal-info-box">
-            <h3>📋 Instruções de Instalação do Indicador:</h3>
-            <ol>
-              <li><strong>Efetue o pagamento do produto</strong></li>
-              <li><strong>Baixe os arquivos</strong> do produto e extraia-os</li>
-              <li><strong>Siga o passo a passo de instalação</strong> contido no arquivo de instruções</li>
-              <li><strong>Caso tenha dificuldade</strong> na instalação, entre em contato com a equipe de suporte através do WhatsApp do Danilo</li>
-            </ol>
-            <p>Havendo dúvidas, entre em contato com a equipe</p>
-          </div>
-          <div class="modal-price-box">
-            <h3>💰 Investimento:</h3>
-            <p class="price-value"><strong>R$ 300,00 por trimestre</strong></p>
-            <p class="price-period">Assinatura trimestral para garantir consistência nos resultados.</p>
-          </div>
-        `
-      },
-      "imersao": {
-        title: "Imersão 2.0",
-        content: `
-          <div class="modal-section">
-            <h3>🎓 Curso Completo para Trader Profissional</h3>
-            <p>A imersão 2.0 é um curso completo e prático, projetado para capacitar traders a operar com a mesma mentalidade e ferramentas que os grandes players institucionais utilizam.</p>
-          </div>
-          <div class="modal-section">
-            <h3>📚 Módulos do Curso:</h3>
-            <ol>
-              <li>Introdução à Análise Gamma: Fundamentos e importância</li>
-              <li>Leitura de Gamma Exposure (GEX) e Vanna/Charm</li>
-              <li>SpotGamma & MenthorQ: Uso profissional das plataformas</li>
-              <li>Estratégias Operacionais: Scalping, Day Trade e Position Trading</li>
-              <li>Análise de Fluxo e Volume: Como combinar com a análise Gamma</li>
-              <li>Gestão de Risco e Capital: O segredo dos profissionais</li>
-              <li>Ferramentas: Bookmap e outros softwares essenciais</li>
-              <li>Psicologia do Trading: Controle emocional e disciplina</li>
-              <li>Operando na Prática: Estudos de caso e análises ao vivo</li>
-              <li>Mercados Avançados: Cripto, commodities e Forex</li>
-              <li>Revisão e Aprimoramento: Sessões de Q&A</li>
-              <li>Plano de Trading Pessoal: Desenvolva o seu plano</li>
-              <li>Backtesting e Otimização de Estratégias</li>
-              <li>Rotina de um Trader Profissional</li>
-              <li>Sessão de Mentoria em Grupo</li>
-            </ol>
-          </div>
-          <div class="modal-section">
-            <h3>📊 O Que Você Receberá:</h3>
-            <ul>
-              <li>Acesso vitalício à plataforma de membros</li>
-              <li>15 módulos de vídeo aulas de alta qualidade</li>
-              <li>Material de apoio em PDF</li>
-              <li>Comunidade exclusiva no Telegram</li>
-              <li>Aulas de tira-dúvidas ao vivo e gravadas</li>
-              <li>Acesso às atualizações futuras do curso</li>
-            </ul>
-          </div>
-          <div class="modal-section">
-            <h3>🚀 Para Quem é a Imersão:</h3>
-            <p>Ideal para traders que já operam mas buscam consistência, ou para iniciantes que desejam começar da forma correta, alinhados com o mercado institucional.</p>
-          </div>
-          <div class="modal-info-box">
-            <h3>✨ Acesso Exclusivo:</h3>
-            <p><strong>Após a compra, você receberá o acesso à Hotmart e às instruções para entrar na comunidade de alunos.</strong></p>
-          </div>
-          <div class="modal-price-box">
-            <h3>💰 Investimento:</h3>
-            <p class="price-value"><strong>R$ 1.000,00</strong></p>
-            <p class="price-period">Pagamento único e acesso vitalício.</p>
-          </div>
-        `
-      },
-      "mentoria": {
-        title: "Mentoria Individual",
-        content: `
-          <div class="modal-section">
-            <h3>🎯 Programa Personalizado de Desenvolvimento</h3>
-            <p>A Mentoria Individual é o caminho mais rápido para a consistência e o profissionalismo no trading. Desenvolvida e ministrada pessoalmente, este programa foca nas suas necessidades e desafios específicos, garantindo um plano de trading sob medida.</p>
-          </div>
-          <div class="modal-section">
-            <h3>✔️ O Que Inclui:</h3>
-            <ul>
-              <li><strong>Plano Operacional Exclusivo:</strong> Criado para o seu perfil e objetivos.</li>
-              <li><strong>16 Módulos do Curso Imersão 2.0:</strong> Acesso completo e vitalício ao conteúdo teórico.</li>
-              <li><strong>3 Aulas Individuais (1x1):</strong> Sessões focadas nos seus pontos fracos e na otimização da sua estratégia.</li>
-              <li><strong>Análise de Performance:</strong> Análise detalhada do seu desempenho e plano de melhoria contínua.</li>
-              <li><strong>Suporte Direto e Prioritário:</strong> Tenha acesso exclusivo para tirar suas dúvidas sempre que precisar.</li>
-            </ul>
-          </div>
-          <div class="modal-section">
-            <h3>🚀 Benefícios Chave:</h3>
-            <ul>
-              <li>Acelere a sua curva de aprendizado.</li>
-              <li>Superar desafios de forma direcionada.</li>
-              <li>Desenvolver a disciplina e a mentalidade de um trader de sucesso.</li>
-              <li>Ter um mentor experiente ao seu lado em todas as etapas.</li>
-            </ul>
-          </div>
-          <div class="modal-info-box">
-            <h3>✨ Um Passo à Frente:</h3>
-            <p><strong>Este programa é a sua oportunidade de ter um acompanhamento de perto para alcançar a excelência no mercado.</strong></p>
-          </div>
-          <div class="modal-price-box">
-            <h3>💰 Investimento:</h3>
-            <p class="price-value"><strong>R$ 2.799,00</strong></p>
-            <p class="price-period">Valor total do programa completo.</p>
-          </div>
-        `
-      }
-    };
+// Each component declares what it needs and is started on its own, so one
+// that throws (or whose markup is missing) doesn't take the rest down:
+//
+//   registry.define('modalRouter', {
+//     requires: ['modalManager'],       // started first; failure skips this one
+//     optional: ['smoothScroller'],     // passed as null when unavailable
+//     selectors: ['#productModal'],     // DOM that must exist
+//     lazy: false,                      // true: wait until selectors[0] nears the viewport
+//     create: ({ modalManager, smoothScroller }) => new ModalRouter(...)
+//   });
+//
+// Lazy components suit sections below the fold; one that another component
+// requires is started early, when that component starts.
+//
+// Components get each other through create() instead of window globals and
+// implement destroy() to remove everything their init() set up.
+const COMPONENT_CONFIG = {
+  errorEndpoint: null // e.g. '/api/errors'; receives a JSON beacon per failure
+};
 
-    this.init();
+class ComponentRegistry {
+  constructor({ onError = () => {} } = {}) {
+    this.definitions = new Map();
+    this.instances = new Map();
+    this.failures = new Map();
+    this.deferred = new Map();
+    this.onError = onError;
   }
 
-  init() {
-    this.productButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        const product = button.dataset.product;
-        this.openModal(product);
-      });
-    });
+  define(name, { requires = [], optional = [], selectors = [], lazy = false, create }) {
+    this.definitions.set(name, { requires, optional, selectors, lazy, create });
+    return this;
+  }
+
+  get(name) {
+    return this.instances.get(name) || null;
+  }
+
+  has(name) {
+    return this.instances.has(name);
+  }
 
-    this.closeBtn.addEventListener('click', () => this.closeModal());
-    this.overlay.addEventListener('click', () => this.closeModal());
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        this.closeModal();
+  start() {
+    this.definitions.forEach((definition, name) => {
+      if (definition.lazy) {
+        this.defer(name);
+      } else {
+        this.startOne(name);
       }
     });
 
-    // Handle buy button click
-    if (this.buyBtn) {
-      this.buyBtn.addEventListener('click', (e) => this.handleBuyClick(e));
-    }
-    
-    // Accessibility: Trap focus within the modal
-    this.modal.addEventListener('transitionend', (e) => {
-        if (e.propertyName === 'opacity' && this.modal.classList.contains('show')) {
-            this.trapFocus();
-        }
-    });
+    return {
+      started: [...this.instances.keys()],
+      deferred: [...this.deferred.keys()],
+      failed: [...this.failures.keys()]
+    };
   }
 
-  openModal(product) {
-    if (!this.isOpen) {
-      const content = this.productContents[product];
-      const link = this.paymentLinks[product];
+  defer(name) {
+    if (this.instances.has(name) || this.deferred.has(name)) {
+      return;
+    }
 
-      if (content) {
-        this.modalTitle.textContent = content.title;
-        this.modalContent.innerHTML = content.content;
-        this.buyBtn.href = link;
-        
-        this.modal.classList.add('show');
-        this.modal.setAttribute('aria-hidden', 'false');
-        this.isOpen = true;
-        
-        // Prevent body scroll
-        document.body.style.overflow = 'hidden';
-      }
+    const [selector] = this.definitions.get(name).selectors;
+    const anchor = selector && document.querySelector(selector);
+    if (!anchor) {
+      // Nothing to wait for; startOne() reports missing markup
+      this.startOne(name);
+      return;
     }
+
+    this.deferred.set(name, whenNearViewport(anchor, () => {
+      this.deferred.delete(name);
+      this.startOne(name);
+    }));
   }
 
-  closeModal() {
-    if (this.isOpen) {
-      this.modal.classList.remove('show');
-      this.modal.setAttribute('aria-hidden', 'true');
-      this.isOpen = false;
-      
-      // Allow body scroll
-      document.body.style.overflow = '';
-      
-      // Return focus to the button that opened the modal
-      this.lastFocusElement.focus();
+  cancelDeferred(name) {
+    if (this.deferred.has(name)) {
+      this.deferred.get(name)();
+      this.deferred.delete(name);
     }
   }
-  
-  // Accessibility: Trap focus inside modal
-  trapFocus() {
-    this.focusableElements = this.modal.querySelectorAll('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-    this.firstFocusableElement = this.focusableElements[0];
-    this.lastFocusableElement = this.focusableElements[this.focusableElements.length - 1];
 
-    if (this.firstFocusableElement) {
-        this.firstFocusableElement.focus();
+  startOne(name, pending = []) {
+    this.cancelDeferred(name);
+
+    if (this.instances.has(name)) {
+      return this.instances.get(name);
     }
-    
-    this.modal.addEventListener('keydown', this.handleKeydown.bind(this));
-  }
-  
-  handleKeydown(e) {
-    if (e.key === 'Tab') {
-      if (e.shiftKey) { // Shift + Tab
-        if (document.activeElement === this.firstFocusableElement) {
-          this.lastFocusableElement.focus();
-          e.preventDefault();
+    if (this.failures.has(name)) {
+      return null;
+    }
+    if (pending.includes(name)) {
+      throw new Error(`Circular dependency: ${[...pending, name].join(' → ')}`);
+    }
+
+    const definition = this.definitions.get(name);
+
+    try {
+      const missing = definition.selectors.find(selector => !document.querySelector(selector));
+      if (missing) {
+        throw new Error(`Required element "${missing}" not found`);
+      }
+
+      const dependencies = {};
+      definition.requires.forEach(dependency => {
+        if (!this.definitions.has(dependency)) {
+          throw new Error(`Unknown dependency "${dependency}"`);
         }
-      } else { // Tab
-        if (document.activeElement === this.lastFocusableElement) {
-          this.firstFocusableElement.focus();
-          e.preventDefault();
+        dependencies[dependency] = this.startOne(dependency, [...pending, name]);
+        if (!dependencies[dependency]) {
+          throw new Error(`Dependency "${dependency}" is unavailable`);
         }
+      });
+      definition.optional.forEach(dependency => {
+        dependencies[dependency] = this.definitions.has(dependency)
+          ? this.startOne(dependency, [...pending, name])
+          : null;
+      });
+
+      const instance = definition.create(dependencies);
+      this.instances.set(name, instance);
+      return instance;
+    } catch (error) {
+      this.fail(name, error, 'init');
+      return null;
+    }
+  }
+
+  fail(name, error, phase) {
+    if (phase === 'init') {
+      this.failures.set(name, error);
+    }
+    this.onError({ component: name, phase, error });
+  }
+
+  getDefinedDependents(name) {
+    return [...this.definitions.keys()].filter(other => {
+      const { requires, optional } = this.definitions.get(other);
+      return requires.includes(name) || optional.includes(name);
+    });
+  }
+
+  // Stops the component and, first, everything that holds a reference to it;
+  // returns the names of the components stopped
+  stop(name) {
+    if (!this.instances.has(name)) {
+      return [];
+    }
+
+    const stopped = this.getDefinedDependents(name).flatMap(dependent => this.stop(dependent));
+    const instance = this.instances.get(name);
+    this.instances.delete(name);
+
+    try {
+      if (typeof instance.destroy === 'function') {
+        instance.destroy();
       }
+    } catch (error) {
+      this.fail(name, error, 'destroy');
     }
+
+    return [name, ...stopped];
   }
-  
-  handleBuyClick(e) {
-      // Logic for handling the buy button click
-      console.log('Buy button clicked');
+
+  // Re-creates the component, then whatever depends on it that isn't running
+  restart(name) {
+    this.stop(name);
+    this.failures.delete(name);
+
+    const instance = this.startOne(name);
+    if (instance) {
+      this.getDefinedDependents(name)
+        .filter(dependent => !this.instances.has(dependent))
+        .forEach(dependent => this.restart(dependent));
+    }
+    return instance;
+  }
+
+  destroy() {
+    [...this.deferred.keys()].forEach(name => this.cancelDeferred(name));
+    [...this.instances.keys()].reverse().forEach(name => this.stop(name));
   }
 }
 
+const reportComponentError = ({ component, phase, error }) => {
+  console.error(`❌ Component "${component}" failed (${phase}):`, error);
+  analytics.track('component_error', { component, phase, message: error.message });
+
+  if (COMPONENT_CONFIG.errorEndpoint && navigator.sendBeacon) {
+    const body = JSON.stringify({
+      component,
+      phase,
+      message: error.message,
+      stack: error.stack,
+      url: window.location.href,
+      time: new Date().toISOString()
+    });
+    navigator.sendBeacon(COMPONENT_CONFIG.errorEndpoint, new Blob([body], { type: 'application/json' }));
+  }
+};
+
 // ========================================
 // INITIALIZATION
 // ========================================
 class App {
   constructor() {
-    this.components = {};
+    this.components = new ComponentRegistry({ onError: reportComponentError });
+    this.installPrompt = null;
+    this.installButton = null;
     this.init();
   }
 
   init() {
+    // Listened for right away: browsers may offer installation before the
+    // DOM is ready
+    this.listenForInstallPrompt();
+
     // Wait for DOM to be ready
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.initializeComponents());
@@ -630,22 +6588,185 @@ class App {
     }
   }
 
+  initializeAnalytics() {
+    const debug = new URLSearchParams(window.location.search).get('analytics') === 'debug';
+
+    if (debug) {
+      analytics.use(analyticsAdapters.console());
+    }
+
+    // Delivered by the same adapters (and consent) as the funnel events
+    webVitals.subscribe(metric => analytics.track('web_vital', metric));
+
+    // Nothing below is loaded before the visitor opts in
+    consent.whenGranted('analytics').then(() => {
+      if (ANALYTICS_CONFIG.endpoint) {
+        analytics.use(analyticsAdapters.endpoint({ url: ANALYTICS_CONFIG.endpoint }), { consent: 'analytics' });
+      }
+      if (ANALYTICS_CONFIG.ga4MeasurementId || window.dataLayer) {
+        analytics.use(analyticsAdapters.dataLayer({ measurementId: ANALYTICS_CONFIG.ga4MeasurementId }), { consent: 'analytics' });
+      }
+    });
+
+    consent.whenGranted('marketing').then(() => {
+      if (ANALYTICS_CONFIG.metaPixelId) {
+        analytics.use(analyticsAdapters.metaPixel({ pixelId: ANALYTICS_CONFIG.metaPixelId }), { consent: 'marketing' });
+      }
+    });
+  }
+
+  // Chromium browsers fire beforeinstallprompt once the site is installable;
+  // their mini-infobar is replaced by the "Instalar app" button in the nav
+  listenForInstallPrompt() {
+    window.addEventListener('beforeinstallprompt', (e) => {
+      e.preventDefault();
+      this.installPrompt = e;
+      this.updateInstallButton();
+    });
+
+    window.addEventListener('appinstalled', () => {
+      this.installPrompt = null;
+      this.updateInstallButton();
+      analytics.track('pwa_installed');
+    });
+  }
+
+  initializeInstallButton() {
+    this.installButton = document.getElementById('installApp');
+    if (this.installButton) {
+      this.installButton.addEventListener('click', () => this.promptInstall());
+      this.updateInstallButton();
+    }
+  }
+
+  updateInstallButton() {
+    if (this.installButton) {
+      this.installButton.hidden = !this.installPrompt;
+    }
+  }
+
+  // A prompt can only be shown once; the browser fires a new
+  // beforeinstallprompt if the visitor dismisses it
+  promptInstall() {
+    const prompt = this.installPrompt;
+    if (!prompt) {
+      return;
+    }
+
+    this.installPrompt = null;
+    this.updateInstallButton();
+    analytics.track('pwa_install_prompt');
+
+    prompt.prompt();
+    prompt.userChoice.then(({ outcome }) => {
+      analytics.track('pwa_install_choice', { outcome });
+    });
+  }
+
   initializeComponents() {
-    try {
-      // Initialize all components
-      this.components.loadingManager = new LoadingManager();
-      this.components.headerManager = new HeaderManager();
-      this.components.dropdownManager = new DropdownManager();
-      this.components.smoothScroller = new SmoothScroller();
-      this.components.modalManager = new ModalManager();
-      
-      // Make dropdown manager globally available
-      window.dropdownManager = this.components.dropdownManager;
-      
-      console.log('✅ All components initialized successfully');
-      
-    } catch (error) {
-      console.error('❌ Error initializing components:', error);
+    this.initializeAnalytics();
+    i18n.setLocale(i18n.detect());
+
+    // Defined in start order: the catalog renders before the managers below
+    // look for the product cards and links in the DOM
+    this.components
+      .define('localeSwitcher', {
+        create: () => new LocaleSwitcher()
+      })
+      .define('consentBanner', {
+        selectors: ['#consentBanner', '#consentModal', '#consentForm', '#consentOptions'],
+        create: () => new ConsentBanner()
+      })
+      .define('attributionTracker', {
+        create: () => new AttributionTracker()
+      })
+      .define('catalogRenderer', {
+        create: () => new CatalogRenderer()
+      })
+      .define('curriculumExplorer', {
+        create: () => new CurriculumExplorer()
+      })
+      .define('productComparison', {
+        requires: ['catalogRenderer'],
+        selectors: ['#comparar', '#productComparison', '#compareBar'],
+        create: () => new ProductComparison()
+      })
+      .define('loadingManager', {
+        create: () => new LoadingManager()
+      })
+      .define('headerManager', {
+        selectors: ['#header'],
+        create: () => new HeaderManager()
+      })
+      .define('dropdownManager', {
+        selectors: ['#siteNav', '.nav-toggle', '.nav-backdrop'],
+        create: () => new DropdownManager()
+      })
+      .define('smoothScroller', {
+        optional: ['headerManager', 'dropdownManager'],
+        selectors: ['#header'],
+        create: ({ headerManager, dropdownManager }) => new SmoothScroller(headerManager, dropdownManager)
+      })
+      .define('modalManager', {
+        optional: ['attributionTracker'],
+        selectors: ['#productModal', '#modalTitle', '#modalContent', '.modal-buy-btn'],
+        create: ({ attributionTracker }) => new ModalManager(attributionTracker)
+      })
+      .define('engagementTracker', {
+        create: () => new EngagementTracker()
+      })
+      .define('modalRouter', {
+        requires: ['modalManager', 'smoothScroller'],
+        create: ({ modalManager, smoothScroller }) => new ModalRouter(modalManager, smoothScroller)
+      })
+      .define('leadCapture', {
+        optional: ['attributionTracker'],
+        selectors: ['#leadCapture'],
+        create: ({ attributionTracker }) => new LeadCapture(attributionTracker)
+      })
+      .define('marketClock', {
+        selectors: ['#marketClockSessions', '#marketClockNote'],
+        create: () => new MarketClock()
+      })
+      .define('sampleReport', {
+        requires: ['modalManager'],
+        selectors: ['#sampleReport', '#sampleReportAssets', '#sampleReportDate', '#sampleReportChart', '#sampleReportLegend', '#sampleReportReadout', '[data-sample-report-cta]'],
+        create: ({ modalManager }) => new SampleReport(modalManager)
+      })
+      .define('subscriptionTracker', {
+        requires: ['modalManager'],
+        selectors: ['#subscriptionForm', '#subscriptionError', '#subscriptionList'],
+        lazy: true,
+        create: ({ modalManager }) => new SubscriptionTracker(modalManager)
+      })
+      .define('mentoriaBooking', {
+        selectors: ['#bookingDialog', '#bookingSlots', '#bookingStatus', '#bookingError', '[data-booking-action="whatsapp"]', '[data-booking-action="calendar"]'],
+        create: () => new MentoriaBooking(new LocalAvailability())
+      })
+      .define('riskCalculator', {
+        selectors: ['#riskCalculator', '#calcContractSpec', '#calcResult'],
+        lazy: true,
+        create: () => new RiskCalculator()
+      })
+      .define('gexCalculator', {
+        selectors: ['#gexForm', '#gexStatus', '#gexResults', '#gexSummary', '#gexChart', '#gexExpiries'],
+        lazy: true,
+        create: () => new GexCalculator()
+      })
+      .define('serviceWorkerManager', {
+        selectors: ['#updateToast'],
+        create: () => new ServiceWorkerManager()
+      })
+      .define('offlineNotice', {
+        selectors: ['#offlineNotice'],
+        create: () => new OfflineNotice()
+      });
+
+    const { started, failed } = this.components.start();
+    this.initializeInstallButton();
+
+    if (failed.length) {
+      console.warn(`⚠️ ${started.length} components initialized, failed: ${failed.join(', ')}`);
     }
   }
 }
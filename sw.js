@@ -0,0 +1,108 @@
+// ========================================
+// SERVICE WORKER
+// ========================================
+// The app shell (page, styles, scripts, translations, icons and fonts) is
+// precached per CACHE_VERSION and served from the cache first, so repeat
+// visits render instantly on a weak connection and the site keeps working
+// offline. Bump CACHE_VERSION whenever a file in PRECACHE_URLS changes: the
+// new worker installs alongside the old one and the page offers a reload
+// (ServiceWorkerManager in script.js) instead of swapping files mid-visit.
+//
+// Other same-origin GET requests are stale-while-revalidate, except those the
+// page fetches with cache: 'no-store' (the booking availability), which must
+// be current and go straight to the network. Third-party requests (checkout,
+// analytics) are never touched.
+const CACHE_VERSION = 'v8';
+const PRECACHE = `dpt-precache-${CACHE_VERSION}`;
+const RUNTIME = `dpt-runtime-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'style.css',
+  'script.js',
+  'locales/pt-BR.js',
+  'locales/en.js',
+  'locales/es.js',
+  'data/coupons.js',
+  'data/contracts.js',
+  'data/gamma-sample.json',
+  'data/market-calendar.js',
+  'lib/market-calendar.js',
+  'lib/mentoria-availability.js',
+  'lib/position-size.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/apple-touch-icon.png',
+  'fonts/inter/inter-latin-wght-normal.woff2',
+  'fonts/inter/inter-latin-ext-wght-normal.woff2',
+  'fonts/fontawesome/css/fontawesome.min.css',
+  'fonts/fontawesome/css/solid.min.css',
+  'fonts/fontawesome/css/brands.min.css',
+  'fonts/fontawesome/webfonts/fa-solid-900.woff2',
+  'fonts/fontawesome/webfonts/fa-brands-400.woff2'
+];
+
+// Navigations (any path, any query string such as utm_*) get the page shell
+const SHELL_URL = 'index.html';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(PRECACHE).then(cache => cache.addAll(PRECACHE_URLS))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('dpt-') && key !== PRECACHE && key !== RUNTIME)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Sent by the page when the visitor accepts the update toast
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin || request.cache === 'no-store') {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else {
+    event.respondWith(handleAsset(request, event));
+  }
+});
+
+const handleNavigation = (request) => caches.match(SHELL_URL, { cacheName: PRECACHE })
+  .then(shell => shell || fetch(request));
+
+const handleAsset = (request, event) => caches.match(request, { cacheName: PRECACHE, ignoreSearch: true })
+  .then(precached => precached || caches.open(RUNTIME).then(cache => cache.match(request).then(cached => {
+    const network = fetch(request).then(response => {
+      if (response.ok) {
+        cache.put(request, response.clone());
+      }
+      return response;
+    });
+
+    if (cached) {
+      // Revalidate in the background; a failed refresh keeps the cached copy
+      event.waitUntil(network.catch(() => null));
+      return cached;
+    }
+    return network;
+  })));
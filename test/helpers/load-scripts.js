@@ -0,0 +1,19 @@
+// index.html loads the data/ and lib/ files as classic scripts that share
+// one global object (`window`). This runs them the same way in the test
+// process, with Node's global object standing in for `window`; every test
+// file runs in a process of its own, so nothing leaks between files.
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+function loadScripts(...files) {
+  globalThis.window = globalThis;
+  files.forEach(file => {
+    vm.runInThisContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), { filename: file });
+  });
+  return globalThis;
+}
+
+module.exports = { loadScripts };
@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { MARKET_CALENDAR, MarketCalendar } = loadScripts('data/market-calendar.js', 'lib/market-calendar.js');
+
+const calendar = new MarketCalendar(MARKET_CALENDAR);
+const utc = iso => Date.parse(iso);
+
+test('daylight saving runs from the second Sunday of March to the first Sunday of November', () => {
+  assert.deepEqual(MarketCalendar.dstBounds(2025), { start: utc('2025-03-09T07:00Z'), end: utc('2025-11-02T06:00Z') });
+  assert.deepEqual(MarketCalendar.dstBounds(2026), { start: utc('2026-03-08T07:00Z'), end: utc('2026-11-01T06:00Z') });
+  // March 1st on a Sunday: the second Sunday is the 8th
+  assert.deepEqual(MarketCalendar.dstBounds(2020), { start: utc('2020-03-08T07:00Z'), end: utc('2020-11-01T06:00Z') });
+});
+
+test('offset changes at 02:00 local time', () => {
+  assert.equal(MarketCalendar.offsetAt(utc('2025-03-09T06:59Z')), -300);
+  assert.equal(MarketCalendar.offsetAt(utc('2025-03-09T07:00Z')), -240);
+  assert.equal(MarketCalendar.offsetAt(utc('2025-11-02T05:59Z')), -240);
+  assert.equal(MarketCalendar.offsetAt(utc('2025-11-02T06:00Z')), -300);
+});
+
+test('wall times convert with the offset of their date', () => {
+  assert.equal(MarketCalendar.toUtc('2025-03-07', '09:30'), utc('2025-03-07T14:30Z'));
+  assert.equal(MarketCalendar.toUtc('2025-03-10', '09:30'), utc('2025-03-10T13:30Z'));
+  assert.equal(MarketCalendar.toUtc('2025-10-31', '16:00'), utc('2025-10-31T20:00Z'));
+  assert.equal(MarketCalendar.toUtc('2025-11-03', '16:00'), utc('2025-11-03T21:00Z'));
+});
+
+test('wall times on the days of the change', () => {
+  // Spring: 01:59 EST is followed by 03:00 EDT
+  assert.equal(MarketCalendar.toUtc('2025-03-09', '01:30'), utc('2025-03-09T06:30Z'));
+  assert.equal(MarketCalendar.toUtc('2025-03-09', '03:00'), utc('2025-03-09T07:00Z'));
+  // The skipped 02:30 resolves an hour later, to 03:30 EDT
+  assert.equal(MarketCalendar.toUtc('2025-03-09', '02:30'), utc('2025-03-09T07:30Z'));
+
+  // Autumn: 01:00–01:59 happens twice; the first (EDT) one is used
+  assert.equal(MarketCalendar.toUtc('2025-11-02', '00:30'), utc('2025-11-02T04:30Z'));
+  assert.equal(MarketCalendar.toUtc('2025-11-02', '01:30'), utc('2025-11-02T05:30Z'));
+  assert.equal(MarketCalendar.toUtc('2025-11-02', '02:00'), utc('2025-11-02T07:00Z'));
+});
+
+test('wall clock reads New York date and time back from an instant', () => {
+  assert.deepEqual(MarketCalendar.wallClock(utc('2025-03-10T13:30Z')), { date: '2025-03-10', weekday: 1, minutes: 9 * 60 + 30 });
+  // 03:30 UTC on a Saturday is still Friday evening in New York
+  assert.deepEqual(MarketCalendar.wallClock(utc('2025-11-08T03:30Z')), { date: '2025-11-07', weekday: 5, minutes: 22 * 60 + 30 });
+});
+
+test('cash session moves with daylight saving', () => {
+  assert.deepEqual(calendar.getCashSession('2025-03-07'), {
+    premarket: utc('2025-03-07T09:00Z'),
+    open: utc('2025-03-07T14:30Z'),
+    close: utc('2025-03-07T21:00Z')
+  });
+  assert.deepEqual(calendar.getCashSession('2025-03-10'), {
+    premarket: utc('2025-03-10T08:00Z'),
+    open: utc('2025-03-10T13:30Z'),
+    close: utc('2025-03-10T20:00Z')
+  });
+});
+
+test('the Globex session opening on the evening of a change uses the new offset', () => {
+  // Trade date Monday; the session opens Sunday 18:00 in New York
+  assert.equal(calendar.getGlobexSession('2025-03-10').open, utc('2025-03-09T22:00Z'));
+  assert.equal(calendar.getGlobexSession('2025-11-03').open, utc('2025-11-02T23:00Z'));
+});
+
+test('holidays close the cash session; Globex halts early or stays shut', () => {
+  assert.equal(calendar.isTradingDay('2025-11-27'), false);
+  assert.equal(calendar.getCashSession('2025-11-27'), null);
+  // Thanksgiving: Globex halts at 13:00
+  assert.equal(calendar.getGlobexSession('2025-11-27').close, utc('2025-11-27T18:00Z'));
+  // Good Friday and Christmas: no Globex session at all
+  assert.equal(calendar.getGlobexSession('2025-04-18'), null);
+  assert.equal(calendar.getGlobexSession('2025-12-25'), null);
+});
+
+test('early closes end the cash session and Globex at their own times', () => {
+  assert.equal(calendar.getCashSession('2025-11-28').close, utc('2025-11-28T18:00Z'));
+  assert.equal(calendar.getGlobexSession('2025-11-28').close, utc('2025-11-28T18:15Z'));
+  // In daylight time
+  assert.equal(calendar.getCashSession('2025-07-03').close, utc('2025-07-03T17:00Z'));
+});
+
+test('status and next report skip weekends and holidays', () => {
+  // Thursday before Good Friday, after the close
+  const now = utc('2025-04-17T21:00Z');
+  assert.deepEqual(calendar.getCashStatus(now), { state: 'closed', closes: null, opens: utc('2025-04-21T13:30Z') });
+  assert.equal(calendar.getNextDelivery(now), utc('2025-04-21T12:30Z'));
+
+  // Pre-market on a regular day
+  assert.deepEqual(calendar.getCashStatus(utc('2025-04-21T12:00Z')), { state: 'pre', closes: null, opens: utc('2025-04-21T13:30Z') });
+  assert.deepEqual(calendar.getCashStatus(utc('2025-04-21T14:00Z')), { state: 'open', closes: utc('2025-04-21T20:00Z'), opens: null });
+});
+
+test('Globex is open through the night and closed over the weekend', () => {
+  assert.deepEqual(calendar.getGlobexStatus(utc('2025-04-22T02:00Z')), { state: 'open', closes: utc('2025-04-22T21:00Z'), opens: null });
+  // Saturday: the next session opens Sunday 18:00
+  assert.deepEqual(calendar.getGlobexStatus(utc('2025-04-26T15:00Z')), { state: 'closed', closes: null, opens: utc('2025-04-27T22:00Z') });
+});
+
+// nth weekday (0 = Sunday) of a month, or the last one with nth = -1
+const nthWeekday = (year, month, weekday, nth) => {
+  if (nth === -1) {
+    const last = new Date(Date.UTC(year, month, 0));
+    last.setUTCDate(last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+    return last.toISOString().slice(0, 10);
+  }
+  const first = new Date(Date.UTC(year, month - 1, 1));
+  const day = 1 + ((weekday - first.getUTCDay() + 7) % 7) + (nth - 1) * 7;
+  return new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+};
+
+// Gregorian Easter Sunday (anonymous Gregorian algorithm)
+const easter = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return Date.UTC(year, month - 1, day);
+};
+
+// Fixed-date holidays move to Friday or Monday when they fall on a weekend
+const observed = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const shift = { 0: 1, 6: -1 }[date.getUTCDay()] || 0;
+  return MarketCalendar.addDays(date.toISOString().slice(0, 10), shift);
+};
+
+const years = [...new Set(MARKET_CALENDAR.holidays.map(entry => entry.date.slice(0, 4)))].map(Number);
+
+test('holiday file lists the NYSE holidays of each year it covers', () => {
+  years.forEach(year => {
+    const expected = [
+      observed(year, 1, 1),
+      nthWeekday(year, 1, 1, 3),
+      nthWeekday(year, 2, 1, 3),
+      new Date(easter(year) - 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+      nthWeekday(year, 5, 1, -1),
+      observed(year, 6, 19),
+      observed(year, 7, 4),
+      nthWeekday(year, 9, 1, 1),
+      nthWeekday(year, 11, 4, 4),
+      observed(year, 12, 25)
+    ];
+    const listed = MARKET_CALENDAR.holidays
+      .map(entry => entry.date)
+      .filter(date => date.startsWith(`${year}-`));
+
+    assert.deepEqual(listed, expected, String(year));
+  });
+});
+
+test('holidays and early closes are weekdays and never the same date', () => {
+  const holidays = new Set(MARKET_CALENDAR.holidays.map(entry => entry.date));
+  [...MARKET_CALENDAR.holidays, ...MARKET_CALENDAR.earlyCloses].forEach(entry => {
+    const weekday = MarketCalendar.weekday(entry.date);
+    assert.ok(weekday >= 1 && weekday <= 5, entry.date);
+  });
+  MARKET_CALENDAR.earlyCloses.forEach(entry => {
+    assert.ok(!holidays.has(entry.date), entry.date);
+    assert.ok(entry.close < '16:00' && entry.globex > entry.close, entry.date);
+  });
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+const availability = require('../data/mentoria-availability.json');
+
+const { MentoriaAvailability } = loadScripts('lib/market-calendar.js', 'lib/mentoria-availability.js');
+
+const utc = iso => Date.parse(iso);
+
+// Sunday 2026-10-18, 09:00 in São Paulo
+const NOW = utc('2026-10-18T12:00Z');
+
+const data = {
+  timeZone: 'America/Sao_Paulo',
+  duration: 60,
+  horizonDays: 7,
+  minNoticeHours: 24,
+  weekly: [
+    { weekday: 1, times: ['08:00', '10:00'] },
+    { weekday: 2, times: ['10:00', '19:00'] },
+    { weekday: 4, times: ['10:00'] },
+    { weekday: 6, times: ['09:00'], duration: 90 }
+  ],
+  extra: [
+    { date: '2026-10-21', time: '20:00', duration: 45 },
+    { date: '2026-10-30', time: '20:00' }
+  ],
+  blackouts: [{ from: '2026-10-22', to: '2026-10-23' }],
+  booked: ['2026-10-20T10:00']
+};
+
+const slot = (id, start, minutes) => ({ id, start: utc(start), end: utc(start) + minutes * 60 * 1000 });
+
+test('wall times convert in the zone of the file', () => {
+  assert.equal(MentoriaAvailability.toUtc('2026-11-03', '14:00', 'America/Sao_Paulo'), utc('2026-11-03T17:00Z'));
+  assert.equal(MentoriaAvailability.toUtc('2026-03-07', '09:00', 'America/New_York'), utc('2026-03-07T14:00Z'));
+  assert.equal(MentoriaAvailability.toUtc('2026-03-09', '09:00', 'America/New_York'), utc('2026-03-09T13:00Z'));
+  assert.equal(MentoriaAvailability.zoneOffset('Europe/Lisbon', utc('2026-07-01T12:00Z')), 60);
+});
+
+test('weekly and extra slots expand within the notice and the horizon', () => {
+  const slots = MentoriaAvailability.expand(data, { from: NOW });
+
+  // Monday 08:00 is inside the 24h notice, Tuesday 10:00 is booked, Thursday
+  // is a blackout and the extra slot on the 30th is past the horizon
+  assert.deepEqual(slots, [
+    { id: '2026-10-19T10:00', start: utc('2026-10-19T13:00Z'), end: utc('2026-10-19T14:00Z'), timeZone: 'America/Sao_Paulo' },
+    { id: '2026-10-20T19:00', start: utc('2026-10-20T22:00Z'), end: utc('2026-10-20T23:00Z'), timeZone: 'America/Sao_Paulo' },
+    { id: '2026-10-21T20:00', start: utc('2026-10-21T23:00Z'), end: utc('2026-10-21T23:45Z'), timeZone: 'America/Sao_Paulo' },
+    { id: '2026-10-24T09:00', start: utc('2026-10-24T12:00Z'), end: utc('2026-10-24T13:30Z'), timeZone: 'America/Sao_Paulo' }
+  ]);
+});
+
+test('an earlier `to` shortens the range', () => {
+  const slots = MentoriaAvailability.expand(data, { from: NOW, to: utc('2026-10-21T00:00Z') });
+  assert.deepEqual(slots.map(entry => entry.id), ['2026-10-19T10:00', '2026-10-20T19:00']);
+});
+
+test('single-day blackouts and files without optional lists', () => {
+  const slots = MentoriaAvailability.expand({
+    timeZone: 'America/Sao_Paulo',
+    duration: 60,
+    horizonDays: 7,
+    weekly: [{ weekday: 2, times: ['10:00'] }],
+    blackouts: ['2026-10-20']
+  }, { from: NOW });
+  assert.deepEqual(slots, []);
+});
+
+test('selections over the limit, overlapping or no longer offered are rejected', () => {
+  const offered = [
+    slot('2026-10-24T09:00', '2026-10-24T12:00Z', 90),
+    slot('2026-10-24T10:00', '2026-10-24T13:00Z', 60),
+    slot('2026-10-24T10:30', '2026-10-24T13:30Z', 60),
+    slot('2026-10-27T19:00', '2026-10-27T22:00Z', 60)
+  ];
+  const [nine, ten, tenThirty, tuesday] = offered;
+
+  assert.equal(MentoriaAvailability.validate([nine, tuesday], offered, 3), null);
+  assert.equal(MentoriaAvailability.validate([nine, ten], offered, 3), 'conflict');
+  // Back to back is not a conflict
+  assert.equal(MentoriaAvailability.validate([nine, tenThirty], offered, 3), null);
+  assert.equal(MentoriaAvailability.validate([nine, tenThirty, tuesday], offered, 2), 'limit');
+  assert.equal(MentoriaAvailability.validate([nine, tuesday], offered.slice(0, 3), 3), 'unavailable');
+});
+
+test('the availability file offers no overlapping slots', () => {
+  const slots = MentoriaAvailability.expand(availability, { from: utc('2026-10-18T12:00Z') });
+  assert.ok(slots.length > 0);
+  slots.forEach((entry, i) => {
+    assert.ok(entry.end > entry.start, entry.id);
+    assert.ok(i === 0 || slots[i - 1].end <= entry.start, entry.id);
+  });
+});
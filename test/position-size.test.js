@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { FUTURES_CONTRACTS, PositionSize } = loadScripts('data/contracts.js', 'lib/position-size.js');
+
+const contract = symbol => FUTURES_CONTRACTS.find(item => item.symbol === symbol);
+
+// A 1% risk on a US$ 100,000 account with a price stop, unless overridden
+const size = (symbol, input = {}) => PositionSize.calculate({
+  contract: contract(symbol),
+  account: 100000,
+  currency: 'USD',
+  rate: NaN,
+  risk: 1,
+  riskMode: 'percent',
+  entry: NaN,
+  stop: NaN,
+  stopMode: 'points',
+  target: NaN,
+  ...input
+});
+
+test('contracts: tick value is tick size times point value', () => {
+  assert.deepEqual(PositionSize.validate(FUTURES_CONTRACTS), []);
+});
+
+test('contracts: symbols are unique and markets pair a full-size and a micro', () => {
+  const symbols = FUTURES_CONTRACTS.map(item => item.symbol);
+  assert.equal(new Set(symbols).size, symbols.length);
+
+  const groups = new Map();
+  FUTURES_CONTRACTS.forEach(item => groups.set(item.group, (groups.get(item.group) || 0) + 1));
+  groups.forEach(count => assert.ok(count <= 2));
+});
+
+test('contracts: exchange specs of the main markets', () => {
+  assert.equal(contract('ES').tickValue, 12.5);
+  assert.equal(contract('ES').pointValue, 50);
+  assert.equal(contract('MES').pointValue, 5);
+  assert.equal(contract('NQ').pointValue, 20);
+  assert.equal(contract('CL').tickValue, 10);
+  assert.equal(contract('MCL').tickValue, 1);
+});
+
+test('validate reports a contract whose values disagree', () => {
+  const broken = { ...contract('ES'), tickValue: 10 };
+  assert.equal(PositionSize.validate([broken]).length, 1);
+});
+
+test('risk per contract is the stop in ticks times the tick value', () => {
+  const result = size('ES', { stop: 10 });
+  assert.equal(result.stopTicks, 40);
+  assert.equal(result.riskPerContract, 500);
+  assert.equal(result.contracts, 2);
+  assert.equal(result.totalRisk, 1000);
+  assert.equal(result.accountShare, 0.01);
+});
+
+test('risk per contract matches the point value for whole-tick stops', () => {
+  FUTURES_CONTRACTS.forEach(item => {
+    const points = item.tickSize * 8;
+    const result = size(item.symbol, { stop: points, risk: 100 });
+    assert.ok(Math.abs(result.riskPerContract - points * item.pointValue) < 1e-9, item.symbol);
+  });
+});
+
+test('stops in ticks and price give the same size as points', () => {
+  const points = size('MNQ', { stop: 12.5 });
+  const ticks = size('MNQ', { stop: 50, stopMode: 'ticks' });
+  const price = size('MNQ', { entry: 21000, stop: 20987.5, stopMode: 'price' });
+
+  [ticks, price].forEach(result => {
+    assert.equal(result.stopTicks, points.stopTicks);
+    assert.equal(result.contracts, points.contracts);
+  });
+});
+
+test('the contract count is rounded down', () => {
+  // US$ 1,000 of risk over US$ 300 per contract is 3.33 contracts
+  assert.equal(size('ES', { stop: 6 }).contracts, 3);
+  // Just short of one contract is none
+  assert.equal(size('ES', { stop: 5, risk: 249.99, riskMode: 'amount' }).contracts, 0);
+});
+
+test('exact multiples are not lost to floating point', () => {
+  // 0.3 / 0.1 is 2.9999999999999996 in floating point
+  const gold = size('GC', { stop: 0.3 });
+  assert.equal(gold.stopTicks, 3);
+  assert.equal(gold.rounded, false);
+
+  // 0.35% of US$ 10,000 over US$ 1.25 per contract is 27.999999999999993
+  const micro = size('MES', { account: 10000, risk: 0.35, stop: 0.25 });
+  assert.equal(micro.contracts, 28);
+});
+
+test('a stop between ticks is rounded out to the next tick', () => {
+  const result = size('ES', { entry: 5000, stop: 4995.1, stopMode: 'price' });
+  assert.equal(result.stopTicks, 20);
+  assert.equal(result.stopPoints, 5);
+  assert.equal(result.rounded, true);
+});
+
+test('BRL amounts are converted at the given rate', () => {
+  const result = size('MES', { account: 54000, currency: 'BRL', rate: 5.4, risk: 2, stop: 8 });
+  assert.ok(Math.abs(result.budget - 200) < 1e-9);
+  assert.equal(result.riskPerContract, 40);
+  assert.equal(result.contracts, 5);
+});
+
+test('the target adds the reward in whole ticks', () => {
+  const result = size('ES', { entry: 5000, stop: 4990, stopMode: 'price', target: 5025.1 });
+  assert.deepEqual(result.reward, { ticks: 100, ratio: 2.5, profit: 2500 });
+});
+
+test('invalid input returns the error to show', () => {
+  assert.equal(size('ES', { contract: null, stop: 10 }).error, 'contract');
+  assert.equal(size('ES', { currency: 'BRL', stop: 10 }).error, 'rate');
+  assert.equal(size('ES', { account: NaN, stop: 10 }).error, 'account');
+  assert.equal(size('ES', { risk: 120, stop: 10 }).error, 'risk');
+  assert.equal(size('ES', { stop: 0 }).error, 'stop');
+  assert.equal(size('ES', { stopMode: 'price', stop: 4990 }).error, 'entryStop');
+  assert.equal(size('ES', { entry: 5000, stop: 4990, stopMode: 'price', target: 4980 }).error, 'targetSide');
+});